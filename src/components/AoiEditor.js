@@ -0,0 +1,116 @@
+import React, { useState, useRef } from 'react';
+import TileMapPreview from './TileMapPreview';
+import { bboxToFeature } from '../utils/cmr';
+import { getBboxError } from '../utils/geo';
+import { MAX_AOI_FILE_SIZE, parseAoiFile, pointsToFeature, describeAoi } from '../utils/aoi';
+import './AoiEditor.css';
+
+const DRAW_MODES = [
+  { key: 'rectangle', label: 'Rectangle' },
+  { key: 'polygon', label: 'Polygon' }
+];
+
+// Area of interest of the statistics request: the bbox (typed or drawn as a rectangle),
+// or a polygon drawn on the map or uploaded as GeoJSON
+function AoiEditor({ bbox, aoi, onChange }) {
+  const [showMap, setShowMap] = useState(false);
+  const [drawMode, setDrawMode] = useState('rectangle');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const bboxValid = !getBboxError(bbox);
+  const geometry = aoi ? aoi.geometry : bboxValid ? bboxToFeature(bbox).geometry : null;
+
+  const handleDraw = (shape) => {
+    setError(null);
+    if (shape.bbox) {
+      onChange({ bbox: shape.bbox, aoi: null });
+      return;
+    }
+    try {
+      const feature = pointsToFeature(shape.points);
+      onChange({ bbox: feature.bbox, aoi: feature });
+    } catch (drawError) {
+      setError(drawError.message);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    if (file.size > MAX_AOI_FILE_SIZE) {
+      setError(`${file.name} is larger than ${MAX_AOI_FILE_SIZE / 1024 / 1024} MB; simplify the geometry first`);
+      return;
+    }
+    try {
+      const feature = parseAoiFile(await file.text());
+      onChange({ bbox: feature.bbox, aoi: feature });
+    } catch (uploadError) {
+      setError(`${file.name}: ${uploadError.message}`);
+    }
+  };
+
+  return (
+    <div className="aoi-editor">
+      <div className="aoi-summary">
+        {aoi
+          ? <span><strong>{describeAoi(aoi)}</strong> is sent as the statistics request body</span>
+          : <span>The bounding box is sent as the statistics request body</span>}
+      </div>
+
+      <div className="aoi-actions">
+        <button type="button" className="aoi-button" onClick={() => setShowMap(!showMap)}>
+          {showMap ? 'Hide map' : 'Draw on map'}
+        </button>
+        <button type="button" className="aoi-button" onClick={() => fileInputRef.current.click()}>
+          Upload GeoJSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".geojson,.json,application/geo+json,application/json"
+          className="aoi-file-input"
+          aria-label="Upload GeoJSON area of interest"
+          onChange={handleUpload}
+        />
+        {aoi && (
+          <button type="button" className="aoi-button" onClick={() => onChange({ aoi: null })}>
+            Use bounding box
+          </button>
+        )}
+      </div>
+
+      {error && <div className="aoi-error">{error}</div>}
+
+      {showMap && (
+        <div className="aoi-map">
+          <div className="aoi-modes" role="group" aria-label="Drawing mode">
+            {DRAW_MODES.map(mode => (
+              <button
+                key={mode.key}
+                type="button"
+                className={`aoi-mode ${drawMode === mode.key ? 'active' : ''}`}
+                onClick={() => setDrawMode(mode.key)}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <TileMapPreview
+            tileUrl={null}
+            bounds={bboxValid ? bbox : null}
+            height={280}
+            geometry={geometry}
+            drawMode={drawMode}
+            onDraw={handleDraw}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AoiEditor;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { parseBatchInput } from '../utils/batch';
+
+function BatchInput({ onSubmit }) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+
+  const { inputs, errors } = parseBatchInput(text);
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      setText(previous => (previous.trim() ? `${previous.trim()}\n${content}` : content));
+      setError('');
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (inputs.length === 0) {
+      setError('Please paste or upload at least one file URL or CMR concept ID');
+      return;
+    }
+
+    onSubmit(inputs);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="file-input-form">
+      <div className="url-section">
+        <label htmlFor="batch-urls" className="url-label">
+          File URLs or CMR Concept IDs
+        </label>
+        <textarea
+          id="batch-urls"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setError('');
+          }}
+          placeholder={'One per line, e.g.\ns3://bucket/path/file.tif\nC2723754864-GES_DISC'}
+          className="url-input batch-textarea"
+          rows={8}
+        />
+        <div className="batch-upload">
+          <label className="example-button batch-upload-button">
+            Upload CSV/TXT
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileUpload} hidden />
+          </label>
+          <span className="batch-count">
+            {inputs.length} input(s) detected
+          </span>
+        </div>
+        {errors.length > 0 && (
+          <ul className="batch-parse-errors">
+            {errors.map(lineError => (
+              <li key={lineError.line}>
+                Line {lineError.line}: {lineError.error} (<code>{lineError.value}</code>)
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" className="submit-button">
+        Validate {inputs.length || ''} Input{inputs.length === 1 ? '' : 's'}
+      </button>
+    </form>
+  );
+}
+
+export default BatchInput;
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { getRecommendedServices } from '../utils/recommendations';
+import { MIN_COMPARED, MAX_COMPARED } from '../utils/compare';
+import './BatchValidation.css';
+
+const COLUMNS = [
+  { key: 'input', label: 'Input' },
+  { key: 'format', label: 'Format' },
+  { key: 'isValid', label: 'Valid' },
+  { key: 'isCloudOptimized', label: 'Cloud Optimized' },
+  { key: 'hasTimeDimension', label: 'Time Dimension' },
+  { key: 'service', label: 'Recommended Service' }
+];
+
+const getRowValues = (row, services) => {
+  const { result } = row;
+  const recommended = result && result.isValid
+    ? getRecommendedServices({ fileData: row.fileData, validationResult: result, services })
+    : [];
+
+  return {
+    input: row.fileData.s3Url,
+    format: result ? result.format : null,
+    isValid: result ? result.isValid : null,
+    isCloudOptimized: result ? result.isCloudOptimized : null,
+    hasTimeDimension: result ? result.metadata.hasTimeDimension : null,
+    service: recommended.map(service => service.title).join(', ') || null
+  };
+};
+
+const compareValues = (a, b) => {
+  // Rows still running (null) always sort last
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'boolean') return Number(b) - Number(a);
+  return String(a).localeCompare(String(b));
+};
+
+const renderFlag = (value) => {
+  if (value === null) return '—';
+  return value ? '✓ Yes' : '✗ No';
+};
+
+function BatchValidation({ rows, services, onOpenResult, onCompare, onBack }) {
+  const [sort, setSort] = useState({ key: 'input', direction: 1 });
+  // Ids of the rows picked for comparison
+  const [selected, setSelected] = useState([]);
+
+  const completed = rows.filter(row => row.status === 'done').length;
+  const tableRows = rows
+    .map(row => ({ row, values: getRowValues(row, services) }))
+    .sort((a, b) => {
+      const comparison = compareValues(a.values[sort.key], b.values[sort.key]);
+      return a.values[sort.key] === null || b.values[sort.key] === null
+        ? comparison
+        : comparison * sort.direction;
+    });
+
+  const handleSort = (key) => {
+    setSort(previous => ({
+      key,
+      direction: previous.key === key ? -previous.direction : 1
+    }));
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(previous => (
+      previous.includes(id) ? previous.filter(selectedId => selectedId !== id) : [...previous, id]
+    ));
+  };
+
+  const getCurrentStep = (row) => {
+    const running = (row.steps || []).find(step => step.status === 'running');
+    return running ? running.name : 'Waiting...';
+  };
+
+  return (
+    <div className="batch-container">
+      <h2>Step 2: Batch Validation</h2>
+      <p className="step-description">
+        {completed} of {rows.length} input(s) validated
+      </p>
+
+      <div className="batch-progress">
+        <div
+          className="batch-progress-fill"
+          style={{ width: `${rows.length ? (completed / rows.length) * 100 : 0}%` }}
+        ></div>
+      </div>
+
+      <div className="batch-table-wrapper">
+        <table className="batch-table">
+          <thead>
+            <tr>
+              <th></th>
+              {COLUMNS.map(column => (
+                <th key={column.key}>
+                  <button type="button" className="batch-sort-button" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tableRows.map(({ row, values }) => (
+              <tr key={row.id} className={`batch-row ${row.status} ${values.isValid === false ? 'invalid' : ''}`}>
+                <td>
+                  {row.status === 'done' && (
+                    <input
+                      type="checkbox"
+                      aria-label={`Compare ${values.input}`}
+                      checked={selected.includes(row.id)}
+                      disabled={!selected.includes(row.id) && selected.length >= MAX_COMPARED}
+                      onChange={() => toggleSelected(row.id)}
+                    />
+                  )}
+                </td>
+                <td className="batch-input-cell" title={values.input}>{values.input}</td>
+                {row.status === 'done' ? (
+                  <>
+                    <td>{values.format}</td>
+                    <td>{renderFlag(values.isValid)}</td>
+                    <td>{renderFlag(values.isCloudOptimized)}</td>
+                    <td>{renderFlag(values.hasTimeDimension)}</td>
+                    <td>{values.service || '—'}</td>
+                    <td>
+                      <button type="button" className="batch-view-button" onClick={() => onOpenResult(row)}>
+                        View
+                      </button>
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={COLUMNS.length} className="batch-status-cell">
+                    {row.status === 'running' && <span className="batch-spinner"></span>}
+                    {row.status === 'error' ? `Error: ${row.error}` : getCurrentStep(row)}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="button-group">
+        <button onClick={onBack} className="back-button">
+          New Batch
+        </button>
+        <button
+          onClick={() => onCompare(rows.filter(row => selected.includes(row.id)))}
+          className="batch-compare-button"
+          disabled={selected.length < MIN_COMPARED}
+          title={`Select ${MIN_COMPARED} to ${MAX_COMPARED} validated inputs to compare them side by side`}
+        >
+          Compare Selected ({selected.length})
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BatchValidation;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import {
+  getCogIssues,
+  getCogLevels,
+  getCogRemediation,
+  buildRioCogeoCommand,
+  buildGdalCommand
+} from '../utils/cog';
+import './CogDiagnostics.css';
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+function CommandBlock({ label, command }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(command);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      window.prompt('Copy this command:', command);
+    }
+  };
+
+  return (
+    <div className="cog-command">
+      <div className="cog-command-header">
+        <span>{label}</span>
+        <button className="cog-command-copy" onClick={handleCopy}>{copied ? 'Copied!' : 'Copy'}</button>
+      </div>
+      <pre className="cog-command-code">{command}</pre>
+    </div>
+  );
+}
+
+function CogDiagnostics({ fileUrl, info }) {
+  const issues = getCogIssues(info);
+  const levels = getCogLevels(info);
+  const profile = info.Profile || {};
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  const needsFix = info.COG !== true || issues.length > 0;
+  const settings = getCogRemediation(info);
+
+  const summary = [
+    ['Size', profile.Width && profile.Height ? `${profile.Width} × ${profile.Height}` : null],
+    ['Bands', profile.Bands],
+    ['Data type', profile.Dtype],
+    ['Compression', info.Compression],
+    ['Interleave', profile.Interleave],
+    ['Tiled', profile.Tiled === undefined ? null : (profile.Tiled ? 'Yes' : 'No')],
+    ['Nodata', profile.Nodata],
+    ['CRS', info.GEO && info.GEO.CRS]
+  ];
+
+  return (
+    <div className="cog-diagnostics">
+      <div className="cog-diagnostics-header">
+        <h3>COG Diagnostics</h3>
+        <span className={`cog-badge ${info.COG === true ? 'valid' : 'invalid'}`}>
+          {info.COG === true ? 'Valid COG' : 'Not a COG'}
+        </span>
+        {errorCount > 0 && <span className="cog-count error">{errorCount} error(s)</span>}
+        {warningCount > 0 && <span className="cog-count warning">{warningCount} warning(s)</span>}
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="cog-issues">
+          {issues.map(issue => (
+            <li key={`${issue.severity}:${issue.message}`} className={`cog-issue ${issue.severity}`}>
+              <div className="cog-issue-title">
+                {issue.severity === 'error' ? '❌' : '⚠️'} {issue.title}
+              </div>
+              <code className="cog-issue-message">{issue.message}</code>
+              {issue.explanation && <p className="cog-issue-explanation">{issue.explanation}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="cog-structure">
+        <div className="cog-summary">
+          {summary.map(([label, value]) => (
+            <div key={label} className="cog-summary-item">
+              <span className="cog-summary-label">{label}</span>
+              <span className="cog-summary-value">{formatValue(value)}</span>
+            </div>
+          ))}
+        </div>
+
+        {levels.length > 0 && (
+          <table className="cog-levels">
+            <thead>
+              <tr>
+                <th>Level</th>
+                <th>Size</th>
+                <th>Block size</th>
+                <th>Decimation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {levels.map(level => (
+                <tr key={level.level}>
+                  <td>{level.level === 0 ? '0 (full resolution)' : level.level}</td>
+                  <td>{level.width} × {level.height}</td>
+                  <td>{level.blockWidth ? `${level.blockWidth} × ${level.blockHeight}` : '—'}</td>
+                  <td>{formatValue(level.decimation)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {levels.length === 1 && (
+          <p className="cog-note">No internal overviews: every zoom level reads the full resolution image.</p>
+        )}
+      </div>
+
+      {needsFix ? (
+        <div className="cog-fix">
+          <h4>How to fix</h4>
+          <ul className="cog-fix-reasons">
+            {settings.reasons.map(reason => <li key={reason}>{reason}</li>)}
+          </ul>
+          <CommandBlock label="rio-cogeo" command={buildRioCogeoCommand(fileUrl, settings)} />
+          <CommandBlock label="GDAL" command={buildGdalCommand(fileUrl, settings)} />
+        </div>
+      ) : (
+        <p className="cog-note">No changes needed: the file follows the COG layout.</p>
+      )}
+    </div>
+  );
+}
+
+export default CogDiagnostics;
@@ -0,0 +1,148 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { getStatisticsWarnings } from '../utils/cog';
+import './CogStatistics.css';
+
+const COLUMNS = [
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'mean', label: 'Mean' },
+  { key: 'std', label: 'Std' },
+  { key: 'percentile_2', label: 'P2' },
+  { key: 'median', label: 'Median' },
+  { key: 'percentile_98', label: 'P98' },
+  { key: 'valid_percent', label: 'Valid %' }
+];
+
+const formatStatistic = (value) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return '—';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+};
+
+function BandHistogram({ band, histogram }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const [counts, edges] = histogram;
+    const bins = counts.map((count, index) => ({ count, x0: edges[index], x1: edges[index + 1] }));
+
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    const margin = { top: 10, right: 20, bottom: 40, left: 60 };
+    const width = 360 - margin.left - margin.right;
+    const height = 180 - margin.top - margin.bottom;
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width + margin.left + margin.right)
+      .attr('height', height + margin.top + margin.bottom)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleLinear()
+      .domain([edges[0], edges[edges.length - 1]])
+      .range([0, width]);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(counts) || 1])
+      .range([height, 0])
+      .nice();
+
+    svg.append('g')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(5))
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    svg.append('g')
+      .call(d3.axisLeft(yScale).ticks(4, 's'))
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', height + margin.bottom - 5)
+      .style('text-anchor', 'middle')
+      .style('fill', '#4a5568')
+      .style('font-size', '11px')
+      .text(`${band} value`);
+
+    svg.selectAll('rect')
+      .data(bins)
+      .enter()
+      .append('rect')
+      .attr('x', d => xScale(d.x0))
+      .attr('y', d => yScale(d.count))
+      .attr('width', d => Math.max(0, xScale(d.x1) - xScale(d.x0) - 1))
+      .attr('height', d => height - yScale(d.count))
+      .attr('fill', '#3182ce')
+      .append('title')
+      .text(d => `${formatStatistic(d.x0)} – ${formatStatistic(d.x1)}: ${d.count} pixels`);
+  }, [band, histogram]);
+
+  return (
+    <figure className="band-histogram">
+      <svg ref={svgRef}></svg>
+      <figcaption>{band}</figcaption>
+    </figure>
+  );
+}
+
+// /cog/statistics preview for a titiler-pgstac COG endpoint. `statistics` is { data, loading, error },
+// fetched once by VisualizationOptions since the rescale suggestion uses the same response.
+function CogStatistics({ statistics, nodata }) {
+  if (!statistics || statistics.loading) {
+    return <div className="preview-loading">Loading statistics...</div>;
+  }
+
+  if (statistics.error) {
+    return <div className="cog-statistics-error">Error loading statistics: {statistics.error}</div>;
+  }
+
+  const bands = Object.entries(statistics.data || {});
+  const warnings = getStatisticsWarnings(statistics.data, nodata);
+
+  return (
+    <div className="cog-statistics">
+      {warnings.length > 0 && (
+        <ul className="cog-statistics-warnings">
+          {warnings.map(warning => (
+            <li key={`${warning.band}-${warning.message}`} className={warning.severity}>
+              <strong>{warning.band}:</strong> {warning.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="cog-statistics-nodata">
+        Declared nodata: {nodata === null ? 'none' : String(nodata)}
+      </p>
+
+      <div className="cog-statistics-table-wrapper">
+        <table className="cog-statistics-table">
+          <thead>
+            <tr>
+              <th>Band</th>
+              {COLUMNS.map(column => <th key={column.key}>{column.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {bands.map(([band, stats]) => (
+              <tr key={band}>
+                <td>{band}</td>
+                {COLUMNS.map(column => <td key={column.key}>{formatStatistic(stats[column.key])}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="band-histograms">
+        {bands
+          .filter(([, stats]) => Array.isArray(stats.histogram) && Array.isArray(stats.histogram[0]))
+          .map(([band, stats]) => <BandHistogram key={band} band={band} histogram={stats.histogram} />)}
+      </div>
+    </div>
+  );
+}
+
+export default CogStatistics;
@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { COLORMAP_NAMES } from '../utils/cmr';
+import { getColormapSwatchUrl } from '../utils/rendering';
+import './ColormapPicker.css';
+
+// Colormaps as swatches rendered by titiler at `baseUrl`; names only where a swatch fails to load
+function ColormapPicker({ value, baseUrl, onChange }) {
+  const [failed, setFailed] = useState({});
+
+  return (
+    <div className="colormap-picker" role="radiogroup" aria-label="Colormap">
+      {COLORMAP_NAMES.map(name => (
+        <button
+          key={name}
+          type="button"
+          role="radio"
+          aria-checked={value === name}
+          className={`colormap-option ${value === name ? 'selected' : ''}`}
+          onClick={() => onChange(name)}
+        >
+          {!failed[name] && (
+            <img
+              src={getColormapSwatchUrl(baseUrl, name)}
+              alt=""
+              className="colormap-swatch"
+              onError={() => setFailed(previous => ({ ...previous, [name]: true }))}
+            />
+          )}
+          <span className="colormap-name">{name}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ColormapPicker;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { buildComparison } from '../utils/compare';
+import { canContinueAfterFailure } from '../utils/outcome';
+import { stripExtension } from '../utils/stac';
+import { ENVIRONMENTS } from '../config/services';
+import './DatasetComparison.css';
+
+function DatasetComparison({ items, onOpen, onBack }) {
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+
+  const rows = buildComparison(items);
+  const differing = rows.filter(row => row.differs).length;
+  const visibleRows = differencesOnly ? rows.filter(row => row.differs) : rows;
+
+  const renderValue = (row, value) => {
+    if (row.list) {
+      if (value.length === 0) return <span className="comparison-empty">—</span>;
+      return (
+        <ul className="comparison-list">
+          {value.map(entry => (
+            <li key={entry} className={row.shared.includes(entry) ? '' : 'unique'}>{entry}</li>
+          ))}
+        </ul>
+      );
+    }
+    return value === null ? <span className="comparison-empty">—</span> : value;
+  };
+
+  return (
+    <div className="comparison-container">
+      <h2>Compare Datasets</h2>
+      <p className="step-description">
+        {differing === 0
+          ? `The ${items.length} datasets match on every compared attribute.`
+          : `${differing} of ${rows.length} attributes differ between the ${items.length} datasets.`}
+      </p>
+
+      <label className="comparison-toggle">
+        <input
+          type="checkbox"
+          checked={differencesOnly}
+          onChange={(e) => setDifferencesOnly(e.target.checked)}
+        />
+        Show differences only
+      </label>
+
+      <div className="comparison-table-wrapper">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th></th>
+              {items.map(item => (
+                <th key={item.key} className="comparison-dataset">
+                  <span className="comparison-dataset-name" title={item.input}>
+                    {item.result.isCMR ? item.input : stripExtension(item.input)}
+                  </span>
+                  <span className="comparison-dataset-meta">
+                    {ENVIRONMENTS[item.environment] ? ENVIRONMENTS[item.environment].label : item.environment}
+                  </span>
+                  {canContinueAfterFailure(item.result) && (
+                    <button type="button" className="comparison-open-button" onClick={() => onOpen(item)}>
+                      Open
+                    </button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={row.key} className={row.differs ? 'differs' : ''}>
+                <th scope="row">{row.label}</th>
+                {row.values.map((value, index) => (
+                  <td key={items[index].key}>{renderValue(row, value)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="button-group">
+        <button onClick={onBack} className="back-button">
+          Back
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DatasetComparison;
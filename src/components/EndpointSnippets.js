@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { SNIPPET_LANGUAGES, buildSnippet } from '../utils/snippets';
+import './EndpointSnippets.css';
+
+function EndpointSnippets({ endpoint, bounds }) {
+  const [open, setOpen] = useState(false);
+  const [language, setLanguage] = useState(SNIPPET_LANGUAGES[0].key);
+  const [copied, setCopied] = useState(false);
+
+  const code = open ? buildSnippet(language, endpoint, bounds) : null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      window.prompt('Copy this code:', code);
+    }
+  };
+
+  return (
+    <div className="snippets">
+      <button className="snippets-toggle" onClick={() => setOpen(!open)}>
+        <span className="toggle-icon">{open ? '▼' : '▶'}</span>
+        <span>Use it</span>
+      </button>
+
+      {open && (
+        <div className="snippets-content">
+          <div className="snippets-tabs" role="tablist">
+            {SNIPPET_LANGUAGES.map(entry => (
+              <button
+                key={entry.key}
+                role="tab"
+                aria-selected={language === entry.key}
+                className={`snippets-tab ${language === entry.key ? 'active' : ''}`}
+                onClick={() => setLanguage(entry.key)}
+              >
+                {entry.label}
+              </button>
+            ))}
+            {code && (
+              <button className="snippets-copy" onClick={handleCopy}>
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+            )}
+          </div>
+          {code ? (
+            <pre className="snippets-code">{code}</pre>
+          ) : (
+            <p className="snippets-empty">Set the time series parameters above to generate code for this request.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EndpointSnippets;
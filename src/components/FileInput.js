@@ -1,9 +1,26 @@
 import React, { useState } from 'react';
+import BatchInput from './BatchInput';
+import { parseInput } from '../utils/input';
+import { getHistory, removeFromHistory, clearHistory, isExpired, formatAge } from '../utils/cache';
+import { canContinueAfterFailure } from '../utils/outcome';
+import { MIN_COMPARED, MAX_COMPARED } from '../utils/compare';
+import { ENVIRONMENTS } from '../config/services';
 import './FileInput.css';
 
-function FileInput({ onSubmit }) {
+const OUTCOME_LABELS = {
+  passed: 'Passed',
+  partial: 'Some checks failed',
+  failed: 'Failed'
+};
+
+function FileInput({ onSubmit, onBatchSubmit, onOpenHistoryEntry, onRerunHistoryEntry, onCompare }) {
+  const [mode, setMode] = useState('single');
   const [fileUrl, setFileUrl] = useState('');
   const [error, setError] = useState('');
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [history, setHistory] = useState(() => getHistory());
+  // Keys of the recent checks picked for comparison
+  const [selected, setSelected] = useState([]);
 
   const exampleUrls = [
     {
@@ -38,42 +55,38 @@ function FileInput({ onSubmit }) {
     setError('');
   };
 
-  const isCMRConceptId = (input) => {
-    // Check if input matches CMR concept ID pattern: C followed by numbers, dash, then provider
-    return /^C\d+-[A-Z_]+$/.test(input.trim());
-  };
-
-  const detectUrlType = (url) => {
-    if (url.includes('cmr.earthdata.nasa.gov/search/concepts/') || isCMRConceptId(url)) {
-      return 'cmr';
-    }
-    return 's3';
-  };
-
   const handleSubmit = (e) => {
     e.preventDefault();
-    
-    if (!fileUrl.trim()) {
-      setError('Please enter a file URL or CMR concept ID');
+
+    const { fileData, error: inputError } = parseInput(fileUrl);
+    if (inputError) {
+      setError(inputError);
       return;
     }
 
-    const urlType = detectUrlType(fileUrl);
-    
-    // Allow CMR concept IDs without URL validation
-    if (urlType !== 'cmr') {
-      if (!(fileUrl.startsWith('s3://') || fileUrl.startsWith('http://') || fileUrl.startsWith('https://'))) {
-        setError('URL must start with s3://, http://, or https:// (or provide a CMR concept ID)');
-        return;
-      }
-    }
+    onSubmit(fileData, { forceRefresh });
+  };
+
+  const handleRemove = (key) => {
+    removeFromHistory(key);
+    setHistory(getHistory());
+    setSelected(previous => previous.filter(selectedKey => selectedKey !== key));
+  };
+
+  const handleClearHistory = () => {
+    clearHistory();
+    setHistory([]);
+    setSelected([]);
+  };
+
+  const toggleSelected = (key) => {
+    setSelected(previous => (
+      previous.includes(key) ? previous.filter(selectedKey => selectedKey !== key) : [...previous, key]
+    ));
+  };
 
-    onSubmit({
-      type: urlType,
-      file: null,
-      s3Url: fileUrl,
-      fileName: fileUrl.split('/').pop()
-    });
+  const handleCompare = () => {
+    onCompare(selected.map(key => history.find(entry => entry.key === key)));
   };
 
   return (
@@ -83,49 +96,138 @@ function FileInput({ onSubmit }) {
         Provide an S3 or HTTPS URL to a geospatial dataset, or a CMR concept ID for validation
       </p>
 
-      <form onSubmit={handleSubmit} className="file-input-form">
-        <div className="url-section">
-          <label htmlFor="file-url" className="url-label">
-            File URL or CMR Concept ID
-          </label>
-          <input
-            id="file-url"
-            type="text"
-            value={fileUrl}
-            onChange={handleUrlChange}
-            placeholder="https://example.com/file.tif or C2723754864-GES_DISC"
-            className="url-input"
-          />
-          <div className="examples-section">
-            <p className="examples-label">Try these examples:</p>
-            <div className="example-buttons">
-              {exampleUrls.map((example, index) => (
-                <button
-                  key={index}
-                  type="button"
-                  className="example-button"
-                  onClick={() => handleExampleClick(example.url)}
-                  title={example.url}
-                >
-                  {example.label}
-                </button>
-              ))}
+      <div className="mode-toggle">
+        <button
+          type="button"
+          className={`mode-button ${mode === 'single' ? 'active' : ''}`}
+          onClick={() => setMode('single')}
+        >
+          Single URL
+        </button>
+        <button
+          type="button"
+          className={`mode-button ${mode === 'batch' ? 'active' : ''}`}
+          onClick={() => setMode('batch')}
+        >
+          Batch
+        </button>
+      </div>
+
+      {mode === 'batch' ? (
+        <BatchInput onSubmit={onBatchSubmit} />
+      ) : (
+        <form onSubmit={handleSubmit} className="file-input-form">
+          <div className="url-section">
+            <label htmlFor="file-url" className="url-label">
+              File URL or CMR Concept ID
+            </label>
+            <input
+              id="file-url"
+              type="text"
+              value={fileUrl}
+              onChange={handleUrlChange}
+              placeholder="https://example.com/file.tif or C2723754864-GES_DISC"
+              className="url-input"
+            />
+            <div className="examples-section">
+              <p className="examples-label">Try these examples:</p>
+              <div className="example-buttons">
+                {exampleUrls.map((example, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    className="example-button"
+                    onClick={() => handleExampleClick(example.url)}
+                    title={example.url}
+                  >
+                    {example.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="url-info">
+              <svg className="info-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span>Supports direct file URLs (COG, NetCDF, etc.), CMR concept URLs, or CMR concept IDs (e.g., C2723754864-GES_DISC). Real-time validation will be performed.</span>
             </div>
           </div>
-          <div className="url-info">
-            <svg className="info-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-            <span>Supports direct file URLs (COG, NetCDF, etc.), CMR concept URLs, or CMR concept IDs (e.g., C2723754864-GES_DISC). Real-time validation will be performed.</span>
-          </div>
-        </div>
 
-        {error && <div className="error-message">{error}</div>}
+          {error && <div className="error-message">{error}</div>}
 
-        <button type="submit" className="submit-button">
-          Continue to Validation
-        </button>
-      </form>
+          <label className="force-refresh">
+            <input type="checkbox" checked={forceRefresh} onChange={(e) => setForceRefresh(e.target.checked)} />
+            Ignore cached results and re-run every check
+          </label>
+
+          <button type="submit" className="submit-button">
+            Continue to Validation
+          </button>
+        </form>
+      )}
+
+      {mode === 'single' && history.length > 0 && (
+        <div className="recent-checks">
+          <div className="recent-checks-header">
+            <h3>Recent Checks</h3>
+            <div className="recent-checks-header-actions">
+              <button
+                type="button"
+                className="recent-action-button"
+                onClick={handleCompare}
+                disabled={selected.length < MIN_COMPARED}
+                title={`Select ${MIN_COMPARED} to ${MAX_COMPARED} checks to compare them side by side`}
+              >
+                Compare ({selected.length})
+              </button>
+              <button type="button" className="recent-clear-button" onClick={handleClearHistory}>
+                Clear history
+              </button>
+            </div>
+          </div>
+          <ul className="recent-checks-list">
+            {history.map(entry => (
+              <li key={entry.key} className="recent-check">
+                <input
+                  type="checkbox"
+                  className="recent-check-select"
+                  aria-label={`Compare ${entry.input}`}
+                  checked={selected.includes(entry.key)}
+                  disabled={!canContinueAfterFailure(entry.result) ||
+                    (!selected.includes(entry.key) && selected.length >= MAX_COMPARED)}
+                  onChange={() => toggleSelected(entry.key)}
+                />
+                <span className={`recent-outcome ${entry.outcome}`}>{OUTCOME_LABELS[entry.outcome]}</span>
+                <div className="recent-check-info">
+                  <span className="recent-check-input" title={entry.input}>{entry.input}</span>
+                  <span className="recent-check-meta">
+                    {entry.format} · {ENVIRONMENTS[entry.environment] ? ENVIRONMENTS[entry.environment].label : entry.environment} · {formatAge(entry.checkedAt)}
+                    {isExpired(entry) && ' · expired'}
+                  </span>
+                </div>
+                <div className="recent-check-actions">
+                  {canContinueAfterFailure(entry.result) && (
+                    <button type="button" className="recent-action-button" onClick={() => onOpenHistoryEntry(entry)}>
+                      Open
+                    </button>
+                  )}
+                  <button type="button" className="recent-action-button" onClick={() => onRerunHistoryEntry(entry)}>
+                    Re-run
+                  </button>
+                  <button
+                    type="button"
+                    className="recent-remove-button"
+                    aria-label={`Remove ${entry.input} from history`}
+                    onClick={() => handleRemove(entry.key)}
+                  >
+                    ×
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
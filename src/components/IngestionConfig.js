@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { COLORMAP_NAMES } from '../utils/cmr';
+import { fetchCogStatistics, getRescaleRange } from '../utils/cog';
+import { DATETIME_RANGES, getIngestionDefaults, validateIngestionFields, buildIngestionConfig } from '../utils/ingestion';
+import { downloadFile } from '../utils/download';
+import { isAbortError } from '../utils/http';
+import './IngestionConfig.css';
+
+const BBOX_LABELS = ['West', 'South', 'East', 'North'];
+
+const parseNumber = (value) => (value === '' ? NaN : Number(value));
+const numberValue = (value) => (Number.isNaN(value) ? '' : value);
+
+// Fields holding several inputs are groups rather than labels
+function Field({ label, error, hint, wide, group, children }) {
+  const Container = group ? 'div' : 'label';
+  return (
+    <Container className={`ingestion-field ${wide ? 'ingestion-field-wide' : ''}`}>
+      <span className="ingestion-label">{label}</span>
+      {children}
+      {hint && !error && <span className="ingestion-hint">{hint}</span>}
+      {error && <span className="ingestion-error">{error}</span>}
+    </Container>
+  );
+}
+
+function IngestionConfig({ fileData, validationResult, services, timeSeriesParams, renderParams, onBack, onReset }) {
+  const [fields, setFields] = useState(() => getIngestionDefaults({ fileData, validationResult, timeSeriesParams, renderParams }));
+  // A rescale already chosen for the tiles in step 3 beats a fresh statistics lookup
+  const hasChosenRescale = Boolean(renderParams && renderParams.rescale);
+  const [rescaleSource, setRescaleSource] = useState(hasChosenRescale ? 'From the rendering options of step 3' : null);
+  const [copied, setCopied] = useState(false);
+  const rescaleEditedRef = useRef(false);
+
+  // Pre-fill rescale from the file's statistics unless the user got there first
+  useEffect(() => {
+    if (validationResult.isCMR || validationResult.format !== 'COG' || hasChosenRescale) return undefined;
+    const controller = new AbortController();
+
+    fetchCogStatistics(services.raster.baseUrl, fileData.s3Url, { signal: controller.signal })
+      .then(statistics => {
+        const rescale = getRescaleRange(statistics);
+        if (controller.signal.aborted || !rescale || rescaleEditedRef.current) return;
+        setFields(previous => ({ ...previous, rescale }));
+        setRescaleSource('Pre-filled from the band 1 statistics');
+      })
+      .catch(error => {
+        if (isAbortError(error)) return;
+        console.error('Could not load statistics for rescale:', error);
+      });
+
+    return () => controller.abort();
+  }, [fileData.s3Url, validationResult, services.raster.baseUrl, hasChosenRescale]);
+
+  const errors = validateIngestionFields(fields);
+  const isValid = Object.keys(errors).length === 0;
+  const config = buildIngestionConfig(fields);
+  const configJson = JSON.stringify(config, null, 2);
+
+  const update = (changes) => setFields(previous => ({ ...previous, ...changes }));
+
+  const updateListValue = (key, index, value) => {
+    const list = [...fields[key]];
+    list[index] = parseNumber(value);
+    if (key === 'rescale') {
+      rescaleEditedRef.current = true;
+      setRescaleSource(null);
+    }
+    update({ [key]: list });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(configJson);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      window.prompt('Copy this config:', configJson);
+    }
+  };
+
+  return (
+    <div className="ingestion-container">
+      <h2>Step 4: Prepare Ingestion</h2>
+      <p className="step-description">
+        Dataset config for <a href="https://github.com/NASA-IMPACT/veda-data" target="_blank" rel="noopener noreferrer">veda-data</a>,
+        pre-filled from <strong>{fileData.s3Url}</strong>. Review every field before submitting.
+      </p>
+
+      <section className="ingestion-section">
+        <h3>Collection</h3>
+        <div className="ingestion-grid">
+          <Field label="Collection ID" error={errors.collection}>
+            <input type="text" value={fields.collection} onChange={(e) => update({ collection: e.target.value.trim() })} />
+          </Field>
+          <Field label="Title" error={errors.title}>
+            <input type="text" value={fields.title} onChange={(e) => update({ title: e.target.value })} />
+          </Field>
+          <Field label="License" error={errors.license}>
+            <input type="text" value={fields.license} onChange={(e) => update({ license: e.target.value.trim() })} />
+          </Field>
+          <Field label="Description" error={errors.description} wide>
+            <textarea rows={3} value={fields.description} onChange={(e) => update({ description: e.target.value })} />
+          </Field>
+        </div>
+      </section>
+
+      {fields.kind === 'cog' ? (
+        <section className="ingestion-section">
+          <h3>Discovery</h3>
+          <div className="ingestion-grid">
+            <Field label="Bucket" error={errors.bucket}>
+              <input type="text" value={fields.bucket} onChange={(e) => update({ bucket: e.target.value.trim() })} />
+            </Field>
+            <Field label="Prefix" error={errors.prefix}>
+              <input type="text" value={fields.prefix} onChange={(e) => update({ prefix: e.target.value.trim() })} />
+            </Field>
+            <Field label="Datetime range" error={errors.datetimeRange} hint="How much time each file covers">
+              <select value={fields.datetimeRange} onChange={(e) => update({ datetimeRange: e.target.value })}>
+                <option value="">None (use file metadata)</option>
+                {DATETIME_RANGES.map(range => <option key={range} value={range}>{range}</option>)}
+              </select>
+            </Field>
+            <Field
+              label="Filename regex"
+              error={errors.filenameRegex}
+              hint={`Must match ${fields.sampleFile.split('/').pop()} and its siblings`}
+              wide
+            >
+              <input type="text" value={fields.filenameRegex} onChange={(e) => update({ filenameRegex: e.target.value })} />
+            </Field>
+          </div>
+        </section>
+      ) : (
+        <section className="ingestion-section">
+          <h3>Source</h3>
+          <p className="ingestion-note">
+            Granules stay in Earthdata Cloud and are read through titiler-cmr, so no discovery items are needed.
+          </p>
+          <div className="ingestion-grid">
+            <Field label="Concept ID">
+              <input type="text" value={fields.conceptId} readOnly />
+            </Field>
+            <Field label="Variable" error={errors.variable}>
+              <input type="text" value={fields.variable} onChange={(e) => update({ variable: e.target.value.trim() })} />
+            </Field>
+          </div>
+        </section>
+      )}
+
+      <section className="ingestion-section">
+        <h3>Extent</h3>
+        <div className="ingestion-grid">
+          <Field label="Start date (UTC)" error={errors.startdate}>
+            <input type="text" value={fields.startdate} placeholder="2020-01-01T00:00:00Z" onChange={(e) => update({ startdate: e.target.value.trim() })} />
+          </Field>
+          <Field label="End date (UTC)" error={errors.enddate} hint="Leave empty for ongoing datasets">
+            <input type="text" value={fields.enddate} placeholder="2020-12-31T23:59:59Z" onChange={(e) => update({ enddate: e.target.value.trim() })} />
+          </Field>
+          <Field label="Time density" error={errors.timeDensity} hint="How often the dataset has a new time step">
+            <select
+              value={fields.timeDensity}
+              onChange={(e) => update({ timeDensity: e.target.value, isPeriodic: Boolean(e.target.value) })}
+            >
+              <option value="">Not periodic</option>
+              {DATETIME_RANGES.map(range => <option key={range} value={range}>{range}</option>)}
+            </select>
+          </Field>
+          <Field label="Spatial extent" error={errors.bbox} wide group>
+            <div className="ingestion-inline">
+              {BBOX_LABELS.map((label, index) => (
+                <input
+                  key={label}
+                  type="number"
+                  step="any"
+                  aria-label={label}
+                  placeholder={label}
+                  value={numberValue(fields.bbox[index])}
+                  onChange={(e) => updateListValue('bbox', index, e.target.value)}
+                />
+              ))}
+            </div>
+          </Field>
+        </div>
+      </section>
+
+      <section className="ingestion-section">
+        <h3>Dashboard Render</h3>
+        <div className="ingestion-grid">
+          <Field label="Colormap" error={errors.colormap}>
+            <select value={fields.colormap} onChange={(e) => update({ colormap: e.target.value })}>
+              {COLORMAP_NAMES.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </Field>
+          <Field label="Rescale (min, max)" error={errors.rescale} hint={rescaleSource} group>
+            <div className="ingestion-inline">
+              {['Min', 'Max'].map((label, index) => (
+                <input
+                  key={label}
+                  type="number"
+                  step="any"
+                  aria-label={`Rescale ${label}`}
+                  placeholder={label}
+                  value={numberValue(fields.rescale[index])}
+                  onChange={(e) => updateListValue('rescale', index, e.target.value)}
+                />
+              ))}
+            </div>
+          </Field>
+          {fields.kind === 'cog' && (
+            <Field label="Nodata" hint="Leave empty when the file has no nodata value">
+              <input
+                type="number"
+                step="any"
+                value={numberValue(fields.nodata)}
+                onChange={(e) => update({ nodata: parseNumber(e.target.value) })}
+              />
+            </Field>
+          )}
+        </div>
+      </section>
+
+      <section className="ingestion-section">
+        <h3>{fields.collection || 'collection'}.json</h3>
+        <pre className="ingestion-json">{configJson}</pre>
+        {!isValid && (
+          <p className="ingestion-error">Fix the {Object.keys(errors).length} highlighted field(s) before exporting.</p>
+        )}
+        <div className="ingestion-actions">
+          <button
+            className="ingestion-export-button"
+            disabled={!isValid}
+            onClick={() => downloadFile(configJson, `${fields.collection}.json`, 'application/json')}
+          >
+            Download JSON
+          </button>
+          <button className="ingestion-export-button" disabled={!isValid} onClick={handleCopy}>
+            {copied ? 'Copied!' : 'Copy JSON'}
+          </button>
+        </div>
+      </section>
+
+      <div className="button-group">
+        <button onClick={onBack} className="reset-button">
+          Back to Recommendations
+        </button>
+        <button onClick={onReset} className="reset-button">
+          Start Over
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default IngestionConfig;
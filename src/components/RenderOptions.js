@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ColormapPicker from './ColormapPicker';
+import { fetchMultidimStatistics, getSelectedTimeStep } from '../utils/multidim';
+import { getDatasetUrl } from '../utils/zarr';
+import { canColormapDataset, getStatisticsRescale } from '../utils/rendering';
+import './RenderOptions.css';
+
+const APPLY_DELAY_MS = 600;
+
+const parseNumber = (value) => (value === '' ? NaN : Number(value));
+const sameRange = (a, b) => Boolean(a && b) && a[0] === b[0] && a[1] === b[1];
+
+// titiler-multidim statistics of the selected variable and time step
+const loadMultidimSuggestion = async ({ fileData, validationResult, services, signal }) => {
+  const details = validationResult.validationDetails;
+  const timeStep = getSelectedTimeStep(details);
+  const statistics = await fetchMultidimStatistics(
+    services.multidim.baseUrl,
+    getDatasetUrl(fileData.s3Url, validationResult.format),
+    details._variableUsed,
+    timeStep,
+    details._datasetOptions,
+    { signal }
+  );
+  const source = `titiler-multidim statistics of ${details._variableUsed}${timeStep === null ? '' : ` at ${timeStep}`}`;
+  return { rescale: getStatisticsRescale(statistics), source };
+};
+
+// The suggestion as { loading, error, suggestion, pending } for COGs, from the statistics the
+// parent already fetched, and titiler-cmr collections, from their time series statistics
+const getProvidedSuggestion = (validationResult, cogStatistics, timeSeriesRescale) => {
+  if (validationResult.isCMR) {
+    if (timeSeriesRescale) return { suggestion: timeSeriesRescale };
+    return {
+      pending: validationResult.metadata.hasTimeDimension
+        ? 'No suggested range yet: it comes from the time series statistics below'
+        : 'No suggested range: titiler-cmr statistics need a time dimension'
+    };
+  }
+  if (!cogStatistics || cogStatistics.loading) return { loading: true };
+  if (cogStatistics.error) return { error: cogStatistics.error };
+  const rescale = getStatisticsRescale(cogStatistics.data);
+  return { suggestion: rescale && { rescale, source: 'COG statistics' } };
+};
+
+// Colormap and rescale of every tile and GIF URL built for the dataset. The rescale is suggested
+// from the dataset's statistics and applied until the user picks their own. `cogStatistics`
+// ({ data, loading, error }) and `timeSeriesRescale` ({ rescale, source }) come from the parent.
+function RenderOptions({ fileData, validationResult, services, params, cogStatistics = null, timeSeriesRescale = null, onChange }) {
+  const [rescaleDraft, setRescaleDraft] = useState(params.rescale || [NaN, NaN]);
+  const [multidimState, setMultidimState] = useState({ loading: true });
+  const timeoutRef = useRef(null);
+  // The range last applied from a suggestion, replaced when the suggestion changes
+  const appliedRef = useRef(null);
+  const paramsRef = useRef(params);
+  paramsRef.current = params;
+
+  const details = validationResult.validationDetails || {};
+  const usesMultidim = !validationResult.isCMR && validationResult.format !== 'COG';
+  const timeStep = usesMultidim ? getSelectedTimeStep(details) : null;
+  const state = usesMultidim ? multidimState : getProvidedSuggestion(validationResult, cogStatistics, timeSeriesRescale);
+  const suggestion = state.suggestion && state.suggestion.rescale ? state.suggestion : null;
+  const suggestionKey = suggestion ? suggestion.rescale.join(',') : null;
+
+  useEffect(() => {
+    return () => clearTimeout(timeoutRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (!usesMultidim) return undefined;
+    const controller = new AbortController();
+    setMultidimState({ loading: true });
+
+    loadMultidimSuggestion({ fileData, validationResult, services, signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setMultidimState({ suggestion: result });
+      })
+      .catch(loadError => {
+        if (!controller.signal.aborted) setMultidimState({ error: loadError.message });
+      });
+
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [usesMultidim, fileData.s3Url, details._variableUsed, timeStep, services.multidim.baseUrl]);
+
+  useEffect(() => {
+    if (!suggestion) return;
+    const current = paramsRef.current;
+    if (!current.rescale || sameRange(current.rescale, appliedRef.current)) {
+      clearTimeout(timeoutRef.current);
+      appliedRef.current = suggestion.rescale;
+      setRescaleDraft(suggestion.rescale);
+      onChange({ ...current, rescale: suggestion.rescale });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [suggestionKey]);
+
+  const [rescaleMin, rescaleMax] = rescaleDraft;
+  const rescaleError = rescaleDraft.some(Number.isNaN)
+    ? (rescaleDraft.every(Number.isNaN) ? null : 'Both rescale values are required')
+    : rescaleMin >= rescaleMax ? 'Rescale minimum must be below maximum' : null;
+
+  const updateRescale = (index, value) => {
+    const next = [...rescaleDraft];
+    next[index] = parseNumber(value);
+    setRescaleDraft(next);
+
+    // Empty inputs leave the range to titiler; tiles only reload once the user pauses
+    clearTimeout(timeoutRef.current);
+    const usable = next.every(Number.isFinite) && next[0] < next[1];
+    if (usable || next.every(Number.isNaN)) {
+      timeoutRef.current = setTimeout(() => {
+        onChange({ ...paramsRef.current, rescale: usable ? next : null });
+      }, APPLY_DELAY_MS);
+    }
+  };
+
+  const applySuggestion = () => {
+    clearTimeout(timeoutRef.current);
+    appliedRef.current = suggestion.rescale;
+    setRescaleDraft(suggestion.rescale);
+    onChange({ ...params, rescale: suggestion.rescale });
+  };
+
+  return (
+    <div className="render-options">
+      <p className="render-options-title">Rendering</p>
+      <p className="render-options-description">
+        Colormap and rescale applied to the tile and GIF URLs and map previews below. The suggested range is
+        the 2nd–98th percentile of the data, so outliers don't wash out the rest.
+      </p>
+
+      <span className="render-options-label">Colormap</span>
+      {canColormapDataset(validationResult) ? (
+        <ColormapPicker
+          value={params.colormap}
+          baseUrl={services.raster.baseUrl}
+          onChange={(colormap) => onChange({ ...params, colormap })}
+        />
+      ) : (
+        <p className="render-options-note">
+          Multi-band COGs render as RGB; the rescale applies to every band and colormaps need a single band.
+        </p>
+      )}
+
+      <div className="render-options-rescale">
+        <span className="render-options-label">Rescale (min, max)</span>
+        <div className="render-options-inline">
+          {['Min', 'Max'].map((label, index) => (
+            <input
+              key={label}
+              type="number"
+              step="any"
+              aria-label={`Rescale ${label}`}
+              placeholder={label}
+              value={Number.isNaN(rescaleDraft[index]) ? '' : rescaleDraft[index]}
+              onChange={(e) => updateRescale(index, e.target.value)}
+            />
+          ))}
+        </div>
+        {rescaleError && <span className="render-options-error">{rescaleError}</span>}
+        <div className="render-options-suggestion">
+          {state.loading && <span>Computing a suggested range from the statistics...</span>}
+          {state.error && <span>No suggested range: could not load statistics ({state.error})</span>}
+          {state.pending && <span>{state.pending}</span>}
+          {state.suggestion !== undefined && !suggestion && <span>No suggested range: the statistics have no usable values</span>}
+          {suggestion && (
+            <>
+              <span>
+                Suggested <strong>{suggestion.rescale.join(' – ')}</strong> from the {suggestion.source}
+              </span>
+              {!sameRange(suggestion.rescale, rescaleDraft) && (
+                <button type="button" className="render-options-apply" onClick={applySuggestion}>
+                  Use suggestion
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RenderOptions;
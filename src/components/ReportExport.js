@@ -0,0 +1,50 @@
+import React from 'react';
+import { reportToJson, reportToMarkdown, reportToHtml, getReportFileName } from '../utils/report';
+import { downloadFile } from '../utils/download';
+import './ReportExport.css';
+
+function ReportExport({ report }) {
+  const handlePrint = () => {
+    // Printing from the browser dialog gives a PDF ("Save as PDF")
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+    printWindow.document.write(reportToHtml(report));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <div className="report-export">
+      <h3>Export Report</h3>
+      <p className="report-export-description">
+        Input, validation steps, recommended services with endpoint examples and the raw validation details.
+      </p>
+      <div className="report-export-buttons">
+        <button
+          className="report-export-button"
+          onClick={() => downloadFile(reportToMarkdown(report), getReportFileName(report, 'md'), 'text/markdown')}
+        >
+          Markdown
+        </button>
+        <button
+          className="report-export-button"
+          onClick={() => downloadFile(reportToJson(report), getReportFileName(report, 'json'), 'application/json')}
+        >
+          JSON
+        </button>
+        <button
+          className="report-export-button"
+          onClick={() => downloadFile(reportToHtml(report), getReportFileName(report, 'html'), 'text/html')}
+        >
+          HTML
+        </button>
+        <button className="report-export-button" onClick={handlePrint}>
+          Print / PDF
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ReportExport;
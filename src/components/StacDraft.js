@@ -0,0 +1,71 @@
+import React, { useMemo, useState } from 'react';
+import { buildStacDraft, STAC_VERSION } from '../utils/stac';
+import { downloadFile } from '../utils/download';
+import './StacDraft.css';
+
+const TABS = [
+  { key: 'collection', label: 'Collection', fileName: () => 'collection.json' },
+  { key: 'item', label: 'Item', fileName: (item) => `${item.id}.json` }
+];
+
+function StacDraft({ fileData, validationResult }) {
+  const [activeTab, setActiveTab] = useState('collection');
+
+  const draft = useMemo(
+    () => buildStacDraft({ fileData, validationResult }),
+    [fileData, validationResult]
+  );
+  const object = draft[activeTab];
+  const extensions = object.stac_extensions.map(url => url.split('/')[3]);
+
+  return (
+    <div className="stac-draft">
+      <h3>Draft STAC Metadata</h3>
+      <p className="stac-draft-description">
+        A starting point for cataloging this dataset in VEDA, written for STAC {STAC_VERSION}
+        {extensions.length > 0 ? ` with the ${extensions.join(', ')} extensions` : ''}.
+      </p>
+
+      <div className="stac-draft-tabs">
+        {TABS.map(entry => (
+          <button
+            key={entry.key}
+            className={`stac-draft-tab ${activeTab === entry.key ? 'active' : ''}`}
+            onClick={() => setActiveTab(entry.key)}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+
+      <pre className="stac-draft-json">{JSON.stringify(object, null, 2)}</pre>
+
+      {draft.notes.length > 0 && (
+        <div className="stac-draft-notes">
+          <strong>Before publishing:</strong>
+          <ul>
+            {draft.notes.map(note => <li key={note}>{note}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="stac-draft-buttons">
+        {TABS.map(entry => (
+          <button
+            key={entry.key}
+            className="stac-draft-button"
+            onClick={() => downloadFile(
+              JSON.stringify(draft[entry.key], null, 2),
+              entry.fileName(draft[entry.key]),
+              'application/json'
+            )}
+          >
+            Download {entry.fileName(draft[entry.key])}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default StacDraft;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  TILE_SIZE,
+  MIN_ZOOM,
+  MAX_ZOOM,
+  WORLD_BOUNDS,
+  lonToPixel,
+  latToPixel,
+  pixelToLon,
+  pixelToLat,
+  fillTileTemplate,
+  fitBounds
+} from '../utils/geo';
+import './TileMapPreview.css';
+
+const BASEMAP_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+// Pointer movement below this many pixels is a click, not a drag
+const CLICK_TOLERANCE = 4;
+// Drawn coordinates are rounded to about 10 m
+const COORDINATE_DECIMALS = 4;
+
+const roundCoordinate = (value) => Number(value.toFixed(COORDINATE_DECIMALS));
+
+const DRAW_HINTS = {
+  rectangle: 'Drag to draw a rectangle',
+  polygon: 'Click to add vertices, double-click to finish the polygon'
+};
+
+const describeTileError = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (response.ok) {
+      return { status: response.status, message: 'Tile could not be decoded as an image' };
+    }
+
+    let message = response.statusText;
+    try {
+      const body = await response.json();
+      if (body.detail) {
+        message = typeof body.detail === 'string' ? body.detail : JSON.stringify(body.detail);
+      }
+    } catch (parseError) {
+      // Not a JSON error body, keep the status text
+    }
+    return { status: response.status, message };
+  } catch (error) {
+    return { status: null, message: error.message || 'Network error' };
+  }
+};
+
+function MapTile({ url, basemapUrl, left, top, error, onError }) {
+  return (
+    <div className="map-tile" style={{ left, top, width: TILE_SIZE, height: TILE_SIZE }}>
+      <img src={basemapUrl} alt="" className="map-tile-basemap" draggable={false} />
+      {url && !error && (
+        <img
+          src={url}
+          alt=""
+          className="map-tile-data"
+          draggable={false}
+          onError={() => onError(url)}
+        />
+      )}
+      {error && (
+        <div className={`map-tile-error ${error.status === 404 ? 'empty' : ''}`} title={error.message}>
+          {error.status === 404 ? 'No data' : `${error.status || 'Error'}: ${error.message}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Slippy map of `tileUrl` over an OpenStreetMap basemap (basemap only when `tileUrl` is null).
+// `geometry` (GeoJSON Polygon/MultiPolygon) is outlined on top. With a `drawMode` of "rectangle"
+// or "polygon" the user draws a shape, reported through `onDraw` as { bbox } or { points }.
+function TileMapPreview({ tileUrl, bounds, height = 320, geometry = null, drawMode = null, onDraw }) {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [view, setView] = useState(null);
+  const [tileErrors, setTileErrors] = useState({});
+  // Each failed tile would re-request its URL to learn why; one probe per tile URL template is enough
+  const tileProbeRef = useRef(null);
+  // Shape being drawn: { start, end } for a rectangle, { points, cursor } for a polygon
+  const [sketch, setSketch] = useState(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    setWidth(container.clientWidth);
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(entries => {
+      setWidth(entries[0].contentRect.width);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (width > 0 && !view) {
+      setView(fitBounds(bounds || WORLD_BOUNDS, width, height));
+    }
+  }, [width, height, bounds, view]);
+
+  useEffect(() => {
+    tileProbeRef.current = null;
+    setTileErrors({});
+  }, [tileUrl]);
+
+  useEffect(() => {
+    setSketch(null);
+  }, [drawMode]);
+
+  // Top-left corner of the viewport in world pixels at the current zoom
+  const getOrigin = () => [
+    lonToPixel(view.center[0], view.zoom) - width / 2,
+    latToPixel(view.center[1], view.zoom) - height / 2
+  ];
+
+  const toScreen = ([lon, lat]) => {
+    const [left, top] = getOrigin();
+    return [lonToPixel(lon, view.zoom) - left, latToPixel(lat, view.zoom) - top];
+  };
+
+  const toLonLat = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const [left, top] = getOrigin();
+    const lon = pixelToLon(e.clientX - rect.left + left, view.zoom);
+    const lat = pixelToLat(e.clientY - rect.top + top, view.zoom);
+    return [
+      roundCoordinate(Math.max(-180, Math.min(180, lon))),
+      roundCoordinate(Math.max(WORLD_BOUNDS[1], Math.min(WORLD_BOUNDS[3], lat)))
+    ];
+  };
+
+  const handleTileError = async (url) => {
+    if (!tileProbeRef.current) tileProbeRef.current = describeTileError(url);
+    const error = await tileProbeRef.current;
+    setTileErrors(previous => ({ ...previous, [url]: error }));
+  };
+
+  const setZoom = (zoom) => {
+    setView(previous => ({
+      ...previous,
+      zoom: Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom))
+    }));
+  };
+
+  const handleFit = () => {
+    setView(fitBounds(bounds || WORLD_BOUNDS, width, height));
+  };
+
+  const handlePointerDown = (e) => {
+    if (!view) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (drawMode === 'rectangle') {
+      const position = toLonLat(e);
+      setSketch({ start: position, end: position });
+      return;
+    }
+    dragRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      centerX: lonToPixel(view.center[0], view.zoom),
+      centerY: latToPixel(view.center[1], view.zoom)
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    if (view && drawMode === 'rectangle' && sketch) {
+      setSketch({ ...sketch, end: toLonLat(e) });
+      return;
+    }
+    if (view && drawMode === 'polygon') {
+      const cursor = toLonLat(e);
+      setSketch(previous => ({ points: previous ? previous.points : [], cursor }));
+    }
+
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    setView(previous => ({
+      ...previous,
+      center: [
+        pixelToLon(drag.centerX - (e.clientX - drag.x), previous.zoom),
+        pixelToLat(drag.centerY - (e.clientY - drag.y), previous.zoom)
+      ]
+    }));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    if (drawMode === 'rectangle' && sketch) {
+      const [x0, y0] = sketch.start;
+      const [x1, y1] = sketch.end;
+      setSketch(null);
+      if (x0 !== x1 && y0 !== y1) {
+        onDraw({ bbox: [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)] });
+      }
+      return;
+    }
+
+    const isClick = drag && Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < CLICK_TOLERANCE;
+    if (drawMode === 'polygon' && isClick) {
+      const position = toLonLat(e);
+      setSketch(previous => {
+        const points = previous ? previous.points : [];
+        const last = points[points.length - 1];
+        // The clicks of a double-click land on the previous vertex
+        if (last) {
+          const [lastX, lastY] = toScreen(last);
+          const [x, y] = toScreen(position);
+          if (Math.hypot(x - lastX, y - lastY) < CLICK_TOLERANCE) return previous;
+        }
+        return { points: [...points, position], cursor: position };
+      });
+    }
+  };
+
+  const handleDoubleClick = () => {
+    if (!view) return;
+    if (drawMode === 'polygon') {
+      if (sketch && sketch.points.length >= 3) {
+        onDraw({ points: sketch.points });
+        setSketch(null);
+      }
+      return;
+    }
+    setZoom(view.zoom + 1);
+  };
+
+  const toPath = (ring) => `M${ring.map(position => toScreen(position).join(',')).join('L')}Z`;
+
+  const renderOverlay = () => {
+    if (!view || width === 0) return null;
+
+    const polygons = !geometry ? [] : geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    let sketchPath = null;
+    if (sketch && sketch.start) {
+      const [x0, y0] = sketch.start;
+      const [x1, y1] = sketch.end;
+      sketchPath = toPath([[x0, y0], [x1, y0], [x1, y1], [x0, y1]]);
+    } else if (sketch && sketch.points.length > 0) {
+      const points = [...sketch.points, sketch.cursor].map(position => toScreen(position).join(','));
+      sketchPath = `M${points.join('L')}`;
+    }
+
+    return (
+      <svg className="tile-map-overlay" width={width} height={height}>
+        {polygons.map((polygon, index) => (
+          <path key={index} className="tile-map-geometry" d={polygon.map(toPath).join('')} />
+        ))}
+        {sketchPath && <path className="tile-map-sketch" d={sketchPath} />}
+      </svg>
+    );
+  };
+
+  const renderTiles = () => {
+    if (!view || width === 0) return null;
+
+    const { zoom, center } = view;
+    const tileCount = Math.pow(2, zoom);
+    const left = lonToPixel(center[0], zoom) - width / 2;
+    const top = latToPixel(center[1], zoom) - height / 2;
+
+    const tiles = [];
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+      for (let ty = Math.max(0, Math.floor(top / TILE_SIZE)); ty <= Math.min(tileCount - 1, Math.floor((top + height) / TILE_SIZE)); ty++) {
+        const x = ((tx % tileCount) + tileCount) % tileCount;
+        const url = tileUrl ? fillTileTemplate(tileUrl, zoom, x, ty) : null;
+        tiles.push(
+          <MapTile
+            key={`${tx}/${ty}`}
+            url={url}
+            basemapUrl={fillTileTemplate(BASEMAP_URL, zoom, x, ty)}
+            left={tx * TILE_SIZE - left}
+            top={ty * TILE_SIZE - top}
+            error={tileErrors[url]}
+            onError={handleTileError}
+          />
+        );
+      }
+    }
+    return tiles;
+  };
+
+  const failures = Object.values(tileErrors).filter(error => error.status !== 404);
+  const distinctMessages = [...new Set(failures.map(error => `${error.status || 'Error'}: ${error.message}`))];
+
+  return (
+    <div className="tile-map-preview">
+      <div
+        ref={containerRef}
+        className={`tile-map-viewport ${drawMode ? 'drawing' : ''}`}
+        style={{ height }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          dragRef.current = null;
+        }}
+        onDoubleClick={handleDoubleClick}
+      >
+        {renderTiles()}
+        {renderOverlay()}
+        <div
+          className="tile-map-controls"
+          onPointerDown={(e) => e.stopPropagation()}
+          onDoubleClick={(e) => e.stopPropagation()}
+        >
+          <button type="button" onClick={() => setZoom(view.zoom + 1)} disabled={!view} title="Zoom in">+</button>
+          <button type="button" onClick={() => setZoom(view.zoom - 1)} disabled={!view} title="Zoom out">−</button>
+          <button type="button" onClick={handleFit} disabled={!view} title="Zoom to dataset">⤢</button>
+        </div>
+        <div className="tile-map-attribution">© OpenStreetMap contributors</div>
+      </div>
+      <div className="tile-map-status">
+        <span>Zoom {view ? view.zoom : '-'}</span>
+        {drawMode && <span className="tile-map-draw-hint">{DRAW_HINTS[drawMode]}</span>}
+        {!bounds && <span>Dataset bounds unavailable, showing the whole world</span>}
+        {failures.length > 0 && (
+          <span className="tile-map-error-count">{failures.length} tile(s) failed to load</span>
+        )}
+      </div>
+      {distinctMessages.length > 0 && (
+        <ul className="tile-map-errors">
+          {distinctMessages.slice(0, 3).map(message => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TileMapPreview;
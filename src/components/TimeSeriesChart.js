@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import {
+  SERIES_STATISTICS,
+  DEFAULT_SERIES_STATISTICS,
+  BRUSH_MIN_POINTS,
+  parseTimeSeries,
+  getAvailableStatistics,
+  getValueExtent,
+  getMeanReferenceLines,
+  filterByDomain,
+  findNearestPoint,
+  formatSeriesValue,
+  timeSeriesToCsv,
+  getTimeSeriesFileName
+} from '../utils/timeSeries';
+import { downloadFile, serializeSvg, downloadSvgAsPng } from '../utils/download';
+import './TimeSeriesChart.css';
+
+const HEIGHT = 320;
+const MARGIN = { top: 20, right: 20, bottom: 45, left: 70 };
+const DAY = 24 * 60 * 60 * 1000;
+// Above this many visible dates the points are drawn as lines only
+const MAX_DOTS = 60;
+
+let chartCount = 0;
+
+function TimeSeriesChart({ data, params }) {
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const clipIdRef = useRef(null);
+  if (!clipIdRef.current) clipIdRef.current = `time-series-clip-${++chartCount}`;
+
+  const [width, setWidth] = useState(0);
+  const [selected, setSelected] = useState(DEFAULT_SERIES_STATISTICS);
+  const [showEnvelope, setShowEnvelope] = useState(true);
+  // [start, end] dates of the zoomed window, null for the full series
+  const [domain, setDomain] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const series = useMemo(() => parseTimeSeries(data), [data]);
+  const available = getAvailableStatistics(series);
+  const hasEnvelope = available.some(statistic => statistic.key === 'min') && available.some(statistic => statistic.key === 'max');
+  const canBrush = series.length >= BRUSH_MIN_POINTS;
+
+  useEffect(() => {
+    setDomain(null);
+  }, [series]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    setWidth(container.clientWidth);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(entries => {
+      setWidth(entries[0].contentRect.width);
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const svgElement = svgRef.current;
+    const tooltip = d3.select(tooltipRef.current);
+    d3.select(svgElement).selectAll('*').remove();
+    tooltip.style('display', 'none');
+    if (series.length === 0 || width === 0) return;
+
+    const keys = selected.filter(key => available.some(statistic => statistic.key === key));
+    const statistics = SERIES_STATISTICS.filter(statistic => keys.includes(statistic.key));
+    const envelope = showEnvelope && hasEnvelope;
+    const visible = filterByDomain(series, domain);
+
+    const innerWidth = Math.max(width - MARGIN.left - MARGIN.right, 100);
+    const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+    let [start, end] = domain || d3.extent(series, point => point.datetime);
+    if (+start === +end) {
+      start = new Date(+start - DAY);
+      end = new Date(+end + DAY);
+    }
+    const xScale = d3.scaleUtc().domain([start, end]).range([0, innerWidth]);
+
+    const [low, high] = getValueExtent(visible, envelope ? [...keys, 'min', 'max'] : keys) || [0, 1];
+    const padding = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+    const yScale = d3.scaleLinear()
+      .domain([low - padding, high + padding])
+      .range([innerHeight, 0])
+      .nice();
+
+    const svg = d3.select(svgElement)
+      .attr('width', innerWidth + MARGIN.left + MARGIN.right)
+      .attr('height', HEIGHT)
+      .attr('font-family', 'sans-serif');
+
+    svg.append('rect')
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .attr('fill', 'white');
+
+    const chart = svg.append('g')
+      .attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+
+    chart.append('clipPath')
+      .attr('id', clipIdRef.current)
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
+
+    chart.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(innerWidth / 100))))
+      .selectAll('text')
+      .style('font-size', '11px');
+
+    chart.append('g')
+      .call(d3.axisLeft(yScale).ticks(6).tickFormat(formatSeriesValue))
+      .selectAll('text')
+      .style('font-size', '11px');
+
+    chart.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', -MARGIN.left)
+      .attr('x', -innerHeight / 2)
+      .attr('dy', '1em')
+      .style('text-anchor', 'middle')
+      .style('fill', '#2d3748')
+      .style('font-size', '12px')
+      .text((params && params.variable) || 'Value');
+
+    const plot = chart.append('g').attr('clip-path', `url(#${clipIdRef.current})`);
+
+    if (envelope) {
+      plot.append('path')
+        .datum(series)
+        .attr('fill', '#bee3f8')
+        .attr('fill-opacity', 0.6)
+        .attr('d', d3.area()
+          .defined(point => point.min !== null && point.max !== null)
+          .x(point => xScale(point.datetime))
+          .y0(point => yScale(point.min))
+          .y1(point => yScale(point.max)));
+    }
+
+    statistics.forEach(statistic => {
+      plot.append('path')
+        .datum(series)
+        .attr('fill', 'none')
+        .attr('stroke', statistic.color)
+        .attr('stroke-width', 2)
+        .attr('d', d3.line()
+          .defined(point => point[statistic.key] !== null)
+          .x(point => xScale(point.datetime))
+          .y(point => yScale(point[statistic.key])));
+
+      if (visible.length <= MAX_DOTS) {
+        plot.selectAll(null)
+          .data(visible.filter(point => point[statistic.key] !== null))
+          .enter()
+          .append('circle')
+          .attr('cx', point => xScale(point.datetime))
+          .attr('cy', point => yScale(point[statistic.key]))
+          .attr('r', 3)
+          .attr('fill', statistic.color);
+      }
+    });
+
+    // Lowest, highest and average mean of the visible dates
+    if (keys.includes('mean')) {
+      getMeanReferenceLines(visible).forEach(line => {
+        plot.append('line')
+          .attr('x1', 0)
+          .attr('x2', innerWidth)
+          .attr('y1', yScale(line.value))
+          .attr('y2', yScale(line.value))
+          .attr('stroke', line.color)
+          .attr('stroke-width', 1)
+          .attr('stroke-dasharray', '4,4')
+          .attr('opacity', 0.6);
+
+        plot.append('text')
+          .attr('x', innerWidth - 5)
+          .attr('y', yScale(line.value) - 5)
+          .attr('text-anchor', 'end')
+          .style('font-size', '11px')
+          .style('fill', line.color)
+          .text(`${line.label}: ${formatSeriesValue(line.value)}`);
+      });
+    }
+
+    const hoverLine = chart.append('line')
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .attr('stroke', '#a0aec0')
+      .attr('stroke-dasharray', '3,3')
+      .style('display', 'none');
+
+    const showTooltip = (event) => {
+      const [x] = d3.pointer(event, chart.node());
+      const point = findNearestPoint(visible, xScale.invert(x));
+      if (!point) return;
+
+      const pointX = xScale(point.datetime);
+      hoverLine.attr('x1', pointX).attr('x2', pointX).style('display', null);
+
+      const rows = [
+        point.dateStr,
+        ...statistics.map(statistic => `${statistic.label}: ${formatSeriesValue(point[statistic.key])}`),
+        ...(envelope && !keys.includes('min') ? [`Min: ${formatSeriesValue(point.min)}`] : []),
+        ...(envelope && !keys.includes('max') ? [`Max: ${formatSeriesValue(point.max)}`] : [])
+      ];
+      tooltip.selectAll('div')
+        .data(rows)
+        .join('div')
+        .text(row => row);
+
+      // Keep the tooltip inside the chart: flip it to the left of the line past the middle
+      const left = MARGIN.left + pointX;
+      tooltip
+        .style('display', 'block')
+        .style('top', `${MARGIN.top}px`)
+        .style('left', pointX > innerWidth / 2 ? null : `${left + 12}px`)
+        .style('right', pointX > innerWidth / 2 ? `${innerWidth + MARGIN.left + MARGIN.right - left + 12}px` : null);
+    };
+
+    const hideTooltip = () => {
+      hoverLine.style('display', 'none');
+      tooltip.style('display', 'none');
+    };
+
+    if (canBrush) {
+      const brush = d3.brushX()
+        .extent([[0, 0], [innerWidth, innerHeight]])
+        .on('end', (event) => {
+          if (!event.selection) return;
+          const range = event.selection.map(x => xScale.invert(x));
+          // A window without at least two dates would leave nothing to plot
+          if (filterByDomain(series, range).length < 2) {
+            chart.select('.time-series-brush').call(brush.move, null);
+            return;
+          }
+          setDomain(range);
+        });
+
+      chart.append('g')
+        .attr('class', 'time-series-brush')
+        .call(brush)
+        .on('mousemove.tooltip', showTooltip)
+        .on('mouseleave.tooltip', hideTooltip);
+    } else {
+      chart.append('rect')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .attr('fill', 'transparent')
+        .on('mousemove', showTooltip)
+        .on('mouseleave', hideTooltip);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [series, selected, showEnvelope, domain, width, params && params.variable]);
+
+  const toggleStatistic = (key) => {
+    setSelected(previous => (
+      previous.includes(key) ? previous.filter(selectedKey => selectedKey !== key) : [...previous, key]
+    ));
+  };
+
+  const handleExportPng = async () => {
+    setExportError(null);
+    try {
+      await downloadSvgAsPng(svgRef.current, getTimeSeriesFileName(params, 'png'));
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  if (series.length === 0) {
+    return <div className="chart-container time-series-empty">No statistics were returned for this time range.</div>;
+  }
+
+  return (
+    <div className="time-series-chart">
+      <div className="time-series-controls">
+        {available.map(statistic => (
+          <label key={statistic.key} className="time-series-toggle">
+            <input
+              type="checkbox"
+              checked={selected.includes(statistic.key)}
+              onChange={() => toggleStatistic(statistic.key)}
+            />
+            <span className="time-series-swatch" style={{ backgroundColor: statistic.color }}></span>
+            {statistic.label}
+          </label>
+        ))}
+        {hasEnvelope && (
+          <label className="time-series-toggle">
+            <input
+              type="checkbox"
+              checked={showEnvelope}
+              onChange={(e) => setShowEnvelope(e.target.checked)}
+            />
+            <span className="time-series-swatch envelope"></span>
+            Min–max range
+          </label>
+        )}
+      </div>
+
+      <div className="chart-container time-series-plot" ref={containerRef}>
+        <svg ref={svgRef}></svg>
+        <div className="time-series-tooltip" ref={tooltipRef}></div>
+      </div>
+
+      <div className="time-series-footer">
+        <span className="time-series-hint">
+          {series.length} date(s)
+          {canBrush && (domain ? ' · zoomed in' : ' · drag across the chart to zoom')}
+        </span>
+        {domain && (
+          <button type="button" className="time-series-button" onClick={() => setDomain(null)}>
+            Reset zoom
+          </button>
+        )}
+        <button
+          type="button"
+          className="time-series-button"
+          onClick={() => downloadFile(timeSeriesToCsv(series), getTimeSeriesFileName(params, 'csv'), 'text/csv')}
+        >
+          CSV
+        </button>
+        <button
+          type="button"
+          className="time-series-button"
+          onClick={() => downloadFile(serializeSvg(svgRef.current), getTimeSeriesFileName(params, 'svg'), 'image/svg+xml')}
+        >
+          SVG
+        </button>
+        <button type="button" className="time-series-button" onClick={handleExportPng}>
+          PNG
+        </button>
+      </div>
+      {exportError && <div className="time-series-error">{exportError}</div>}
+    </div>
+  );
+}
+
+export default TimeSeriesChart;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import AoiEditor from './AoiEditor';
+import { validateTimeSeriesParams } from '../utils/cmr';
+import './TimeSeriesParamsForm.css';
+
+const APPLY_DELAY_MS = 600;
+const STEP_SUGGESTIONS = ['P1D', 'P7D', 'P1M', 'P1Y', 'PT6H'];
+const BBOX_LABELS = ['West', 'South', 'East', 'North'];
+
+// datetime-local inputs work in minutes without a timezone; params are UTC ISO strings
+const toInputValue = (isoString) => (isoString ? isoString.slice(0, 16) : '');
+const fromInputValue = (value) => (value ? `${value}:00Z` : '');
+
+const parseNumber = (value) => (value === '' ? NaN : Number(value));
+
+// The colormap and rescale of the GIF are the render params shared with the tiles (see RenderOptions)
+function TimeSeriesParamsForm({ params, variables, temporalExtent, onChange }) {
+  const [draft, setDraft] = useState(params);
+  const timeoutRef = useRef(null);
+  // The params this form last applied; any others were set from outside (another dataset, a history entry)
+  const appliedRef = useRef(params);
+
+  useEffect(() => {
+    return () => clearTimeout(timeoutRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (params === appliedRef.current) return;
+    clearTimeout(timeoutRef.current);
+    appliedRef.current = params;
+    setDraft(params);
+  }, [params]);
+
+  const errors = validateTimeSeriesParams(draft, temporalExtent);
+
+  const updateDraft = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+
+    // Only re-issue preview requests once the user pauses and the params are valid
+    clearTimeout(timeoutRef.current);
+    if (Object.keys(validateTimeSeriesParams(next, temporalExtent)).length === 0) {
+      timeoutRef.current = setTimeout(() => {
+        appliedRef.current = next;
+        onChange(next);
+      }, APPLY_DELAY_MS);
+    }
+  };
+
+  const updateBbox = (index, value) => {
+    const bbox = [...draft.bbox];
+    bbox[index] = parseNumber(value);
+    // A typed bbox replaces any drawn or uploaded polygon
+    updateDraft({ bbox, aoi: null });
+  };
+
+  return (
+    <div className="params-form">
+      <p className="params-form-title">Time Series Parameters</p>
+      <div className="params-grid">
+        <label className="params-field">
+          <span className="params-label">Variable</span>
+          {variables.length > 0 ? (
+            <select value={draft.variable} onChange={(e) => updateDraft({ variable: e.target.value })}>
+              {variables.map(variable => (
+                <option key={variable} value={variable}>{variable}</option>
+              ))}
+            </select>
+          ) : (
+            <input type="text" value={draft.variable} onChange={(e) => updateDraft({ variable: e.target.value })} />
+          )}
+          {errors.variable && <span className="params-error">{errors.variable}</span>}
+        </label>
+
+        <label className="params-field">
+          <span className="params-label">Start (UTC)</span>
+          <input
+            type="datetime-local"
+            value={toInputValue(draft.start)}
+            min={toInputValue(temporalExtent && temporalExtent.start)}
+            max={toInputValue(temporalExtent && temporalExtent.end)}
+            onChange={(e) => updateDraft({ start: fromInputValue(e.target.value) })}
+          />
+          {errors.start && <span className="params-error">{errors.start}</span>}
+        </label>
+
+        <label className="params-field">
+          <span className="params-label">End (UTC)</span>
+          <input
+            type="datetime-local"
+            value={toInputValue(draft.end)}
+            min={toInputValue(temporalExtent && temporalExtent.start)}
+            max={toInputValue(temporalExtent && temporalExtent.end)}
+            onChange={(e) => updateDraft({ end: fromInputValue(e.target.value) })}
+          />
+          {errors.end && <span className="params-error">{errors.end}</span>}
+        </label>
+
+        <label className="params-field">
+          <span className="params-label">Step (ISO 8601 duration)</span>
+          <input
+            type="text"
+            list="time-series-step-suggestions"
+            value={draft.step}
+            placeholder="Every available timestep"
+            onChange={(e) => updateDraft({ step: e.target.value.trim() })}
+          />
+          <datalist id="time-series-step-suggestions">
+            {STEP_SUGGESTIONS.map(step => <option key={step} value={step} />)}
+          </datalist>
+          {errors.step && <span className="params-error">{errors.step}</span>}
+        </label>
+
+        <div className="params-field params-field-wide">
+          <span className="params-label">Bounding Box / Area of Interest</span>
+          <div className="params-inline">
+            {BBOX_LABELS.map((label, index) => (
+              <input
+                key={label}
+                type="number"
+                step="any"
+                aria-label={label}
+                title={label}
+                placeholder={label}
+                value={Number.isNaN(draft.bbox[index]) ? '' : draft.bbox[index]}
+                onChange={(e) => updateBbox(index, e.target.value)}
+              />
+            ))}
+          </div>
+          {errors.bbox && <span className="params-error">{errors.bbox}</span>}
+          <AoiEditor bbox={draft.bbox} aoi={draft.aoi || null} onChange={updateDraft} />
+        </div>
+      </div>
+      {temporalExtent && (
+        <p className="params-hint">
+          Collection temporal extent: {temporalExtent.start} to {temporalExtent.end || 'present'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TimeSeriesParamsForm;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getTimeSteps, getSelectedTimeStep } from '../utils/multidim';
+import './TimeStepExplorer.css';
+
+// Tiles reload on every change, so dragging the slider only applies once it pauses
+const APPLY_DELAY_MS = 300;
+
+// Picks the time step of a titiler-multidim variable that the tile, info and statistics URLs select
+function TimeStepExplorer({ validationDetails, onTimeStepChange }) {
+  const steps = getTimeSteps(validationDetails);
+  const selected = getSelectedTimeStep(validationDetails);
+  const [index, setIndex] = useState(Math.max(0, steps.indexOf(selected)));
+  const timeoutRef = useRef(null);
+
+  useEffect(() => {
+    return () => clearTimeout(timeoutRef.current);
+  }, []);
+
+  // Another variable can have other time steps
+  useEffect(() => {
+    setIndex(Math.max(0, steps.indexOf(selected)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [validationDetails._variableUsed, selected]);
+
+  const select = (nextIndex, delay = 0) => {
+    const clamped = Math.max(0, Math.min(steps.length - 1, nextIndex));
+    setIndex(clamped);
+    clearTimeout(timeoutRef.current);
+    const apply = () => onTimeStepChange({ ...validationDetails, _timeStep: steps[clamped] });
+    if (delay > 0) {
+      timeoutRef.current = setTimeout(apply, delay);
+    } else {
+      apply();
+    }
+  };
+
+  return (
+    <div className="time-explorer-card">
+      <h3>Time</h3>
+      <p className="time-explorer-description">
+        {steps.length} time steps from <strong>{steps[0]}</strong> to <strong>{steps[steps.length - 1]}</strong>.
+        The tile, info and statistics URLs below select the step chosen here.
+      </p>
+
+      <div className="time-explorer-row">
+        <button type="button" className="time-explorer-step" onClick={() => select(index - 1)} disabled={index === 0} title="Previous time step">
+          ◀
+        </button>
+        <input
+          type="range"
+          className="time-explorer-slider"
+          min={0}
+          max={steps.length - 1}
+          value={index}
+          aria-label="Time step"
+          onChange={(e) => select(Number(e.target.value), APPLY_DELAY_MS)}
+        />
+        <button type="button" className="time-explorer-step" onClick={() => select(index + 1)} disabled={index === steps.length - 1} title="Next time step">
+          ▶
+        </button>
+      </div>
+
+      <div className="time-explorer-row">
+        <select
+          className="time-explorer-select"
+          value={index}
+          aria-label="Time step value"
+          onChange={(e) => select(Number(e.target.value))}
+        >
+          {steps.map((step, stepIndex) => (
+            <option key={step} value={stepIndex}>{step}</option>
+          ))}
+        </select>
+        <span className="time-explorer-position">Step {index + 1} of {steps.length}</span>
+      </div>
+    </div>
+  );
+}
+
+export default TimeStepExplorer;
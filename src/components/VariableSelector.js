@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { loadVariableDetails, isAuxiliaryVariable } from '../utils/multidim';
+import { getChunkBytes } from '../utils/zarr';
+import { formatBytes } from '../utils/access';
+import './VariableSelector.css';
+
+const getVariableAttributes = (info) => {
+  if (info.attrs && typeof info.attrs === 'object') {
+    return info.attrs;
+  }
+  // rio-tiler style band metadata: [["b1", { ...attrs }]]
+  if (Array.isArray(info.band_metadata) && info.band_metadata.length > 0) {
+    return info.band_metadata[0][1] || {};
+  }
+  return {};
+};
+
+const formatDimensions = (dimensions) => {
+  if (!dimensions) return null;
+  if (Array.isArray(dimensions)) return dimensions.join(', ');
+  return Object.entries(dimensions)
+    .map(([name, size]) => `${name}: ${size}`)
+    .join(', ');
+};
+
+function VariableSelector({ fileUrl, multidimUrl, validationDetails, onVariableChange }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const variables = validationDetails._allVariables || [];
+  const selectedVariable = validationDetails._variableUsed;
+
+  const handleChange = async (e) => {
+    const variable = e.target.value;
+    setLoading(true);
+    setError(null);
+
+    try {
+      onVariableChange(await loadVariableDetails(multidimUrl, fileUrl, validationDetails, variable));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const attributes = getVariableAttributes(validationDetails);
+  const dimensions = formatDimensions(validationDetails.dimensions);
+  const zarrArray = validationDetails._zarr &&
+    validationDetails._zarr.arrays.find(array => array.name.split('/').pop() === selectedVariable);
+
+  return (
+    <div className="variable-selector-card">
+      <h3>Variable</h3>
+      <div className="variable-selector-row">
+        <select
+          value={selectedVariable}
+          onChange={handleChange}
+          disabled={loading}
+          className="variable-select"
+        >
+          {variables.map(variable => (
+            <option key={variable} value={variable}>
+              {variable}{isAuxiliaryVariable(variable) ? ' (coordinate/bounds)' : ''}
+            </option>
+          ))}
+        </select>
+        {loading && <span className="variable-loading">Loading variable info...</span>}
+      </div>
+
+      {error && <div className="variable-error">Could not load info for this variable: {error}</div>}
+
+      <div className="info-grid variable-info-grid">
+        {dimensions && (
+          <div className="info-item">
+            <span className="info-label">Dimensions:</span>
+            <span className="info-value">{dimensions}</span>
+          </div>
+        )}
+        {validationDetails.dtype && (
+          <div className="info-item">
+            <span className="info-label">Data Type:</span>
+            <span className="info-value">{validationDetails.dtype}</span>
+          </div>
+        )}
+        {validationDetails.width && validationDetails.height && (
+          <div className="info-item">
+            <span className="info-label">Grid Size:</span>
+            <span className="info-value">{validationDetails.width} × {validationDetails.height}</span>
+          </div>
+        )}
+        {zarrArray && zarrArray.chunks.length > 0 && (
+          <div className="info-item">
+            <span className="info-label">Chunks:</span>
+            <span className="info-value">
+              {zarrArray.chunks.join(' × ')}
+              {getChunkBytes(zarrArray) && ` (${formatBytes(getChunkBytes(zarrArray))})`}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {Object.keys(attributes).length > 0 && (
+        <table className="variable-attrs">
+          <tbody>
+            {Object.entries(attributes).map(([key, value]) => (
+              <tr key={key}>
+                <th>{key}</th>
+                <td>{typeof value === 'object' ? JSON.stringify(value) : String(value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default VariableSelector;
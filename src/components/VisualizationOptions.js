@@ -1,256 +1,76 @@
 import React from 'react';
 import './VisualizationOptions.css';
-import * as d3 from 'd3';
-
-function TimeSeriesChart({ data }) {
-  const svgRef = React.useRef();
-
-  React.useEffect(() => {
-    if (!data || !data.properties || !data.properties.statistics) return;
-
-    const statistics = data.properties.statistics;
-    
-    // Extract datetime and mean values
-    const chartData = Object.entries(statistics).map(([datetime, stats]) => {
-      // Parse the datetime string properly
-      const date = new Date(datetime);
-      return {
-        datetime: date,
-        dateStr: datetime,
-        mean: stats.mean
-      };
-    }).sort((a, b) => a.datetime - b.datetime);
-
-    if (chartData.length === 0) return;
-    
-    console.log('Chart data:', chartData);
-
-    // Clear previous chart
-    d3.select(svgRef.current).selectAll('*').remove();
-
-    // Set up dimensions
-    const margin = { top: 20, right: 30, bottom: 70, left: 70 };
-    const width = 800 - margin.left - margin.right;
-    const height = 300 - margin.top - margin.bottom;
-
-    // Create SVG
-    const svg = d3.select(svgRef.current)
-      .attr('width', width + margin.left + margin.right)
-      .attr('height', height + margin.top + margin.bottom)
-      .append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // Create scales
-    const xScale = d3.scaleBand()
-      .domain(chartData.map((d, i) => i))
-      .range([0, width])
-      .padding(0.1);
-
-    // Calculate overall min, max, and mean
-    const allMeans = chartData.map(d => d.mean);
-    const minValue = Math.min(...allMeans);
-    const maxValue = Math.max(...allMeans);
-    const overallMean = allMeans.reduce((sum, val) => sum + val, 0) / allMeans.length;
-    const range = maxValue - minValue;
-    
-    // Add margin (10% of range or 10% of max value if range is too small)
-    const margin_value = range > 0 ? range * 0.1 : maxValue * 0.1;
-    
-    const yScale = d3.scaleLinear()
-      .domain([
-        Math.max(0, minValue - margin_value),
-        maxValue + margin_value
-      ])
-      .range([height, 0])
-      .nice();
-
-    // Create line generator
-    const line = d3.line()
-      .x((d, i) => xScale(i) + xScale.bandwidth() / 2)
-      .y(d => yScale(d.mean));
-
-    // Add X axis with date formatting
-    svg.append('g')
-      .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(xScale)
-        .tickFormat(i => {
-          const date = chartData[i].datetime;
-          return d3.timeFormat('%Y-%m-%d')(date);
-        }))
-      .selectAll('text')
-      .style('text-anchor', 'end')
-      .style('font-size', '11px')
-      .attr('dx', '-.8em')
-      .attr('dy', '.15em')
-      .attr('transform', 'rotate(-45)');
-
-    // Add Y axis with full precision
-    svg.append('g')
-      .call(d3.axisLeft(yScale).ticks(8))
-      .selectAll('text')
-      .style('font-size', '11px');
-
-    // Add Y axis label
-    svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('y', 0 - margin.left)
-      .attr('x', 0 - (height / 2))
-      .attr('dy', '1em')
-      .style('text-anchor', 'middle')
-      .style('fill', '#2d3748')
-      .style('font-size', '12px')
-      .text('Mean Value');
-
-    // Add reference lines for min, max, and mean
-    // Min line
-    svg.append('line')
-      .attr('x1', 0)
-      .attr('x2', width)
-      .attr('y1', yScale(minValue))
-      .attr('y2', yScale(minValue))
-      .attr('stroke', '#e53e3e')
-      .attr('stroke-width', 1)
-      .attr('stroke-dasharray', '4,4')
-      .attr('opacity', 0.6);
-
-    svg.append('text')
-      .attr('x', width - 5)
-      .attr('y', yScale(minValue) - 5)
-      .attr('text-anchor', 'end')
-      .style('font-size', '11px')
-      .style('fill', '#e53e3e')
-      .text(`Min: ${minValue}`);
-
-    // Max line
-    svg.append('line')
-      .attr('x1', 0)
-      .attr('x2', width)
-      .attr('y1', yScale(maxValue))
-      .attr('y2', yScale(maxValue))
-      .attr('stroke', '#38a169')
-      .attr('stroke-width', 1)
-      .attr('stroke-dasharray', '4,4')
-      .attr('opacity', 0.6);
-
-    svg.append('text')
-      .attr('x', width - 5)
-      .attr('y', yScale(maxValue) - 5)
-      .attr('text-anchor', 'end')
-      .style('font-size', '11px')
-      .style('fill', '#38a169')
-      .text(`Max: ${maxValue}`);
-
-    // Mean line
-    svg.append('line')
-      .attr('x1', 0)
-      .attr('x2', width)
-      .attr('y1', yScale(overallMean))
-      .attr('y2', yScale(overallMean))
-      .attr('stroke', '#718096')
-      .attr('stroke-width', 1)
-      .attr('stroke-dasharray', '4,4')
-      .attr('opacity', 0.6);
-
-    svg.append('text')
-      .attr('x', width - 5)
-      .attr('y', yScale(overallMean) - 5)
-      .attr('text-anchor', 'end')
-      .style('font-size', '11px')
-      .style('fill', '#718096')
-      .text(`Mean: ${overallMean}`);
-
-    // Add the line
-    svg.append('path')
-      .datum(chartData)
-      .attr('fill', 'none')
-      .attr('stroke', '#3182ce')
-      .attr('stroke-width', 2)
-      .attr('d', line);
-
-    // Add dots
-    svg.selectAll('dot')
-      .data(chartData)
-      .enter()
-      .append('circle')
-      .attr('cx', (d, i) => xScale(i) + xScale.bandwidth() / 2)
-      .attr('cy', d => yScale(d.mean))
-      .attr('r', 4)
-      .attr('fill', '#3182ce');
-
-  }, [data]);
-
-  return (
-    <div className="chart-container">
-      <svg ref={svgRef}></svg>
-    </div>
-  );
-}
-
-function StatisticsPreview({ params }) {
+import TileMapPreview from './TileMapPreview';
+import VariableSelector from './VariableSelector';
+import TimeSeriesParamsForm from './TimeSeriesParamsForm';
+import ReportExport from './ReportExport';
+import StacDraft from './StacDraft';
+import EndpointSnippets from './EndpointSnippets';
+import CogDiagnostics from './CogDiagnostics';
+import CogStatistics from './CogStatistics';
+import TimeSeriesChart from './TimeSeriesChart';
+import RenderOptions from './RenderOptions';
+import TimeStepExplorer from './TimeStepExplorer';
+import { getCMRTemporalExtent, getCMRVariables, getTimeSeriesStatisticsQuery, getTimeSeriesStatisticsBody } from '../utils/cmr';
+import { getRecommendedServices } from '../utils/recommendations';
+import { evaluateRules } from '../utils/rules';
+import { buildReport } from '../utils/report';
+import { getDatasetBounds } from '../utils/geo';
+import { getDatasetUrl } from '../utils/zarr';
+import { getFailedChecks } from '../utils/outcome';
+import { formatAge } from '../utils/cache';
+import { getTimeSeriesRescale } from '../utils/rendering';
+import { getTimeSteps, toTimeSeriesResponse, withVariableDetails } from '../utils/multidim';
+import { fetchWithRetry } from '../utils/http';
+import { fetchCogStatistics } from '../utils/cog';
+
+// Statistics over every time step grow with the number of steps; longer series are left to the user
+const MAX_PREVIEW_TIME_STEPS = 120;
+
+function StatisticsPreview({ params, cmrUrl, onData }) {
   const [data, setData] = React.useState(null);
   const [loading, setLoading] = React.useState(true);
   const [error, setError] = React.useState(null);
 
+  // Compare by value: the params object is rebuilt on every render of the parent
+  const paramsKey = JSON.stringify(params);
+
   React.useEffect(() => {
-    const fetchStatistics = async () => {
-      try {
-        setLoading(true);
-        
-        // Build URL with query parameters
-        const queryParams = new URLSearchParams({
-          concept_id: params.concept_id,
-          datetime: params.datetime,
-          temporal_mode: 'interval',
-          variable: params.variable,
-          backend: 'xarray'
-        });
-        
-        const url = `https://staging.openveda.cloud/api/titiler-cmr/timeseries/statistics?${queryParams.toString()}`;
-        
-        // Create GeoJSON polygon from bbox
-        const geoJson = {
-          type: "Feature",
-          bbox: params.bbox,
-          properties: {},
-          geometry: {
-            type: "Polygon",
-            coordinates: [
-              [
-                [params.bbox[0], params.bbox[1]], // minx, miny
-                [params.bbox[0], params.bbox[3]], // minx, maxy
-                [params.bbox[2], params.bbox[3]], // maxx, maxy
-                [params.bbox[2], params.bbox[1]], // maxx, miny
-                [params.bbox[0], params.bbox[1]]  // close the ring
-              ]
-            ]
-          }
-        };
-        
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(geoJson)
-        });
+    if (!params) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    const query = new URLSearchParams(getTimeSeriesStatisticsQuery(params));
+    const url = `${cmrUrl}timeseries/statistics?${query.toString()}`;
+    const init = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(getTimeSeriesStatisticsBody(params))
+    };
 
+    fetchWithRetry(url, init, { signal: controller.signal })
+      .then(async response => {
         if (!response.ok) {
           throw new Error(`API returned ${response.status}: ${response.statusText}`);
         }
-
         const result = await response.json();
+        if (controller.signal.aborted) return;
         setData(result);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+        if (onData) onData(result);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
 
-    if (params) {
-      fetchStatistics();
-    }
-  }, [params]);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [paramsKey, cmrUrl]);
 
   if (loading) {
     return (
@@ -282,14 +102,85 @@ function StatisticsPreview({ params }) {
         </pre>
       </div>
       <div className="chart-section">
-        <p className="chart-label">Mean Values Over Time:</p>
-        <TimeSeriesChart data={data} />
+        <p className="chart-label">Statistics Over Time:</p>
+        <TimeSeriesChart data={data} params={params} />
       </div>
     </>
   );
 }
 
-function ServiceCard({ service }) {
+// titiler-multidim statistics over all time steps of a variable, charted like the titiler-cmr time series
+function TimeStepStatisticsPreview({ url, timeSteps, variable }) {
+  const [data, setData] = React.useState(null);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const tooLong = timeSteps.length > MAX_PREVIEW_TIME_STEPS;
+
+  React.useEffect(() => {
+    if (tooLong) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    fetchWithRetry(url, {}, { signal: controller.signal })
+      .then(async response => {
+        if (!response.ok) {
+          throw new Error(`API returned ${response.status}: ${response.statusText}`);
+        }
+        const series = toTimeSeriesResponse(await response.json(), timeSteps);
+        if (!series) {
+          throw new Error('The response does not have one band per time step');
+        }
+        if (!controller.signal.aborted) setData(series);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [url, tooLong]);
+
+  if (tooLong) {
+    return (
+      <div className="preview-container">
+        <div className="preview-error" style={{ display: 'block' }}>
+          {timeSteps.length} time steps are too many to preview here; run the request above yourself.
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="preview-container">
+        <div className="preview-loading">Loading statistics for {timeSteps.length} time steps...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="preview-container">
+        <div className="preview-error" style={{ display: 'block' }}>
+          Error loading statistics: {error}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="chart-section">
+      <p className="chart-label">Statistics Over Time:</p>
+      <TimeSeriesChart data={data} params={{ variable }} />
+    </div>
+  );
+}
+
+function ServiceCard({ service, bounds, cogStatistics, onTimeSeriesStatistics, children }) {
   const [showPostBody, setShowPostBody] = React.useState(false);
   
   return (
@@ -303,8 +194,15 @@ function ServiceCard({ service }) {
         <div className="use-case">
           <strong>Use Case:</strong> {service.useCase}
         </div>
+        {service.reason && (
+          <div className="service-reason">
+            <strong>Why:</strong> {service.reason}
+          </div>
+        )}
       </div>
 
+      {children}
+
       {service.endpoints && service.endpoints.length > 0 && (
         <div className="endpoints-section">
           {service.endpoints.map((endpoint, index) => (
@@ -336,7 +234,30 @@ function ServiceCard({ service }) {
               <div className="api-example-box">
                 <code className="api-example">{endpoint.exampleUrl}</code>
               </div>
+
+              <EndpointSnippets endpoint={endpoint} bounds={bounds} />
+
+              {endpoint.showTileMap && (
+                <div className="preview-section">
+                  <p className="preview-label">Map Preview:</p>
+                  <TileMapPreview tileUrl={endpoint.exampleUrl} bounds={bounds} />
+                </div>
+              )}
               
+              {endpoint.showStatistics && (
+                <div className="preview-section">
+                  <p className="preview-label">Statistics:</p>
+                  <CogStatistics statistics={cogStatistics} nodata={endpoint.nodata} />
+                </div>
+              )}
+
+              {endpoint.showTimeSeries && (
+                <div className="preview-section">
+                  <p className="preview-label">Preview:</p>
+                  <TimeStepStatisticsPreview url={endpoint.exampleUrl} timeSteps={endpoint.timeSteps} variable={endpoint.variable} />
+                </div>
+              )}
+
               {endpoint.showPreview && (
                 <div className="preview-section">
                   <p className="preview-label">Preview:</p>
@@ -345,11 +266,9 @@ function ServiceCard({ service }) {
                         <div className="post-params-box">
                           <p className="post-params-label">Query Parameters:</p>
                           <pre className="post-params-json">
-                            {`concept_id=${endpoint.postParams.concept_id}
-datetime=${endpoint.postParams.datetime}
-temporal_mode=interval
-variable=${endpoint.postParams.variable}
-backend=xarray`}
+                            {Object.entries(getTimeSeriesStatisticsQuery(endpoint.postParams))
+                              .map(([key, value]) => `${key}=${value}`)
+                              .join('\n')}
                           </pre>
                         </div>
                         <div className="post-params-box collapsible">
@@ -362,31 +281,17 @@ backend=xarray`}
                           </button>
                           {showPostBody && (
                             <pre className="post-params-json">
-                              {JSON.stringify({
-                                type: "Feature",
-                                bbox: endpoint.postParams.bbox,
-                                properties: {},
-                                geometry: {
-                                  type: "Polygon",
-                                  coordinates: [[
-                                    [endpoint.postParams.bbox[0], endpoint.postParams.bbox[1]],
-                                    [endpoint.postParams.bbox[0], endpoint.postParams.bbox[3]],
-                                    [endpoint.postParams.bbox[2], endpoint.postParams.bbox[3]],
-                                    [endpoint.postParams.bbox[2], endpoint.postParams.bbox[1]],
-                                    [endpoint.postParams.bbox[0], endpoint.postParams.bbox[1]]
-                                  ]]
-                                }
-                              }, null, 2)}
+                              {JSON.stringify(getTimeSeriesStatisticsBody(endpoint.postParams), null, 2)}
                             </pre>
                           )}
                         </div>
                         <div className="stats-response-section">
                           <p className="stats-response-label">API Response:</p>
-                          <StatisticsPreview params={endpoint.postParams} />
+                          <StatisticsPreview params={endpoint.postParams} cmrUrl={endpoint.base} onData={onTimeSeriesStatistics} />
                         </div>
                       </>
                   ) : endpoint.previewUrl ? (
-                    <div className="preview-container">
+                    <div className="preview-container" key={endpoint.previewUrl}>
                       <img 
                         src={endpoint.previewUrl} 
                         alt="Time series visualization preview"
@@ -411,231 +316,68 @@ backend=xarray`}
   );
 }
 
-function VisualizationOptions({ fileData, validationResult, onReset }) {
+function VisualizationOptions({
+  fileData,
+  validationResult,
+  services,
+  timeSeriesParams,
+  renderParams,
+  onValidationUpdate,
+  onTimeSeriesParamsChange,
+  onRenderParamsChange,
+  onReset,
+  onRefresh,
+  cachedAt,
+  onBackToBatch,
+  onPrepareIngestion
+}) {
   const [showValidationDetails, setShowValidationDetails] = React.useState(false);
+  const [linkCopied, setLinkCopied] = React.useState(false);
+  // Rescale suggested by the latest titiler-cmr time series statistics response
+  const [timeSeriesRescale, setTimeSeriesRescale] = React.useState(null);
+  // /cog/statistics of a COG, shared by the statistics preview and the rescale suggestion
+  const [cogStatistics, setCogStatistics] = React.useState(null);
+  const isCog = !validationResult.isCMR && validationResult.format === 'COG';
 
-  const getRecommendedServices = () => {
-    const { format, metadata, isCMR } = validationResult;
-    const services = [];
-
-    // For CMR datasets
-    if (isCMR) {
-      const endpoints = [
-        {
-          name: 'visualization',
-          title: 'Visualization',
-          description: 'Tile-based visualization',
-          base: 'https://staging.openveda.cloud/api/titiler-cmr/',
-          pattern: 'tiles/WebMercatorQuad/{z}/{x}/{y}.png?concept_id={concept_id}',
-          exampleUrl: `https://staging.openveda.cloud/api/titiler-cmr/tiles/WebMercatorQuad/{z}/{x}/{y}.png?concept_id=${validationResult.conceptId}`
-        },
-        {
-          name: 'statistics',
-          title: 'Statistics',
-          description: 'Generate statistical summaries for the dataset',
-          base: 'https://staging.openveda.cloud/api/titiler-cmr/',
-          pattern: 'statistics?concept_id={concept_id}&datetime={datetime}',
-          exampleUrl: `https://staging.openveda.cloud/api/titiler-cmr/statistics?concept_id=${validationResult.conceptId}&datetime=2020-01-01`
-        }
-      ];
-
-      // Time series endpoints (only if has time dimension)
-      if (metadata.hasTimeDimension) {
-        // Build test URL with actual metadata
-        let timeSeriesTestUrl = `https://staging.openveda.cloud/api/titiler-cmr/timeseries/bbox/{minx},{miny},{maxx},{maxy}.gif?concept_id=${validationResult.conceptId}`;
-        let datetimeRange = null;
-        let variable = null;
-        let bboxArray = null;
-        
-        if (validationResult.validationDetails) {
-          const details = validationResult.validationDetails;
-          
-          // Extract bounding box from coordinates.lat and coordinates.lon
-          let bbox = null;
-          if (details.coordinates && details.coordinates.lat && details.coordinates.lon) {
-            const latMin = details.coordinates.lat.min;
-            const latMax = details.coordinates.lat.max;
-            const lonMin = details.coordinates.lon.min;
-            const lonMax = details.coordinates.lon.max;
-            
-            if (latMin !== undefined && latMax !== undefined && lonMin !== undefined && lonMax !== undefined) {
-              bbox = `${lonMin},${latMin},${lonMax},${latMax}`;
-              bboxArray = [lonMin, latMin, lonMax, latMax];
-            }
-          }
-          
-          // Extract datetime from datetime[0].RangeDateTimes[0].BeginningDateTime
-          if (details.datetime && Array.isArray(details.datetime) && details.datetime.length > 0) {
-            const dateTimeEntry = details.datetime[0];
-            if (dateTimeEntry.RangeDateTimes && Array.isArray(dateTimeEntry.RangeDateTimes) && dateTimeEntry.RangeDateTimes.length > 0) {
-              const beginningDateTime = dateTimeEntry.RangeDateTimes[0].BeginningDateTime;
-              if (beginningDateTime) {
-                const startDate = new Date(beginningDateTime);
-                const endDate = new Date(startDate);
-                endDate.setDate(endDate.getDate() + 10);
-                datetimeRange = `${startDate.toISOString().split('.')[0]}Z/${endDate.toISOString().split('.')[0]}Z`;
-              }
-            }
-          }
-          
-          // Extract first variable from variables object
-          if (details.variables && typeof details.variables === 'object') {
-            const variableKeys = Object.keys(details.variables);
-            if (variableKeys.length > 0) {
-              variable = variableKeys[0];
-            }
-          }
-          
-          // Build complete test URL
-          if (bbox && datetimeRange && variable) {
-            timeSeriesTestUrl = `https://staging.openveda.cloud/api/titiler-cmr/timeseries/bbox/${bbox}.gif?concept_id=${validationResult.conceptId}&datetime=${datetimeRange}&variable=${variable}&backend=xarray&colormap_name=viridis&rescale=0,1`;
-          }
-        }
-        
-        endpoints.push({
-          name: 'time-series-visualization',
-          title: 'Time Series Visualization',
-          description: 'Visualize time series data for a bounding box',
-          base: 'https://staging.openveda.cloud/api/titiler-cmr/',
-          pattern: 'timeseries/bbox/{minx},{miny},{maxx},{maxy}.gif?concept_id={concept_id}&datetime={start}/{end}&variable={variable}&backend=xarray&colormap_name=viridis&rescale=0,1',
-          exampleUrl: timeSeriesTestUrl,
-          showPreview: true,
-          previewUrl: timeSeriesTestUrl.includes('.gif?') ? timeSeriesTestUrl : null
-        });
-
-        // Build time series statistics URL with actual metadata
-        let statsParams = null;
-        if (datetimeRange && variable && bboxArray) {
-          statsParams = {
-            concept_id: validationResult.conceptId,
-            datetime: datetimeRange,
-            variable: variable,
-            bbox: bboxArray
-          };
-        }
-
-        endpoints.push({
-          name: 'time-series-statistics',
-          title: 'Time Series Statistics',
-          description: 'Generate statistics over time for multiple dates',
-          base: 'https://staging.openveda.cloud/api/titiler-cmr/',
-          pattern: 'timeseries/statistics (POST)',
-          exampleUrl: `POST to: https://staging.openveda.cloud/api/titiler-cmr/timeseries/statistics`,
-          showPreview: true,
-          isPostRequest: true,
-          postParams: statsParams
-        });
-      }
-
-      services.push({
-        name: 'titiler-cmr',
-        title: 'Titiler-CMR',
-        description: 'Earthdata Cloud datasets via CMR',
-        useCase: 'Best for data on Earthdata Cloud with CMR integration',
-        docsUrl: 'https://staging.openveda.cloud/api/titiler-cmr/api.html',
-        endpoints: endpoints
-      });
-
-      return services;
+  React.useEffect(() => {
+    if (!isCog) {
+      setCogStatistics(null);
+      return undefined;
     }
-
-    // For non-CMR datasets
-    if (metadata.spatialType === 'vector') {
-      // Points, lines, polygons -> tipg
-      services.push({
-        name: 'tipg',
-        title: 'TiPg (OGC Features API)',
-        description: 'Serve vector data via OGC Features API',
-        useCase: 'Interactive visualization for GeoParquet and other vector formats',
-        endpoints: []
+    const controller = new AbortController();
+    setCogStatistics({ loading: true });
+
+    fetchCogStatistics(services.raster.baseUrl, fileData.s3Url, { signal: controller.signal })
+      .then(data => {
+        if (!controller.signal.aborted) setCogStatistics({ data });
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setCogStatistics({ error: err.message });
       });
-    }
 
-    if (format === 'COG' || (metadata.spatialType === 'raster' && !metadata.hasTimeDimension)) {
-      if (format === 'COG' && !isCMR) {
-        const endpoints = [
-          {
-            name: 'visualization',
-            title: 'Visualization',
-            description: 'Tile-based visualization',
-            base: 'https://openveda.cloud/api/raster/',
-            pattern: 'cog/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url={url}',
-            exampleUrl: `https://openveda.cloud/api/raster/cog/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url=${encodeURIComponent(fileData.s3Url)}`
-          },
-          {
-            name: 'statistics',
-            title: 'Statistics',
-            description: 'Generate statistical summaries',
-            base: 'https://openveda.cloud/api/raster/',
-            pattern: 'cog/statistics?url={url}',
-            exampleUrl: `https://openveda.cloud/api/raster/cog/statistics?url=${encodeURIComponent(fileData.s3Url)}`
-          }
-        ];
-
-        services.push({
-          name: 'titiler-pgstac',
-          title: 'Titiler-pgstac',
-          description: 'Cloud Optimized GeoTIFF visualization and analysis',
-          useCase: 'Best for static raster datasets',
-          docsUrl: 'https://openveda.cloud/api/raster/docs',
-          endpoints: endpoints
-        });
-      }
-    }
+    return () => controller.abort();
+  }, [isCog, services.raster.baseUrl, fileData.s3Url]);
 
-    if (format === 'NetCDF' || format === 'GRIB' || format === 'HDF5') {
-      // Gridded formats (not COG)
-      if (metadata.hasTimeDimension) {
-        const endpoints = [
-          {
-            name: 'visualization',
-            title: 'Visualization',
-            description: 'Tile-based visualization for multidimensional data',
-            base: 'https://staging.openveda.cloud/api/titiler-multidim/',
-            pattern: 'tiles/WebMercatorQuad/{z}/{x}/{y}.png?url={url}',
-            exampleUrl: `https://staging.openveda.cloud/api/titiler-multidim/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url=${encodeURIComponent(fileData.s3Url)}`
-          },
-          {
-            name: 'info',
-            title: 'Dataset Info',
-            description: 'Get dataset metadata and variables',
-            base: 'https://staging.openveda.cloud/api/titiler-multidim/',
-            pattern: 'info?url={url}',
-            exampleUrl: `https://staging.openveda.cloud/api/titiler-multidim/info?url=${encodeURIComponent(fileData.s3Url)}`
-          },
-          {
-            name: 'statistics',
-            title: 'Statistics',
-            description: 'Generate statistical summaries',
-            base: 'https://staging.openveda.cloud/api/titiler-multidim/',
-            pattern: 'statistics?url={url}',
-            exampleUrl: `https://staging.openveda.cloud/api/titiler-multidim/statistics?url=${encodeURIComponent(fileData.s3Url)}`
-          }
-        ];
-
-        services.push({
-          name: 'titiler-multidim',
-          title: 'Titiler-multidim',
-          description: 'For multidimensional gridded data formats',
-          useCase: 'Visualization for NetCDF, GRIB, HDF5 with time dimensions',
-          docsUrl: 'https://staging.openveda.cloud/api/titiler-multidim/',
-          endpoints: endpoints
-        });
-      } else {
-        services.push({
-          name: 'conversion',
-          title: 'Format Conversion',
-          description: 'Consider converting to a supported format',
-          useCase: 'Convert to COG or another cloud-optimized format',
-          endpoints: []
-        });
-      }
-    }
+  const handleTimeSeriesStatistics = (data) => {
+    const rescale = getTimeSeriesRescale(data);
+    setTimeSeriesRescale(rescale && { rescale, source: 'time series statistics (2nd–98th percentile across dates)' });
+  };
 
-    return services;
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      // Clipboard access can be denied; fall back to a prompt the user can copy from
+      window.prompt('Copy this link:', window.location.href);
+    }
   };
 
-  const services = getRecommendedServices();
+  const recommendedServices = getRecommendedServices({ fileData, validationResult, services, timeSeriesParams, renderParams });
+  const rejectedServices = evaluateRules(validationResult).rejected;
+  const datasetBounds = getDatasetBounds(validationResult);
+  const failedChecks = getFailedChecks(validationResult);
 
   return (
     <div className="visualization-container">
@@ -644,6 +386,24 @@ function VisualizationOptions({ fileData, validationResult, onReset }) {
         Based on your file <strong>{fileData.s3Url}</strong> ({validationResult.format})
       </p>
 
+      {cachedAt && (
+        <div className="cached-result-notice">
+          <span>Cached result from {formatAge(cachedAt)}; the services were not called again.</span>
+          <button onClick={onRefresh} className="cached-refresh-button">Re-run Checks</button>
+        </div>
+      )}
+
+      {failedChecks.length > 0 && (
+        <div className="failed-checks-banner">
+          <strong>⚠️ {failedChecks.length} validation check(s) failed.</strong> These recommendations are based on incomplete results:
+          <ul>
+            {failedChecks.map(check => (
+              <li key={check.name}><strong>{check.name}:</strong> {check.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="file-info-card">
         <h3>File Information</h3>
         <div className="info-grid">
@@ -674,16 +434,92 @@ function VisualizationOptions({ fileData, validationResult, onReset }) {
         </div>
       </div>
 
+      {!validationResult.isCMR && validationResult.validationDetails && 'COG' in validationResult.validationDetails && (
+        <CogDiagnostics fileUrl={fileData.s3Url} info={validationResult.validationDetails} />
+      )}
+
+      {validationResult.validationDetails && validationResult.validationDetails._allVariables && (
+        <VariableSelector
+          fileUrl={getDatasetUrl(fileData.s3Url, validationResult.format)}
+          multidimUrl={services.multidim.baseUrl}
+          validationDetails={validationResult.validationDetails}
+          onVariableChange={(details) => onValidationUpdate(withVariableDetails(validationResult, details))}
+        />
+      )}
+
+      {validationResult.validationDetails && getTimeSteps(validationResult.validationDetails).length > 1 && (
+        <TimeStepExplorer
+          validationDetails={validationResult.validationDetails}
+          onTimeStepChange={(details) => onValidationUpdate({ ...validationResult, validationDetails: details })}
+        />
+      )}
+
+      {renderParams && (
+        <RenderOptions
+          fileData={fileData}
+          validationResult={validationResult}
+          services={services}
+          params={renderParams}
+          cogStatistics={cogStatistics}
+          timeSeriesRescale={timeSeriesRescale}
+          onChange={onRenderParamsChange}
+        />
+      )}
+
       <h3 className="services-heading">Recommended Services</h3>
       <div className="services-list">
-        {services.map((service, index) => (
+        {recommendedServices.map((service, index) => (
           <ServiceCard 
             key={index} 
             service={service}
-          />
+            bounds={datasetBounds}
+            cogStatistics={cogStatistics}
+            onTimeSeriesStatistics={handleTimeSeriesStatistics}
+          >
+            {service.name === 'titiler-cmr' && timeSeriesParams && validationResult.metadata.hasTimeDimension && (
+              <TimeSeriesParamsForm
+                params={timeSeriesParams}
+                variables={getCMRVariables(validationResult.validationDetails)}
+                temporalExtent={getCMRTemporalExtent(validationResult.validationDetails)}
+                onChange={onTimeSeriesParamsChange}
+              />
+            )}
+          </ServiceCard>
         ))}
       </div>
 
+      {rejectedServices.length > 0 && (
+        <div className="why-not-section">
+          <h3 className="services-heading">Ruled Out</h3>
+          {rejectedServices.map(service => (
+            <details key={service.name} className="why-not-item">
+              <summary>Why not {service.title}?</summary>
+              <p>{service.reason}</p>
+            </details>
+          ))}
+        </div>
+      )}
+
+      {onPrepareIngestion && (
+        <div className="ingestion-prompt">
+          <div>
+            <h3>Ready to publish?</h3>
+            <p>Draft the veda-data dataset config for this dataset, pre-filled from these results.</p>
+          </div>
+          <button className="ingestion-prompt-button" onClick={onPrepareIngestion}>
+            Prepare Ingestion →
+          </button>
+        </div>
+      )}
+
+      <ReportExport
+        report={buildReport({ fileData, validationResult, recommendedServices, rejectedServices })}
+      />
+
+      {validationResult.format !== 'Unknown' && (
+        <StacDraft fileData={fileData} validationResult={validationResult} />
+      )}
+
       {validationResult.validationDetails && (
         <div className="validation-details-section">
           <button 
@@ -720,6 +556,14 @@ function VisualizationOptions({ fileData, validationResult, onReset }) {
       )}
 
       <div className="button-group">
+        {onBackToBatch && (
+          <button onClick={onBackToBatch} className="reset-button">
+            Back to Batch Results
+          </button>
+        )}
+        <button onClick={handleCopyLink} className="reset-button">
+          {linkCopied ? 'Link Copied!' : 'Copy Link'}
+        </button>
         <button onClick={onReset} className="reset-button">
           Start Over
         </button>
@@ -1,58 +1,406 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import FileInput from './FileInput';
 import FileValidation from './FileValidation';
+import BatchValidation from './BatchValidation';
 import VisualizationOptions from './VisualizationOptions';
+import IngestionConfig from './IngestionConfig';
+import DatasetComparison from './DatasetComparison';
+import { ENVIRONMENTS, getServices } from '../config/services';
+import { runValidation } from '../utils/validation';
+import { isAbortError } from '../utils/http';
+import { BATCH_CONCURRENCY, runWithConcurrency } from '../utils/batch';
+import { parseInput } from '../utils/input';
+import { getDefaultTimeSeriesParams } from '../utils/cmr';
+import { loadVariableDetails, withVariableDetails, getTimeSteps } from '../utils/multidim';
+import { getDatasetUrl } from '../utils/zarr';
+import { parseDeepLink, buildDeepLink, getLinkOptions } from '../utils/deepLink';
+import { canPrepareIngestion } from '../utils/ingestion';
+import { canStyleDataset, getDefaultRenderParams } from '../utils/rendering';
 import './Wizard.css';
 
 const STEPS = {
   FILE_INPUT: 'file_input',
   VALIDATION: 'validation',
-  VISUALIZATION: 'visualization'
+  BATCH: 'batch',
+  VISUALIZATION: 'visualization',
+  INGESTION: 'ingestion',
+  COMPARISON: 'comparison'
 };
 
+// Each history entry is one "page": the input form, the batch table, the comparison table,
+// one dataset (validation + results) or the ingestion config of one dataset
+const getPageKey = (step, fileData) => {
+  if (step === STEPS.BATCH) return 'batch';
+  if (step === STEPS.COMPARISON) return 'compare';
+  if (step === STEPS.FILE_INPUT || !fileData) return 'input';
+  if (step === STEPS.INGESTION) return `ingest:${fileData.s3Url}`;
+  return `dataset:${fileData.s3Url}`;
+};
+
+// Where a validated dataset opens: a link to the ingestion step only lands there if the dataset qualifies
+const getResultStep = (view, result) => (
+  view === 'ingest' && canPrepareIngestion(result) ? STEPS.INGESTION : STEPS.VISUALIZATION
+);
+
+const VIEW_BY_STEP = {
+  [STEPS.BATCH]: 'batch',
+  [STEPS.INGESTION]: 'ingest',
+  [STEPS.COMPARISON]: 'compare'
+};
+
+const getInitialTimeSeriesParams = (result, linkedParams) => {
+  if (!result.isCMR) return null;
+  const defaults = getDefaultTimeSeriesParams(result.validationDetails);
+  // A link's colormap and rescale belong to the render params
+  const { colormap, rescale, ...linked } = linkedParams || {};
+  return defaults && { ...defaults, ...linked };
+};
+
+// A link's colormap and rescale apply to every tile and GIF URL of the dataset
+const getInitialRenderParams = (result, linkedParams) => (
+  canStyleDataset(result) ? getDefaultRenderParams(result, linkedParams) : null
+);
+
 function Wizard() {
-  const [currentStep, setCurrentStep] = useState(STEPS.FILE_INPUT);
-  const [fileData, setFileData] = useState(null);
+  // A shared link (?input=...) starts straight at validation
+  const [initialLink] = useState(() => parseDeepLink(window.location.search));
+  const [currentStep, setCurrentStep] = useState(() => (
+    parseInput(initialLink.input || '').fileData ? STEPS.VALIDATION : STEPS.FILE_INPUT
+  ));
+  const [fileData, setFileData] = useState(() => parseInput(initialLink.input || '').fileData || null);
   const [validationResult, setValidationResult] = useState(null);
+  const [timeSeriesParams, setTimeSeriesParams] = useState(null);
+  const [renderParams, setRenderParams] = useState(null);
+  const [environment, setEnvironment] = useState(initialLink.environment);
+  const [batchRows, setBatchRows] = useState(null);
+  // Re-run validation even when a cached result exists
+  const [forceRefresh, setForceRefresh] = useState(false);
+  // When the current result came from the cache: the time it was checked
+  const [cachedAt, setCachedAt] = useState(null);
+  // Datasets being compared ({ key, input, environment, checkedAt, result }) and the step they were picked on
+  const [comparison, setComparison] = useState(null);
+  const batchIdRef = useRef(0);
+  const batchControllerRef = useRef(null);
+  // Options from a link, applied once the linked dataset has been validated
+  const pendingOptionsRef = useRef(initialLink.options);
+  const pendingViewRef = useRef(initialLink.view);
+  // Validation results by input + environment, so back/forward doesn't re-run validation
+  const resultsRef = useRef({});
+  // Set while applying a back/forward navigation, which must not add history entries of its own
+  const restoringRef = useRef(false);
+  const latestRef = useRef({});
+  latestRef.current = { fileData, batchRows, comparison };
+
+  const services = getServices(environment);
+
+  // Keep the URL in step with the wizard: new pages push a history entry, changes within a page replace it
+  useEffect(() => {
+    const onDataset = [STEPS.VALIDATION, STEPS.VISUALIZATION, STEPS.INGESTION].includes(currentStep);
+    let options = {};
+    if (currentStep === STEPS.VALIDATION) {
+      options = pendingOptionsRef.current;
+    } else if (onDataset) {
+      options = getLinkOptions(validationResult, timeSeriesParams, renderParams);
+    }
+
+    const search = buildDeepLink({
+      input: onDataset && fileData ? fileData.s3Url : null,
+      environment,
+      view: VIEW_BY_STEP[currentStep] || null,
+      options
+    });
+    const page = getPageKey(currentStep, fileData);
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+
+    const state = window.history.state;
+    if (state && state.page === page) {
+      if (search !== window.location.search) {
+        window.history.replaceState({ page }, '', url);
+      }
+    } else if (!state || restoringRef.current) {
+      window.history.replaceState({ page }, '', url);
+    } else {
+      window.history.pushState({ page }, '', url);
+    }
+    restoringRef.current = false;
+  }, [currentStep, fileData, environment, validationResult, timeSeriesParams, renderParams]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const link = parseDeepLink(window.location.search);
+      const { fileData: currentFile, batchRows: currentRows, comparison: currentComparison } = latestRef.current;
+      const linkedFile = parseInput(link.input || '').fileData;
+      restoringRef.current = true;
+      setEnvironment(link.environment);
+
+      if (link.view === 'batch' && currentRows) {
+        setCurrentStep(STEPS.BATCH);
+        return;
+      }
+
+      if (link.view === 'compare' && currentComparison) {
+        setCurrentStep(STEPS.COMPARISON);
+        return;
+      }
+
+      if (!linkedFile) {
+        setFileData(null);
+        setValidationResult(null);
+        setTimeSeriesParams(null);
+        setRenderParams(null);
+        setCurrentStep(STEPS.FILE_INPUT);
+        return;
+      }
 
-  const handleFileSubmit = (data) => {
+      const cached = resultsRef.current[`${link.environment}|${linkedFile.s3Url}`];
+      setFileData(currentFile && currentFile.s3Url === linkedFile.s3Url ? currentFile : linkedFile);
+      if (cached) {
+        setValidationResult(cached);
+        setTimeSeriesParams(getInitialTimeSeriesParams(cached, link.options.timeSeries));
+        setRenderParams(getInitialRenderParams(cached, link.options.timeSeries));
+        setCurrentStep(getResultStep(link.view, cached));
+      } else {
+        pendingOptionsRef.current = link.options;
+        pendingViewRef.current = link.view;
+        setValidationResult(null);
+        setForceRefresh(false);
+        setCurrentStep(STEPS.VALIDATION);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const handleFileSubmit = (data, { forceRefresh: refresh = false } = {}) => {
+    pendingOptionsRef.current = {};
+    pendingViewRef.current = null;
     setFileData(data);
+    setValidationResult(null);
+    setForceRefresh(refresh);
     setCurrentStep(STEPS.VALIDATION);
   };
 
-  const handleValidationComplete = (result) => {
-    setValidationResult(result);
+  // Checks the current dataset again, keeping the selected variable and time series options
+  const handleRefresh = () => {
+    pendingOptionsRef.current = getLinkOptions(validationResult, timeSeriesParams, renderParams);
+    pendingViewRef.current = null;
+    setValidationResult(null);
+    setForceRefresh(true);
+    setCurrentStep(STEPS.VALIDATION);
+  };
+
+  const handleOpenHistoryEntry = (entry) => {
+    resultsRef.current[entry.key] = entry.result;
+    pendingOptionsRef.current = {};
+    pendingViewRef.current = null;
+    setEnvironment(entry.environment);
+    setFileData(parseInput(entry.input).fileData);
+    setValidationResult(entry.result);
+    setTimeSeriesParams(getInitialTimeSeriesParams(entry.result, null));
+    setRenderParams(getInitialRenderParams(entry.result, null));
+    setCachedAt(entry.checkedAt);
     setCurrentStep(STEPS.VISUALIZATION);
   };
 
+  const handleRerunHistoryEntry = (entry) => {
+    setEnvironment(entry.environment);
+    handleFileSubmit(parseInput(entry.input).fileData, { forceRefresh: true });
+  };
+
+  const handleValidationComplete = async (data, result, checkedAt = null) => {
+    resultsRef.current[`${environment}|${data.s3Url}`] = result;
+    const options = pendingOptionsRef.current;
+
+    // Re-select the variable (and time step) a link was shared with
+    let linkedResult = result;
+    const details = result.validationDetails;
+    if (options.variable && !result.isCMR && details && details._allVariables &&
+        details._allVariables.includes(options.variable) && details._variableUsed !== options.variable) {
+      try {
+        const datasetUrl = getDatasetUrl(data.s3Url, result.format);
+        linkedResult = withVariableDetails(
+          result,
+          await loadVariableDetails(services.multidim.baseUrl, datasetUrl, details, options.variable)
+        );
+      } catch (error) {
+        console.error('Could not load linked variable:', error);
+      }
+    }
+    const linkedDetails = linkedResult.validationDetails;
+    if (options.time && linkedDetails && getTimeSteps(linkedDetails).includes(options.time)) {
+      linkedResult = { ...linkedResult, validationDetails: { ...linkedDetails, _timeStep: options.time } };
+    }
+
+    // The user may have moved on while validation was finishing
+    if (!latestRef.current.fileData || latestRef.current.fileData.s3Url !== data.s3Url) return;
+
+    const linkedTimeSeries = options.variable ? { ...options.timeSeries, variable: options.variable } : options.timeSeries;
+    setValidationResult(linkedResult);
+    setCachedAt(checkedAt);
+    setTimeSeriesParams(getInitialTimeSeriesParams(linkedResult, linkedTimeSeries));
+    setRenderParams(getInitialRenderParams(linkedResult, linkedTimeSeries));
+    setCurrentStep(getResultStep(pendingViewRef.current, linkedResult));
+  };
+
+  // Stops the requests of a batch that is still running
+  const cancelBatch = () => {
+    batchIdRef.current++;
+    if (batchControllerRef.current) batchControllerRef.current.abort();
+    batchControllerRef.current = null;
+  };
+
+  const handleBatchSubmit = (inputs) => {
+    // Results of an abandoned batch must not leak into the new one
+    cancelBatch();
+    const batchId = batchIdRef.current;
+    const controller = new AbortController();
+    batchControllerRef.current = controller;
+    const updateRow = (index, changes) => {
+      if (batchIdRef.current !== batchId) return;
+      setBatchRows(previous => previous.map(row => (row.id === index ? { ...row, ...changes } : row)));
+    };
+
+    setBatchRows(inputs.map((input, index) => ({ id: index, fileData: input, status: 'pending', steps: [], result: null })));
+    setCurrentStep(STEPS.BATCH);
+
+    runWithConcurrency(inputs, BATCH_CONCURRENCY, async (input, index) => {
+      updateRow(index, { status: 'running' });
+      try {
+        const result = await runValidation(input, {
+          services,
+          onStepsChange: (steps) => updateRow(index, { steps }),
+          signal: controller.signal
+        });
+        updateRow(index, { status: 'done', result });
+      } catch (error) {
+        if (isAbortError(error)) return;
+        updateRow(index, { status: 'error', error: error.message });
+      }
+    });
+  };
+
+  const handleOpenBatchResult = (row) => {
+    resultsRef.current[`${environment}|${row.fileData.s3Url}`] = row.result;
+    setFileData(row.fileData);
+    setValidationResult(row.result);
+    setCachedAt(null);
+    setTimeSeriesParams(getInitialTimeSeriesParams(row.result, null));
+    setRenderParams(getInitialRenderParams(row.result, null));
+    setCurrentStep(STEPS.VISUALIZATION);
+  };
+
+  const handleCompare = (items) => {
+    setComparison({ items, from: currentStep });
+    setCurrentStep(STEPS.COMPARISON);
+  };
+
+  // Batch rows were validated in the current environment
+  const handleCompareBatchRows = (rows) => {
+    handleCompare(rows.map(row => ({
+      key: `${environment}|${row.fileData.s3Url}`,
+      input: row.fileData.s3Url,
+      environment,
+      checkedAt: null,
+      result: row.result
+    })));
+  };
+
   const handleReset = () => {
+    cancelBatch();
+    setComparison(null);
     setCurrentStep(STEPS.FILE_INPUT);
     setFileData(null);
     setValidationResult(null);
+    setTimeSeriesParams(null);
+    setRenderParams(null);
+    setBatchRows(null);
   };
 
   const renderStep = () => {
     switch (currentStep) {
       case STEPS.FILE_INPUT:
-        return <FileInput onSubmit={handleFileSubmit} />;
+        return (
+          <FileInput
+            onSubmit={handleFileSubmit}
+            onBatchSubmit={handleBatchSubmit}
+            onOpenHistoryEntry={handleOpenHistoryEntry}
+            onRerunHistoryEntry={handleRerunHistoryEntry}
+            onCompare={handleCompare}
+          />
+        );
       case STEPS.VALIDATION:
         return (
           <FileValidation
+            key={fileData.s3Url}
             fileData={fileData}
-            onValidationComplete={handleValidationComplete}
+            services={services}
+            environment={environment}
+            forceRefresh={forceRefresh}
+            onValidationComplete={(result, checkedAt) => handleValidationComplete(fileData, result, checkedAt)}
             onBack={() => setCurrentStep(STEPS.FILE_INPUT)}
           />
         );
+      case STEPS.BATCH:
+        return (
+          <BatchValidation
+            rows={batchRows}
+            services={services}
+            onOpenResult={handleOpenBatchResult}
+            onCompare={handleCompareBatchRows}
+            onBack={handleReset}
+          />
+        );
+      case STEPS.COMPARISON:
+        return (
+          <DatasetComparison
+            items={comparison.items}
+            onOpen={handleOpenHistoryEntry}
+            onBack={() => setCurrentStep(comparison.from)}
+          />
+        );
       case STEPS.VISUALIZATION:
         return (
           <VisualizationOptions
+            key={fileData.s3Url}
             fileData={fileData}
             validationResult={validationResult}
+            services={services}
+            timeSeriesParams={timeSeriesParams}
+            renderParams={renderParams}
+            onValidationUpdate={setValidationResult}
+            onTimeSeriesParamsChange={setTimeSeriesParams}
+            onRenderParamsChange={setRenderParams}
+            onReset={handleReset}
+            onRefresh={handleRefresh}
+            cachedAt={cachedAt}
+            onBackToBatch={batchRows ? () => setCurrentStep(STEPS.BATCH) : null}
+            onPrepareIngestion={canPrepareIngestion(validationResult) ? () => setCurrentStep(STEPS.INGESTION) : null}
+          />
+        );
+      case STEPS.INGESTION:
+        return (
+          <IngestionConfig
+            key={fileData.s3Url}
+            fileData={fileData}
+            validationResult={validationResult}
+            services={services}
+            timeSeriesParams={timeSeriesParams}
+            renderParams={renderParams}
+            onBack={() => setCurrentStep(STEPS.VISUALIZATION)}
             onReset={handleReset}
           />
         );
       default:
-        return <FileInput onSubmit={handleFileSubmit} />;
+        return (
+          <FileInput
+            onSubmit={handleFileSubmit}
+            onBatchSubmit={handleBatchSubmit}
+            onOpenHistoryEntry={handleOpenHistoryEntry}
+            onRerunHistoryEntry={handleRerunHistoryEntry}
+            onCompare={handleCompare}
+          />
+        );
     }
   };
 
@@ -61,9 +409,13 @@ function Wizard() {
       case STEPS.FILE_INPUT:
         return 1;
       case STEPS.VALIDATION:
+      case STEPS.BATCH:
         return 2;
       case STEPS.VISUALIZATION:
+      case STEPS.COMPARISON:
         return 3;
+      case STEPS.INGESTION:
+        return 4;
       default:
         return 1;
     }
@@ -76,6 +428,19 @@ function Wizard() {
         <p className="wizard-subtitle">
           Get visualization service recommendations for your geospatial datasets
         </p>
+        <div className="environment-switcher">
+          <label htmlFor="environment-select">Environment:</label>
+          <select
+            id="environment-select"
+            value={environment}
+            onChange={(e) => setEnvironment(e.target.value)}
+            title={Object.values(services).map(service => `${service.title}: ${service.baseUrl}`).join('\n')}
+          >
+            {Object.entries(ENVIRONMENTS).map(([key, env]) => (
+              <option key={key} value={key}>{env.label}</option>
+            ))}
+          </select>
+        </div>
       </header>
 
       <div className="progress-bar">
@@ -84,15 +449,20 @@ function Wizard() {
           <div className="step-label">File Input</div>
         </div>
         <div className="progress-line"></div>
-        <div className={`progress-step ${currentStep === STEPS.VALIDATION ? 'active' : ''} ${getStepNumber() > 2 ? 'completed' : ''}`}>
+        <div className={`progress-step ${getStepNumber() === 2 ? 'active' : ''} ${getStepNumber() > 2 ? 'completed' : ''}`}>
           <div className="step-number">2</div>
           <div className="step-label">Validation</div>
         </div>
         <div className="progress-line"></div>
-        <div className={`progress-step ${currentStep === STEPS.VISUALIZATION ? 'active' : ''}`}>
+        <div className={`progress-step ${getStepNumber() === 3 ? 'active' : ''} ${getStepNumber() > 3 ? 'completed' : ''}`}>
           <div className="step-number">3</div>
           <div className="step-label">Visualization</div>
         </div>
+        <div className="progress-line"></div>
+        <div className={`progress-step ${currentStep === STEPS.INGESTION ? 'active' : ''}`}>
+          <div className="step-number">4</div>
+          <div className="step-label">Ingestion</div>
+        </div>
       </div>
 
       <div className="wizard-content">
@@ -0,0 +1,20 @@
+// Timeout and retry policy for the validation pipeline's requests.
+//
+// Build-time configuration (Create React App env vars):
+//   REACT_APP_REQUEST_TIMEOUT_MS     time to wait for a response before giving up (default 30000)
+//   REACT_APP_REQUEST_RETRIES        retries after a network error, timeout or 5xx response (default 2)
+//   REACT_APP_PROBE_NETWORK_RETRIES  retries after a network error when the browser reads the file
+//                                    itself (default 1); those are usually CORS blocks that fail again
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+export const REQUEST_DEFAULTS = {
+  timeout: readNumber(process.env.REACT_APP_REQUEST_TIMEOUT_MS, 30000),
+  retries: readNumber(process.env.REACT_APP_REQUEST_RETRIES, 2),
+  probeNetworkRetries: readNumber(process.env.REACT_APP_PROBE_NETWORK_RETRIES, 1),
+  // Delay before the first retry; doubles for each one after
+  backoff: 500
+};
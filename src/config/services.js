@@ -0,0 +1,110 @@
+// Registry of the VEDA services the advisor talks to, per deployment environment.
+//
+// Build-time configuration (Create React App env vars):
+//   REACT_APP_VEDA_ENV                 default environment: production | staging | custom
+//   REACT_APP_RASTER_API_URL           base URLs for the "custom" environment; any service
+//   REACT_APP_MULTIDIM_API_URL         left unset falls back to its production URL
+//   REACT_APP_CMR_API_URL
+//   REACT_APP_COMPATIBILITY_API_URL
+//   REACT_APP_FEATURES_API_URL
+
+export const SERVICE_DEFINITIONS = {
+  raster: {
+    name: 'titiler-pgstac',
+    title: 'Raster API (titiler-pgstac)',
+    docsPath: 'docs',
+    capabilities: ['cog-validate', 'cog-info', 'cog-tiles', 'cog-statistics']
+  },
+  multidim: {
+    name: 'titiler-multidim',
+    title: 'Titiler-multidim',
+    docsPath: '',
+    capabilities: ['variables', 'info', 'tiles', 'statistics']
+  },
+  cmr: {
+    name: 'titiler-cmr',
+    title: 'Titiler-CMR',
+    docsPath: 'api.html',
+    capabilities: ['tiles', 'statistics', 'timeseries']
+  },
+  compatibility: {
+    name: 'cmr-compatibility',
+    title: 'CMR Compatibility API',
+    docsPath: null,
+    capabilities: ['compatibility']
+  },
+  features: {
+    name: 'tipg',
+    title: 'Features API (tipg)',
+    docsPath: 'api.html',
+    capabilities: ['collections', 'items', 'tiles']
+  }
+};
+
+const COMPATIBILITY_API_URL = 'https://v4jec6i5c0.execute-api.us-west-2.amazonaws.com/';
+
+export const ENVIRONMENTS = {
+  production: {
+    label: 'Production',
+    // titiler-multidim and titiler-cmr are only deployed to staging so far
+    urls: {
+      raster: 'https://openveda.cloud/api/raster/',
+      multidim: 'https://staging.openveda.cloud/api/titiler-multidim/',
+      cmr: 'https://staging.openveda.cloud/api/titiler-cmr/',
+      compatibility: COMPATIBILITY_API_URL,
+      features: 'https://openveda.cloud/api/features/'
+    }
+  },
+  staging: {
+    label: 'Staging',
+    urls: {
+      raster: 'https://staging.openveda.cloud/api/raster/',
+      multidim: 'https://staging.openveda.cloud/api/titiler-multidim/',
+      cmr: 'https://staging.openveda.cloud/api/titiler-cmr/',
+      compatibility: COMPATIBILITY_API_URL,
+      features: 'https://staging.openveda.cloud/api/features/'
+    }
+  }
+};
+
+const CUSTOM_URLS = {
+  raster: process.env.REACT_APP_RASTER_API_URL,
+  multidim: process.env.REACT_APP_MULTIDIM_API_URL,
+  cmr: process.env.REACT_APP_CMR_API_URL,
+  compatibility: process.env.REACT_APP_COMPATIBILITY_API_URL,
+  features: process.env.REACT_APP_FEATURES_API_URL
+};
+
+const withTrailingSlash = (url) => (url.endsWith('/') ? url : `${url}/`);
+
+if (Object.values(CUSTOM_URLS).some(Boolean)) {
+  ENVIRONMENTS.custom = {
+    label: 'Custom',
+    urls: Object.fromEntries(
+      Object.entries(ENVIRONMENTS.production.urls).map(([key, url]) => [
+        key,
+        CUSTOM_URLS[key] ? withTrailingSlash(CUSTOM_URLS[key]) : url
+      ])
+    )
+  };
+}
+
+export const DEFAULT_ENVIRONMENT = ENVIRONMENTS[process.env.REACT_APP_VEDA_ENV]
+  ? process.env.REACT_APP_VEDA_ENV
+  : 'production';
+
+// Resolve every service for an environment to { name, title, baseUrl, docsUrl, capabilities }
+export const getServices = (environment) => {
+  const { urls } = ENVIRONMENTS[environment] || ENVIRONMENTS[DEFAULT_ENVIRONMENT];
+
+  return Object.fromEntries(
+    Object.entries(SERVICE_DEFINITIONS).map(([key, definition]) => [
+      key,
+      {
+        ...definition,
+        baseUrl: urls[key],
+        docsUrl: definition.docsPath === null ? null : `${urls[key]}${definition.docsPath}`
+      }
+    ])
+  );
+};
@@ -0,0 +1,26 @@
+test('getServices resolves base and docs URLs for an environment', () => {
+  const { getServices } = require('./services');
+  const services = getServices('staging');
+  expect(services.raster.baseUrl).toBe('https://staging.openveda.cloud/api/raster/');
+  expect(services.raster.docsUrl).toBe('https://staging.openveda.cloud/api/raster/docs');
+  expect(services.compatibility.docsUrl).toBeNull();
+});
+
+test('custom environment is built from env vars with production fallbacks', () => {
+  const previous = process.env.REACT_APP_RASTER_API_URL;
+  process.env.REACT_APP_RASTER_API_URL = 'https://raster.example.com';
+
+  jest.isolateModules(() => {
+    const { ENVIRONMENTS, getServices } = require('./services');
+    expect(ENVIRONMENTS.custom).toBeDefined();
+    const services = getServices('custom');
+    expect(services.raster.baseUrl).toBe('https://raster.example.com/');
+    expect(services.cmr.baseUrl).toBe(ENVIRONMENTS.production.urls.cmr);
+  });
+
+  if (previous === undefined) {
+    delete process.env.REACT_APP_RASTER_API_URL;
+  } else {
+    process.env.REACT_APP_RASTER_API_URL = previous;
+  }
+});
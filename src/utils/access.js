@@ -0,0 +1,108 @@
+import { fetchWithRetry, isAbortError, isTimeoutError } from './http';
+import { REQUEST_DEFAULTS } from '../config/requests';
+
+// Public HTTPS form of an S3 URL (virtual-hosted style); other URLs are returned unchanged
+export const toHttpsUrl = (url) => {
+  const match = url.match(/^s3:\/\/([^/]+)\/?(.*)$/);
+  if (!match) return url;
+
+  const [, bucket, key] = match;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `https://${bucket}.s3.amazonaws.com/${encodedKey}`;
+};
+
+const parseContentRange = (header) => {
+  // "bytes 0-0/123456"
+  const match = header && header.match(/\/(\d+)$/);
+  return match ? Number(match[1]) : null;
+};
+
+// Probes an object with a 1-byte Range request and reports what the browser could learn about it.
+// `status` is 'accessible', 'inaccessible' (the object is definitely not readable) or
+// 'unverified' (the browser was blocked, usually by CORS, but a server-side reader may still succeed).
+export const checkAccessibility = async (url, requestOptions = {}) => {
+  const httpsUrl = toHttpsUrl(url);
+  let response;
+
+  try {
+    response = await fetchWithRetry(httpsUrl, { headers: { Range: 'bytes=0-0' } }, { networkRetries: REQUEST_DEFAULTS.probeNetworkRetries, ...requestOptions });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    if (isTimeoutError(error)) {
+      return {
+        status: 'unverified',
+        httpsUrl,
+        cors: null,
+        message: `${error.message}; the object could not be checked`
+      };
+    }
+    return {
+      status: 'unverified',
+      httpsUrl,
+      cors: false,
+      message: 'Request was blocked by the browser (no CORS headers or network error); titiler may still be able to read it'
+    };
+  }
+
+  const headers = response.headers;
+  const result = {
+    httpsUrl,
+    httpStatus: response.status,
+    cors: true,
+    contentLength: parseContentRange(headers.get('content-range')) || Number(headers.get('content-length')) || null,
+    contentType: headers.get('content-type'),
+    lastModified: headers.get('last-modified'),
+    supportsRange: response.status === 206 || headers.get('accept-ranges') === 'bytes'
+  };
+
+  if (response.status === 403) {
+    const requesterPays = headers.get('x-amz-request-charged') !== null ||
+      (await response.text().catch(() => '')).includes('RequesterPays');
+    return {
+      ...result,
+      status: 'inaccessible',
+      requesterPays,
+      message: requesterPays
+        ? 'Access denied: bucket is requester-pays and cannot be read anonymously'
+        : 'Access denied (403): object is private or the bucket policy blocks anonymous reads'
+    };
+  }
+
+  if (response.status === 404) {
+    return { ...result, status: 'inaccessible', message: 'Object not found (404)' };
+  }
+
+  if (!response.ok) {
+    return {
+      ...result,
+      status: 'inaccessible',
+      message: `Request failed with ${response.status}: ${response.statusText}`
+    };
+  }
+
+  return { ...result, status: 'accessible', message: 'Object is publicly accessible' };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'unknown size';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+export const describeAccessibility = (access) => {
+  if (access.status !== 'accessible') return access.message;
+
+  return [
+    access.message,
+    formatBytes(access.contentLength),
+    access.contentType,
+    access.lastModified && `last modified ${access.lastModified}`,
+    access.supportsRange ? 'range requests supported' : 'range requests NOT supported'
+  ].filter(Boolean).join(' · ');
+};
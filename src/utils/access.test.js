@@ -0,0 +1,46 @@
+import { toHttpsUrl, checkAccessibility } from './access';
+
+const mockResponse = (status, headers = {}, body = '') => ({
+  status,
+  ok: status >= 200 && status < 300,
+  statusText: '',
+  headers: { get: (name) => (name in headers ? headers[name] : null) },
+  text: async () => body
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('toHttpsUrl converts s3 URLs to virtual-hosted HTTPS', () => {
+  expect(toHttpsUrl('s3://veda-data-store/a b/file.tif')).toBe('https://veda-data-store.s3.amazonaws.com/a%20b/file.tif');
+  expect(toHttpsUrl('https://example.com/file.tif')).toBe('https://example.com/file.tif');
+});
+
+test('checkAccessibility reads size and range support from a 206 response', async () => {
+  global.fetch = jest.fn(async () => mockResponse(206, {
+    'content-range': 'bytes 0-0/2048',
+    'content-type': 'image/tiff'
+  }));
+
+  const access = await checkAccessibility('s3://bucket/file.tif');
+  expect(global.fetch).toHaveBeenCalledWith('https://bucket.s3.amazonaws.com/file.tif', expect.objectContaining({ headers: { Range: 'bytes=0-0' } }));
+  expect(access).toMatchObject({ status: 'accessible', contentLength: 2048, contentType: 'image/tiff', supportsRange: true });
+});
+
+test('checkAccessibility flags requester-pays and missing objects', async () => {
+  global.fetch = jest.fn(async () => mockResponse(403, {}, '<Code>AccessDenied</Code><Message>RequesterPays</Message>'));
+  expect(await checkAccessibility('s3://bucket/file.tif')).toMatchObject({ status: 'inaccessible', requesterPays: true });
+
+  global.fetch = jest.fn(async () => mockResponse(404));
+  expect((await checkAccessibility('s3://bucket/file.tif')).status).toBe('inaccessible');
+});
+
+test('checkAccessibility cannot verify objects the browser is blocked from', async () => {
+  global.fetch = jest.fn(async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  expect(await checkAccessibility('s3://bucket/file.tif')).toMatchObject({ status: 'unverified', cors: false });
+  // A CORS failure would fail the same way again, so it is retried only once
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
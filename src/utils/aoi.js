@@ -0,0 +1,104 @@
+// Areas of interest for titiler-cmr statistics requests. Drawn and uploaded shapes are
+// normalized to a single GeoJSON Feature with a Polygon or MultiPolygon geometry, so the
+// statistics response keeps one entry per datetime whatever the input looked like.
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Uploads larger than this are almost certainly not an AOI (and would make a huge POST body)
+export const MAX_AOI_FILE_SIZE = 5 * 1024 * 1024;
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  position.slice(0, 2).every(value => typeof value === 'number' && Number.isFinite(value));
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Validates a linear ring and closes it when the last position doesn't repeat the first
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw new Error('Polygon coordinates must be [longitude, latitude] positions');
+  }
+  const positions = ring.map(([lon, lat]) => [lon, lat]);
+  if (positions.some(([lon, lat]) => lon < -180 || lon > 180 || lat < -90 || lat > 90)) {
+    throw new Error('Coordinates must be longitude/latitude (EPSG:4326) within -180..180 and -90..90');
+  }
+  if (positions.length > 0 && !samePosition(positions[0], positions[positions.length - 1])) {
+    positions.push(positions[0]);
+  }
+  if (positions.length < 4) {
+    throw new Error('Each polygon ring needs at least three distinct positions');
+  }
+  return positions;
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw new Error('Polygon has no coordinates');
+  }
+  return rings.map(normalizeRing);
+};
+
+// Polygon coordinate arrays of a geometry
+const getPolygons = (geometry) => {
+  if (!geometry || !POLYGON_TYPES.includes(geometry.type)) {
+    const type = geometry && geometry.type ? geometry.type : 'empty';
+    throw new Error(`Only Polygon and MultiPolygon geometries can be used as an area of interest (found ${type})`);
+  }
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+};
+
+export const getGeometryBbox = (geometry) => {
+  const positions = getPolygons(geometry).flat(2);
+  const lons = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+};
+
+const toFeature = (polygons) => {
+  const geometry = polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+  return { type: 'Feature', bbox: getGeometryBbox(geometry), properties: {}, geometry };
+};
+
+// Accepts a Feature, FeatureCollection or bare Polygon/MultiPolygon geometry.
+// Throws with a message suitable for the user when the input can't be used.
+export const toAoiFeature = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('GeoJSON must be an object');
+  }
+
+  let geometries;
+  if (geojson.type === 'FeatureCollection') {
+    geometries = (geojson.features || []).map(feature => feature && feature.geometry);
+  } else if (geojson.type === 'Feature') {
+    geometries = [geojson.geometry];
+  } else {
+    geometries = [geojson];
+  }
+  if (geometries.length === 0) {
+    throw new Error('FeatureCollection has no features');
+  }
+
+  return toFeature(geometries.flatMap(geometry => getPolygons(geometry).map(normalizePolygon)));
+};
+
+export const parseAoiFile = (text) => {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  return toAoiFeature(geojson);
+};
+
+// A polygon drawn on the map as a list of [lon, lat] vertices
+export const pointsToFeature = (points) => toFeature([normalizePolygon([points])]);
+
+export const describeAoi = (feature) => {
+  const polygons = getPolygons(feature.geometry);
+  const vertices = polygons.reduce((sum, polygon) => sum + polygon[0].length - 1, 0);
+  return polygons.length === 1
+    ? `Polygon with ${vertices} vertices`
+    : `${polygons.length} polygons with ${vertices} vertices`;
+};
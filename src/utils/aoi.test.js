@@ -0,0 +1,49 @@
+import { toAoiFeature, parseAoiFile, pointsToFeature, getGeometryBbox, describeAoi } from './aoi';
+
+const square = [[[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]];
+
+test('toAoiFeature wraps a bare polygon in a Feature with its bbox', () => {
+  expect(toAoiFeature({ type: 'Polygon', coordinates: square })).toEqual({
+    type: 'Feature',
+    bbox: [0, 0, 2, 1],
+    properties: {},
+    geometry: { type: 'Polygon', coordinates: square }
+  });
+});
+
+test('toAoiFeature merges the polygons of a FeatureCollection into one MultiPolygon', () => {
+  const feature = toAoiFeature({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'a' }, geometry: { type: 'Polygon', coordinates: square } },
+      { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[[[10, 10], [11, 10], [11, 12], [10, 10]]]] } }
+    ]
+  });
+  expect(feature.geometry.type).toBe('MultiPolygon');
+  expect(feature.geometry.coordinates).toHaveLength(2);
+  expect(feature.bbox).toEqual([0, 0, 11, 12]);
+  expect(describeAoi(feature)).toBe('2 polygons with 7 vertices');
+});
+
+test('toAoiFeature closes open rings and rejects unusable input', () => {
+  const feature = toAoiFeature({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] } });
+  expect(feature.geometry.coordinates[0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 0]]);
+
+  expect(() => toAoiFeature({ type: 'Point', coordinates: [0, 0] })).toThrow(/found Point/);
+  expect(() => toAoiFeature({ type: 'FeatureCollection', features: [] })).toThrow('FeatureCollection has no features');
+  expect(() => toAoiFeature({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })).toThrow(/at least three/);
+  expect(() => toAoiFeature({ type: 'Polygon', coordinates: [[[500000, 0], [1, 0], [1, 1]]] })).toThrow(/EPSG:4326/);
+  expect(() => toAoiFeature({ type: 'Feature', geometry: null })).toThrow(/found empty/);
+});
+
+test('parseAoiFile reports invalid JSON', () => {
+  expect(() => parseAoiFile('{ nope')).toThrow('File is not valid JSON');
+  expect(parseAoiFile(JSON.stringify({ type: 'Polygon', coordinates: square })).bbox).toEqual([0, 0, 2, 1]);
+});
+
+test('pointsToFeature closes a drawn polygon', () => {
+  const feature = pointsToFeature([[-10, 5], [10, 5], [0, 20]]);
+  expect(feature.geometry).toEqual({ type: 'Polygon', coordinates: [[[-10, 5], [10, 5], [0, 20], [-10, 5]]] });
+  expect(getGeometryBbox(feature.geometry)).toEqual([-10, 5, 10, 20]);
+  expect(describeAoi(feature)).toBe('Polygon with 3 vertices');
+});
@@ -0,0 +1,59 @@
+import { parseInput } from './input';
+
+export const BATCH_CONCURRENCY = 3;
+
+const stripQuotes = (cell) => cell.trim().replace(/^["']|["']$/g, '').trim();
+
+// Parses pasted text or an uploaded CSV/TXT file into wizard inputs.
+// Each line may hold a bare URL/concept ID or CSV cells. The whole line is tried first, since URLs
+// may contain commas or semicolons; otherwise the first usable cell is taken.
+// A first line without any usable cell is treated as a CSV header.
+export const parseBatchInput = (text) => {
+  const inputs = [];
+  const errors = [];
+  const seen = new Set();
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    // URLs never contain whitespace, so a line with tabs or spaces is always CSV cells
+    const whole = stripQuotes(line);
+    const wholeMatch = /\s/.test(whole) ? null : parseInput(whole);
+    const cells = line.split(/[,;\t]/).map(stripQuotes).filter(Boolean);
+    const match = wholeMatch && wholeMatch.fileData
+      ? wholeMatch
+      : cells.map(cell => parseInput(cell)).find(parsed => parsed.fileData);
+
+    if (!match) {
+      if (index > 0) {
+        errors.push({ line: index + 1, value: line.trim(), error: 'No URL or CMR concept ID found' });
+      }
+      return;
+    }
+
+    if (!seen.has(match.fileData.s3Url)) {
+      seen.add(match.fileData.s3Url);
+      inputs.push(match.fileData);
+    }
+  });
+
+  return { inputs, errors };
+};
+
+// Runs `worker(item, index)` over every item with at most `limit` calls in flight
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, runNext)
+  );
+  return results;
+};
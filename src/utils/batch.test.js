@@ -0,0 +1,42 @@
+import { parseBatchInput, runWithConcurrency } from './batch';
+
+test('parseBatchInput reads pasted lists and CSV rows', () => {
+  const { inputs, errors } = parseBatchInput([
+    'name,url',
+    'landcover,s3://bucket/landcover.tif',
+    '"sst","C2036881735-POCLOUD"',
+    '# comment',
+    '',
+    'https://example.com/data.nc',
+    's3://bucket/landcover.tif',
+    'not a url',
+    'https://example.com/tiles?bands=1,2;scale=2',
+    'elevation\ts3://bucket/dem.tif'
+  ].join('\n'));
+
+  expect(inputs.map(input => input.s3Url)).toEqual([
+    's3://bucket/landcover.tif',
+    'C2036881735-POCLOUD',
+    'https://example.com/data.nc',
+    'https://example.com/tiles?bands=1,2;scale=2',
+    's3://bucket/dem.tif'
+  ]);
+  expect(inputs[1].type).toBe('cmr');
+  expect(errors).toEqual([{ line: 8, value: 'not a url', error: 'No URL or CMR concept ID found' }]);
+});
+
+test('runWithConcurrency never exceeds the limit', async () => {
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return item * 2;
+  });
+
+  expect(results).toEqual([2, 4, 6, 8, 10]);
+  expect(maxActive).toBe(2);
+});
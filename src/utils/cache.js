@@ -0,0 +1,93 @@
+import { getValidationOutcome } from './outcome';
+
+// Validation results kept in localStorage, keyed by environment + input, so datasets checked
+// recently open without calling the services again. The same entries make up the history of
+// recent checks on the input step.
+
+const STORAGE_KEY = 'veda-data-advisor:results';
+const MAX_ENTRIES = 20;
+
+export const CACHE_TTL = 24 * 60 * 60 * 1000;
+
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    // Storage can be disabled (privacy settings, sandboxed iframes)
+    return null;
+  }
+};
+
+const getCacheKey = (environment, input) => `${environment}|${input}`;
+
+const readEntries = () => {
+  const storage = getStorage();
+  if (!storage) return [];
+  try {
+    const entries = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeEntries = (entries) => {
+  const storage = getStorage();
+  if (!storage) return;
+  // Drop the oldest entries until the list fits in the storage quota
+  for (let count = entries.length; count > 0; count = Math.floor(count / 2)) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(0, count)));
+      return;
+    } catch (error) {
+      console.error('Could not store validation results:', error);
+    }
+  }
+  storage.removeItem(STORAGE_KEY);
+};
+
+export const isExpired = (entry, now = Date.now()) => now - new Date(entry.checkedAt).getTime() > CACHE_TTL;
+
+// Recent checks, newest first
+export const getHistory = () => readEntries();
+
+export const saveResult = (environment, fileData, result, now = Date.now()) => {
+  const key = getCacheKey(environment, fileData.s3Url);
+  const entry = {
+    key,
+    input: fileData.s3Url,
+    environment,
+    checkedAt: new Date(now).toISOString(),
+    format: result.format,
+    outcome: getValidationOutcome(result),
+    result
+  };
+  writeEntries([entry, ...readEntries().filter(item => item.key !== key)].slice(0, MAX_ENTRIES));
+  return entry;
+};
+
+// Only runs where every check passed are reused automatically; failed runs are always re-checked
+export const getCachedResult = (environment, input, now = Date.now()) => {
+  const entry = readEntries().find(item => item.key === getCacheKey(environment, input));
+  return entry && entry.outcome === 'passed' && !isExpired(entry, now) ? entry : null;
+};
+
+export const removeFromHistory = (key) => {
+  writeEntries(readEntries().filter(entry => entry.key !== key));
+};
+
+export const clearHistory = () => {
+  const storage = getStorage();
+  if (storage) storage.removeItem(STORAGE_KEY);
+};
+
+// "just now", "5 min ago", "3 h ago", "2 days ago"
+export const formatAge = (checkedAt, now = Date.now()) => {
+  const minutes = Math.floor((now - new Date(checkedAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
@@ -0,0 +1,60 @@
+import { saveResult, getCachedResult, getHistory, removeFromHistory, clearHistory, isExpired, formatAge, CACHE_TTL } from './cache';
+
+const now = Date.UTC(2024, 0, 1, 12);
+const fileData = (s3Url) => ({ type: 's3', s3Url, fileName: s3Url.split('/').pop() });
+const passed = { format: 'COG', isValid: true, steps: [{ name: 'COG Validation', status: 'completed' }] };
+const failed = { format: 'GeoTIFF', isValid: false, steps: [{ name: 'Accessibility Check', status: 'completed' }, { name: 'GeoTIFF Validation', status: 'failed' }] };
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('saveResult caches passing results per environment until they expire', () => {
+  saveResult('production', fileData('s3://bucket/a.tif'), passed, now);
+
+  expect(getCachedResult('production', 's3://bucket/a.tif', now + 1000)).toMatchObject({
+    environment: 'production',
+    checkedAt: '2024-01-01T12:00:00.000Z',
+    outcome: 'passed',
+    result: passed
+  });
+  expect(getCachedResult('staging', 's3://bucket/a.tif', now)).toBeNull();
+  expect(getCachedResult('production', 's3://bucket/a.tif', now + CACHE_TTL + 1)).toBeNull();
+});
+
+test('failed runs are listed in the history but never reused', () => {
+  saveResult('production', fileData('s3://bucket/a.tif'), failed, now);
+  expect(getCachedResult('production', 's3://bucket/a.tif', now)).toBeNull();
+  expect(getHistory()[0]).toMatchObject({ outcome: 'partial', format: 'GeoTIFF' });
+});
+
+test('history lists the newest check first without duplicates', () => {
+  saveResult('production', fileData('s3://bucket/a.tif'), passed, now);
+  saveResult('production', fileData('s3://bucket/b.tif'), passed, now + 1);
+  saveResult('production', fileData('s3://bucket/a.tif'), failed, now + 2);
+
+  expect(getHistory().map(entry => [entry.input, entry.outcome])).toEqual([
+    ['s3://bucket/a.tif', 'partial'],
+    ['s3://bucket/b.tif', 'passed']
+  ]);
+
+  removeFromHistory('production|s3://bucket/b.tif');
+  expect(getHistory()).toHaveLength(1);
+  clearHistory();
+  expect(getHistory()).toEqual([]);
+});
+
+test('getHistory ignores unreadable storage', () => {
+  window.localStorage.setItem('veda-data-advisor:results', '{not json');
+  expect(getHistory()).toEqual([]);
+});
+
+test('isExpired and formatAge', () => {
+  const entry = { checkedAt: new Date(now).toISOString() };
+  expect(isExpired(entry, now + CACHE_TTL)).toBe(false);
+  expect(isExpired(entry, now + CACHE_TTL + 1)).toBe(true);
+  expect(formatAge(entry.checkedAt, now + 30 * 1000)).toBe('just now');
+  expect(formatAge(entry.checkedAt, now + 5 * 60 * 1000)).toBe('5 min ago');
+  expect(formatAge(entry.checkedAt, now + 3 * 60 * 60 * 1000)).toBe('3 h ago');
+  expect(formatAge(entry.checkedAt, now + 26 * 60 * 60 * 1000)).toBe('1 day ago');
+});
@@ -0,0 +1,196 @@
+import { getBboxError } from './geo';
+import { buildRenderQuery } from './rendering';
+
+export const DEFAULT_WINDOW_DAYS = 10;
+// Range an ingestion config falls back to when no rescale was chosen for the tiles
+export const DEFAULT_RESCALE = [0, 1];
+
+export const COLORMAP_NAMES = [
+  'viridis',
+  'plasma',
+  'inferno',
+  'magma',
+  'cividis',
+  'turbo',
+  'rdylbu_r',
+  'rdbu_r',
+  'spectral_r',
+  'ylorrd',
+  'blues',
+  'greens',
+  'greys'
+];
+
+const ISO_DURATION_PATTERN = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/;
+
+// ISO 8601 without milliseconds, as titiler-cmr expects (e.g. 2020-01-01T00:00:00Z)
+export const formatDatetime = (date) => {
+  return `${date.toISOString().split('.')[0]}Z`;
+};
+
+export const getCMRBbox = (details) => {
+  if (!details || !details.coordinates || !details.coordinates.lat || !details.coordinates.lon) {
+    return null;
+  }
+
+  const { lat, lon } = details.coordinates;
+  if (lat.min === undefined || lat.max === undefined || lon.min === undefined || lon.max === undefined) {
+    return null;
+  }
+  return [lon.min, lat.min, lon.max, lat.max];
+};
+
+// Earliest BeginningDateTime and latest EndingDateTime across all RangeDateTimes.
+// `end` is null for ongoing collections.
+export const getCMRTemporalExtent = (details) => {
+  if (!details || !Array.isArray(details.datetime)) return null;
+
+  let start = null;
+  let end = null;
+  let ongoing = false;
+
+  details.datetime.forEach(entry => {
+    (entry.RangeDateTimes || []).forEach(range => {
+      if (range.BeginningDateTime) {
+        const begin = new Date(range.BeginningDateTime);
+        if (!start || begin < start) start = begin;
+      }
+      if (range.EndingDateTime) {
+        const ending = new Date(range.EndingDateTime);
+        if (!end || ending > end) end = ending;
+      } else {
+        ongoing = true;
+      }
+    });
+  });
+
+  if (!start) return null;
+  return {
+    start: formatDatetime(start),
+    end: end && !ongoing ? formatDatetime(end) : null
+  };
+};
+
+export const getCMRVariables = (details) => {
+  if (!details || !details.variables || typeof details.variables !== 'object') return [];
+  return Object.keys(details.variables);
+};
+
+export const getDefaultTimeSeriesParams = (details) => {
+  const bbox = getCMRBbox(details);
+  const extent = getCMRTemporalExtent(details);
+  const variables = getCMRVariables(details);
+
+  if (!bbox || !extent || variables.length === 0) return null;
+
+  const startDate = new Date(extent.start);
+  const endDate = new Date(startDate);
+  endDate.setUTCDate(endDate.getUTCDate() + DEFAULT_WINDOW_DAYS);
+  if (extent.end && endDate > new Date(extent.end)) {
+    endDate.setTime(new Date(extent.end).getTime());
+  }
+
+  return {
+    variable: variables[0],
+    start: formatDatetime(startDate),
+    end: formatDatetime(endDate),
+    bbox,
+    step: ''
+  };
+};
+
+// Returns a map of field name -> error message; empty when the params are usable
+export const validateTimeSeriesParams = (params, extent) => {
+  const errors = {};
+
+  if (!params.variable) {
+    errors.variable = 'Choose a variable';
+  }
+
+  const start = new Date(params.start);
+  const end = new Date(params.end);
+  if (Number.isNaN(start.getTime())) {
+    errors.start = 'Invalid start datetime';
+  } else if (extent && start < new Date(extent.start)) {
+    errors.start = `Start must be on or after ${extent.start}`;
+  }
+  if (Number.isNaN(end.getTime())) {
+    errors.end = 'Invalid end datetime';
+  } else if (extent && extent.end && end > new Date(extent.end)) {
+    errors.end = `End must be on or before ${extent.end}`;
+  } else if (!errors.start && end <= start) {
+    errors.end = 'End must be after start';
+  }
+
+  const bboxError = getBboxError(params.bbox);
+  if (bboxError) {
+    errors.bbox = bboxError;
+  }
+
+  if (params.step && !ISO_DURATION_PATTERN.test(params.step)) {
+    errors.step = 'Step must be an ISO 8601 duration such as P1D or PT6H';
+  }
+
+  return errors;
+};
+
+// `render` is the colormap and rescale shared with the tiles (see rendering.js)
+export const buildTimeSeriesGifUrl = (baseUrl, conceptId, params, render = null) => {
+  const query = [
+    `concept_id=${conceptId}`,
+    `datetime=${params.start}/${params.end}`,
+    `variable=${encodeURIComponent(params.variable)}`,
+    'backend=xarray'
+  ];
+  if (params.step) {
+    query.push(`step=${params.step}`);
+  }
+  return `${baseUrl}timeseries/bbox/${params.bbox.join(',')}.gif?${query.join('&')}${buildRenderQuery(render)}`;
+};
+
+export const getTimeSeriesStatisticsParams = (conceptId, params) => {
+  return {
+    concept_id: conceptId,
+    datetime: `${params.start}/${params.end}`,
+    variable: params.variable,
+    bbox: params.bbox,
+    step: params.step || undefined,
+    aoi: params.aoi || undefined
+  };
+};
+
+// Query string of the titiler-cmr time series statistics POST request
+export const getTimeSeriesStatisticsQuery = (params) => {
+  const query = {
+    concept_id: params.concept_id,
+    datetime: params.datetime,
+    temporal_mode: 'interval',
+    variable: params.variable,
+    backend: 'xarray'
+  };
+  if (params.step) {
+    query.step = params.step;
+  }
+  return query;
+};
+
+// A bbox as a GeoJSON Feature with a rectangular Polygon geometry
+export const bboxToFeature = (bbox) => ({
+  type: 'Feature',
+  bbox,
+  properties: {},
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[
+      [bbox[0], bbox[1]],
+      [bbox[0], bbox[3]],
+      [bbox[2], bbox[3]],
+      [bbox[2], bbox[1]],
+      [bbox[0], bbox[1]]
+    ]]
+  }
+});
+
+// POST body of the time series statistics request: the area of interest when one was drawn
+// or uploaded, otherwise the bbox
+export const getTimeSeriesStatisticsBody = (params) => params.aoi || bboxToFeature(params.bbox);
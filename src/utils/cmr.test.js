@@ -0,0 +1,61 @@
+import {
+  getCMRTemporalExtent,
+  getDefaultTimeSeriesParams,
+  validateTimeSeriesParams,
+  buildTimeSeriesGifUrl,
+  getTimeSeriesStatisticsParams,
+  getTimeSeriesStatisticsBody
+} from './cmr';
+
+const details = {
+  coordinates: { lat: { min: -60, max: 60 }, lon: { min: -180, max: 180 } },
+  datetime: [{
+    RangeDateTimes: [
+      { BeginningDateTime: '2002-06-01T00:00:00.000Z', EndingDateTime: '2002-06-05T00:00:00.000Z' }
+    ]
+  }],
+  variables: { analysed_sst: {}, mask: {} }
+};
+
+test('getCMRTemporalExtent spans all ranges and treats a missing end as ongoing', () => {
+  expect(getCMRTemporalExtent(details)).toEqual({ start: '2002-06-01T00:00:00Z', end: '2002-06-05T00:00:00Z' });
+  expect(getCMRTemporalExtent({
+    datetime: [{ RangeDateTimes: [{ BeginningDateTime: '2010-01-01T00:00:00Z' }] }]
+  })).toEqual({ start: '2010-01-01T00:00:00Z', end: null });
+});
+
+test('getDefaultTimeSeriesParams clips the default window to the collection extent', () => {
+  const params = getDefaultTimeSeriesParams(details);
+  expect(params.variable).toBe('analysed_sst');
+  expect(params.end).toBe('2002-06-05T00:00:00Z');
+  expect(params.bbox).toEqual([-180, -60, 180, 60]);
+});
+
+test('validateTimeSeriesParams reports invalid fields', () => {
+  const params = getDefaultTimeSeriesParams(details);
+  expect(validateTimeSeriesParams(params, getCMRTemporalExtent(details))).toEqual({});
+
+  const errors = validateTimeSeriesParams(
+    { ...params, end: params.start, bbox: [10, 0, 5, 1], step: '1 day' },
+    getCMRTemporalExtent(details)
+  );
+  expect(Object.keys(errors).sort()).toEqual(['bbox', 'end', 'step']);
+});
+
+test('buildTimeSeriesGifUrl includes the step and render params only when set', () => {
+  const params = getDefaultTimeSeriesParams(details);
+  const render = { colormap: 'viridis', rescale: [271, 303] };
+  expect(buildTimeSeriesGifUrl('https://example.com/', 'C1-TEST', params, render)).toBe(
+    'https://example.com/timeseries/bbox/-180,-60,180,60.gif?concept_id=C1-TEST&datetime=2002-06-01T00:00:00Z/2002-06-05T00:00:00Z&variable=analysed_sst&backend=xarray&colormap_name=viridis&rescale=271,303'
+  );
+  expect(buildTimeSeriesGifUrl('https://example.com/', 'C1-TEST', { ...params, step: 'P1D' })).toMatch(/&step=P1D$/);
+});
+
+test('getTimeSeriesStatisticsBody posts the area of interest when there is one', () => {
+  const params = { start: '2020-01-01T00:00:00Z', end: '2020-01-02T00:00:00Z', variable: 'sst', bbox: [0, 0, 2, 1] };
+  expect(getTimeSeriesStatisticsBody(getTimeSeriesStatisticsParams('C1-P', params)).geometry.coordinates[0])
+    .toEqual([[0, 0], [0, 1], [2, 1], [2, 0], [0, 0]]);
+
+  const aoi = { type: 'Feature', bbox: [0, 0, 1, 1], properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } };
+  expect(getTimeSeriesStatisticsBody(getTimeSeriesStatisticsParams('C1-P', { ...params, aoi }))).toBe(aoi);
+});
@@ -0,0 +1,266 @@
+import { fetchWithRetry } from './http';
+
+// Bins requested for the per-band histograms (titiler's default is 10)
+export const HISTOGRAM_BINS = 20;
+
+// titiler /cog/statistics for the whole file, keyed by band ("b1", "b2", ...)
+export const fetchCogStatistics = async (baseUrl, fileUrl, requestOptions = {}) => {
+  const statisticsUrl = `${baseUrl}cog/statistics?url=${encodeURIComponent(fileUrl)}&histogram_bins=${HISTOGRAM_BINS}`;
+
+  const response = await fetchWithRetry(statisticsUrl, {}, requestOptions);
+
+  if (!response.ok) {
+    throw new Error(`Statistics API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// [min, max] for rendering a band: the 2nd-98th percentile range, which ignores outliers,
+// falling back to the full range. Null when the band has no usable statistics.
+export const getRescaleRange = (statistics, band = 'b1') => {
+  const stats = statistics && statistics[band];
+  if (!stats) return null;
+
+  const candidates = [[stats.percentile_2, stats.percentile_98], [stats.min, stats.max]];
+  const range = candidates.find(([low, high]) => Number.isFinite(low) && Number.isFinite(high) && low < high);
+  return range || null;
+};
+
+// Fill values commonly written into rasters, float32 extremes included
+const FILL_VALUES = [-9999, -32768, -32767, 65535, -3.4028234663852886e38, 3.4028234663852886e38, 9.969209968386869e36];
+const LOW_VALID_PERCENT = 5;
+// Share of pixels in the lowest or highest histogram bin above which that value looks like fill
+const EDGE_BIN_SHARE = 0.5;
+
+const isFillValue = (value) => FILL_VALUES.some(fill => Math.abs(value - fill) <= Math.abs(fill) * 1e-6);
+
+const getEdgeBinShares = (histogram) => {
+  if (!Array.isArray(histogram) || !Array.isArray(histogram[0]) || histogram[0].length === 0) return null;
+  const counts = histogram[0];
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+  return { low: counts[0] / total, high: counts[counts.length - 1] / total };
+};
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Statistics that suggest the file will not render as expected: empty or constant bands, and values
+// that look like nodata although the file declares none (titiler then counts them as data).
+// `nodata` is the declared nodata value, null when there is none.
+export const getStatisticsWarnings = (statistics, nodata = null) => {
+  const hasNodata = nodata !== null && nodata !== undefined;
+  const warnings = [];
+
+  Object.entries(statistics || {}).forEach(([band, stats]) => {
+    const add = (severity, message) => warnings.push({ band, severity, message });
+
+    if (stats.valid_percent === 0) {
+      add('error', 'No valid pixels: the band is empty or entirely nodata');
+      return;
+    }
+    if (stats.valid_percent < LOW_VALID_PERCENT) {
+      add('warning', `Only ${stats.valid_percent}% of pixels are valid`);
+    }
+    if (stats.min === stats.max) {
+      add('warning', `Every valid pixel has the same value (${stats.min})`);
+      return;
+    }
+    if (hasNodata) return;
+
+    const fill = [stats.min, stats.max].find(value => Number.isFinite(value) && isFillValue(value));
+    if (fill !== undefined) {
+      add('warning', `${fill} looks like a fill value, but no nodata value is declared, so it is treated as data`);
+      return;
+    }
+
+    const shares = getEdgeBinShares(stats.histogram);
+    if (shares && shares.low > EDGE_BIN_SHARE) {
+      add('warning', `${formatShare(shares.low)} of pixels are at or near the minimum (${stats.min}); if that is fill, declare it as nodata`);
+    } else if (shares && shares.high > EDGE_BIN_SHARE) {
+      add('warning', `${formatShare(shares.high)} of pixels are at or near the maximum (${stats.max}); if that is fill, declare it as nodata`);
+    }
+  });
+
+  return warnings;
+};
+
+// rio-cogeo reports problems as free text; these explain the ones it can emit.
+// Order matters: the first matching pattern wins.
+const COG_ISSUES = [
+  {
+    pattern: /not a GeoTIFF/i,
+    title: 'Not a GeoTIFF',
+    explanation: 'The file has no GeoTIFF georeferencing tags, so services cannot place it on a map.'
+  },
+  {
+    pattern: /\.ovr/i,
+    title: 'External overviews',
+    explanation: 'Overviews live in a sidecar .ovr file. Readers fetching the .tif over HTTP never see it, so zoomed-out views read full resolution data.'
+  },
+  {
+    pattern: /not tiled/i,
+    title: 'Not tiled',
+    explanation: 'Pixels are stored in strips, so reading a small window means reading whole rows of the image. COGs store square tiles that each map to one HTTP range request.'
+  },
+  {
+    pattern: /overview/i,
+    title: 'Missing or misordered overviews',
+    explanation: 'Without internal reduced-resolution copies, rendering a zoomed-out view reads every full resolution tile.'
+  },
+  {
+    pattern: /offset of the main IFD/i,
+    title: 'Header not at the start of the file',
+    explanation: 'The main image directory (IFD) must sit in the first bytes so one small range request reveals the whole layout.'
+  },
+  {
+    pattern: /offset of the (IFD|first block)/i,
+    title: 'Data out of order',
+    explanation: 'Directories and tile data are not in the order COG readers expect, which costs extra requests per tile.'
+  },
+  {
+    pattern: /mask/i,
+    title: 'Mask layout',
+    explanation: 'The internal mask is not stored the way COG readers expect, so reading it needs extra requests.'
+  }
+];
+
+const LOSSLESS_COMPRESSION = ['DEFLATE', 'LZW', 'ZSTD', 'LERC'];
+const LOSSY_COMPRESSION = ['JPEG', 'WEBP'];
+const STANDARD_BLOCKSIZES = [256, 512];
+
+// Errors and warnings from /cog/validate (rio-cogeo Info), each with an explanation
+export const getCogIssues = (info) => {
+  const describe = (severity) => (message) => {
+    const known = COG_ISSUES.find(issue => issue.pattern.test(message));
+    return {
+      severity,
+      message,
+      title: known ? known.title : (severity === 'error' ? 'COG error' : 'COG warning'),
+      explanation: known ? known.explanation : null
+    };
+  };
+
+  return [
+    ...(info.COG_errors || []).map(describe('error')),
+    ...(info.COG_warnings || []).map(describe('warning'))
+  ];
+};
+
+// Full resolution image and overviews from the IFD list; Blocksize is [height, width]
+export const getCogLevels = (info) => (info.IFD || []).map(ifd => ({
+  level: ifd.Level,
+  width: ifd.Width,
+  height: ifd.Height,
+  blockWidth: Array.isArray(ifd.Blocksize) ? ifd.Blocksize[1] : null,
+  blockHeight: Array.isArray(ifd.Blocksize) ? ifd.Blocksize[0] : null,
+  decimation: ifd.Decimation
+}));
+
+export const describeCogValidation = (info) => {
+  const issues = getCogIssues(info);
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+
+  if (info.COG === true) {
+    return warnings.length === 0
+      ? 'Valid COG structure with proper tiling'
+      : `Valid COG with ${warnings.length} warning(s): ${warnings[0].message}`;
+  }
+  return errors.length > 0
+    ? `Not a valid Cloud Optimized GeoTIFF: ${errors[0].message}`
+    : 'File is not a valid Cloud Optimized GeoTIFF';
+};
+
+// Settings for rewriting the file as a COG, with the reason for each choice
+export const getCogRemediation = (info) => {
+  const profile = info.Profile || {};
+  const levels = getCogLevels(info);
+  const dtype = profile.Dtype || '';
+  const isFloat = dtype.startsWith('float');
+  const compression = (info.Compression || '').toUpperCase();
+  const reasons = [];
+
+  const currentBlock = levels.length > 0 ? levels[0].blockWidth : null;
+  const blocksize = profile.Tiled && STANDARD_BLOCKSIZES.includes(currentBlock) ? currentBlock : 512;
+  reasons.push(blocksize === currentBlock
+    ? `Keeps the existing ${blocksize}x${blocksize} tiles`
+    : '512x512 internal tiles, the rio-cogeo default');
+
+  let resampling = 'nearest';
+  if (profile.ColorMap) {
+    reasons.push('Nearest overview resampling keeps the palette classes intact');
+  } else if (isFloat) {
+    resampling = 'average';
+    reasons.push('Average overview resampling suits continuous floating point values');
+  } else {
+    reasons.push('Nearest overview resampling keeps integer values intact in case they are classes; use average for continuous measurements');
+  }
+
+  let targetCompression = 'DEFLATE';
+  if (LOSSLESS_COMPRESSION.includes(compression)) {
+    targetCompression = compression;
+    reasons.push(`Keeps the existing ${compression} compression`);
+  } else if (LOSSY_COMPRESSION.includes(compression) && dtype === 'uint8') {
+    targetCompression = compression;
+    reasons.push(`Keeps the existing lossy ${compression} compression of this 8-bit imagery`);
+  } else {
+    reasons.push(compression
+      ? `DEFLATE is lossless and works for ${dtype || 'any'} data, unlike ${compression}`
+      : 'DEFLATE compression, since the file is uncompressed');
+  }
+
+  const predictor = LOSSY_COMPRESSION.includes(targetCompression) ? null : (isFloat ? 3 : 2);
+  if (predictor) {
+    reasons.push(`Predictor ${predictor} (${isFloat ? 'floating point' : 'horizontal differencing'}) improves ${targetCompression} compression`);
+  }
+
+  const nodata = typeof profile.Nodata === 'number' ? profile.Nodata : null;
+  if (nodata !== null) {
+    reasons.push(`Keeps nodata = ${nodata}`);
+  }
+
+  return { blocksize, resampling, compression: targetCompression, predictor, nodata, reasons };
+};
+
+const shellArg = (value) => (/^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`);
+
+// Local output name, e.g. s3://bucket/MODIS_LC_2001_BD_v2.tif -> MODIS_LC_2001_BD_v2.cog.tif
+export const getCogOutputName = (fileUrl) => {
+  const name = fileUrl.split('?')[0].split('/').pop().replace(/(\.cog)?\.tiff?$/i, '');
+  return `${name || 'output'}.cog.tif`;
+};
+
+// GDAL virtual file system path for a remote file
+const toGdalPath = (fileUrl) => {
+  if (fileUrl.startsWith('s3://')) return `/vsis3/${fileUrl.slice('s3://'.length)}`;
+  if (/^https?:\/\//.test(fileUrl)) return `/vsicurl/${fileUrl}`;
+  return fileUrl;
+};
+
+export const buildRioCogeoCommand = (fileUrl, settings) => {
+  const parts = [
+    `rio cogeo create ${shellArg(fileUrl)} ${shellArg(getCogOutputName(fileUrl))}`,
+    `--cog-profile ${settings.compression.toLowerCase()}`,
+    `--blocksize ${settings.blocksize}`,
+    `--overview-blocksize ${settings.blocksize}`,
+    `--overview-resampling ${settings.resampling}`
+  ];
+  if (settings.predictor) parts.push(`--co PREDICTOR=${settings.predictor}`);
+  if (settings.nodata !== null) parts.push(`--nodata ${settings.nodata}`);
+  return parts.join(' \\\n  ');
+};
+
+export const buildGdalCommand = (fileUrl, settings) => {
+  const parts = [
+    `gdal_translate ${shellArg(toGdalPath(fileUrl))} ${shellArg(getCogOutputName(fileUrl))}`,
+    '-of COG',
+    `-co COMPRESS=${settings.compression}`,
+    `-co BLOCKSIZE=${settings.blocksize}`,
+    `-co OVERVIEW_RESAMPLING=${settings.resampling.toUpperCase()}`
+  ];
+  if (settings.predictor) parts.push(`-co PREDICTOR=${settings.predictor === 3 ? 'FLOATING_POINT' : 'STANDARD'}`);
+  if (settings.nodata !== null) parts.push(`-a_nodata ${settings.nodata}`);
+  parts.push('-co BIGTIFF=IF_SAFER');
+  return parts.join(' \\\n  ');
+};
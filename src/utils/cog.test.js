@@ -0,0 +1,137 @@
+import {
+  fetchCogStatistics,
+  getStatisticsWarnings,
+  getRescaleRange,
+  getCogIssues,
+  getCogLevels,
+  describeCogValidation,
+  getCogRemediation,
+  getCogOutputName,
+  buildRioCogeoCommand,
+  buildGdalCommand
+} from './cog';
+
+const stripedInfo = {
+  COG: false,
+  Compression: 'LZW',
+  Profile: { Bands: 1, Width: 2000, Height: 1000, Tiled: false, Dtype: 'float32', Nodata: -9999 },
+  IFD: [{ Level: 0, Width: 2000, Height: 1000, Blocksize: [1, 2000], Decimation: 0 }],
+  COG_errors: ['The file is greater than 512xH or 512xW, it is recommended to include internal overviews', 'The file is not tiled'],
+  COG_warnings: []
+};
+
+test('getRescaleRange prefers the 2nd-98th percentile range', () => {
+  const statistics = { b1: { min: 0, max: 255, percentile_2: 12, percentile_98: 230 } };
+  expect(getRescaleRange(statistics)).toEqual([12, 230]);
+});
+
+test('getRescaleRange falls back to min/max and rejects flat bands', () => {
+  expect(getRescaleRange({ b1: { min: -5, max: 40, percentile_2: 3, percentile_98: 3 } })).toEqual([-5, 40]);
+  expect(getRescaleRange({ b1: { min: 1, max: 1 } })).toBeNull();
+  expect(getRescaleRange({})).toBeNull();
+});
+
+test('fetchCogStatistics requests histograms for the whole file', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ b1: { min: 0 } }) }));
+  expect(await fetchCogStatistics('https://raster/', 's3://bucket/a.tif')).toEqual({ b1: { min: 0 } });
+  expect(global.fetch.mock.calls[0][0]).toBe('https://raster/cog/statistics?url=s3%3A%2F%2Fbucket%2Fa.tif&histogram_bins=20');
+});
+
+const band = (overrides) => ({
+  min: 1, max: 200, valid_percent: 100, histogram: [[5, 10, 20, 10, 5], [1, 41, 81, 121, 161, 200]], ...overrides
+});
+
+test('getStatisticsWarnings flags empty, sparse and constant bands', () => {
+  expect(getStatisticsWarnings({ b1: band({}) }, 0)).toEqual([]);
+  expect(getStatisticsWarnings({
+    b1: band({ valid_percent: 0 }),
+    b2: band({ valid_percent: 2.5 }),
+    b3: band({ min: 7, max: 7 })
+  }, 0)).toEqual([
+    { band: 'b1', severity: 'error', message: 'No valid pixels: the band is empty or entirely nodata' },
+    { band: 'b2', severity: 'warning', message: 'Only 2.5% of pixels are valid' },
+    { band: 'b3', severity: 'warning', message: 'Every valid pixel has the same value (7)' }
+  ]);
+});
+
+test('getStatisticsWarnings spots undeclared nodata values', () => {
+  const [fill] = getStatisticsWarnings({ b1: band({ min: -9999 }) });
+  expect(fill.message).toMatch(/^-9999 looks like a fill value/);
+  expect(getStatisticsWarnings({ b1: band({ min: -3.4028234663852886e38 }) })).toHaveLength(1);
+
+  const [edge] = getStatisticsWarnings({ b1: band({ min: 0, histogram: [[80, 5, 5, 5, 5], [0, 1, 2, 3, 4, 5]] }) });
+  expect(edge.message).toBe('80% of pixels are at or near the minimum (0); if that is fill, declare it as nodata');
+
+  // A declared nodata value is masked by titiler, so the remaining values are data
+  expect(getStatisticsWarnings({ b1: band({ min: -9999 }) }, -9999)).toEqual([]);
+  expect(getStatisticsWarnings({ b1: band({}) })).toEqual([]);
+});
+
+test('getCogIssues explains known rio-cogeo messages', () => {
+  const issues = getCogIssues({
+    ...stripedInfo,
+    COG_warnings: ['Something new']
+  });
+  expect(issues.map(issue => [issue.severity, issue.title])).toEqual([
+    ['error', 'Missing or misordered overviews'],
+    ['error', 'Not tiled'],
+    ['warning', 'COG warning']
+  ]);
+  expect(issues[2].explanation).toBeNull();
+});
+
+test('getCogLevels reads block sizes as width x height', () => {
+  expect(getCogLevels(stripedInfo)).toEqual([
+    { level: 0, width: 2000, height: 1000, blockWidth: 2000, blockHeight: 1, decimation: 0 }
+  ]);
+});
+
+test('describeCogValidation reports the first problem', () => {
+  expect(describeCogValidation(stripedInfo)).toMatch(/^Not a valid Cloud Optimized GeoTIFF: The file is greater/);
+  expect(describeCogValidation({ COG: true, COG_warnings: ['The file has external overviews (.ovr)'] }))
+    .toBe('Valid COG with 1 warning(s): The file has external overviews (.ovr)');
+  expect(describeCogValidation({ COG: true })).toBe('Valid COG structure with proper tiling');
+});
+
+test('getCogRemediation picks settings from the data type and current layout', () => {
+  const float = getCogRemediation(stripedInfo);
+  expect(float).toMatchObject({ blocksize: 512, resampling: 'average', compression: 'LZW', predictor: 3, nodata: -9999 });
+
+  const rgb = getCogRemediation({
+    Compression: 'JPEG',
+    Profile: { Dtype: 'uint8', Tiled: true },
+    IFD: [{ Level: 0, Width: 1024, Height: 1024, Blocksize: [256, 256] }]
+  });
+  expect(rgb).toMatchObject({ blocksize: 256, resampling: 'nearest', compression: 'JPEG', predictor: null, nodata: null });
+
+  const uncompressed = getCogRemediation({ Profile: { Dtype: 'int16' } });
+  expect(uncompressed).toMatchObject({ compression: 'DEFLATE', predictor: 2 });
+});
+
+test('remediation commands', () => {
+  const settings = getCogRemediation(stripedInfo);
+  expect(getCogOutputName('https://example.com/data/sst 2020.tif?x=1')).toBe('sst 2020.cog.tif');
+
+  expect(buildRioCogeoCommand('s3://bucket/path/sst.tif', settings)).toBe([
+    'rio cogeo create s3://bucket/path/sst.tif sst.cog.tif',
+    '--cog-profile lzw',
+    '--blocksize 512',
+    '--overview-blocksize 512',
+    '--overview-resampling average',
+    '--co PREDICTOR=3',
+    '--nodata -9999'
+  ].join(' \\\n  '));
+
+  expect(buildGdalCommand('s3://bucket/path/sst.tif', settings)).toBe([
+    'gdal_translate /vsis3/bucket/path/sst.tif sst.cog.tif',
+    '-of COG',
+    '-co COMPRESS=LZW',
+    '-co BLOCKSIZE=512',
+    '-co OVERVIEW_RESAMPLING=AVERAGE',
+    '-co PREDICTOR=FLOATING_POINT',
+    '-a_nodata -9999',
+    '-co BIGTIFF=IF_SAFER'
+  ].join(' \\\n  '));
+
+  expect(buildGdalCommand('https://example.com/a b.tif', settings)).toMatch(/^gdal_translate '\/vsicurl\/https:\/\/example.com\/a b.tif' 'a b.cog.tif'/);
+});
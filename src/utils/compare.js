@@ -0,0 +1,88 @@
+import { evaluateRules } from './rules';
+import { getDatasetBounds } from './geo';
+import { getCMRTemporalExtent, getCMRVariables } from './cmr';
+import { isAuxiliaryVariable } from './multidim';
+import { getValidationOutcome } from './outcome';
+import { guessDatetimeFromName, stripExtension } from './stac';
+
+export const MIN_COMPARED = 2;
+export const MAX_COMPARED = 4;
+
+const OUTCOME_LABELS = {
+  passed: 'All checks passed',
+  partial: 'Some checks failed',
+  failed: 'Failed'
+};
+
+const formatFlag = (value) => (value ? 'Yes' : 'No');
+
+// Variables for gridded data and CMR collections, bands for COGs, columns for (Geo)Parquet
+const getVariables = (result) => {
+  const details = result.validationDetails || {};
+  if (result.isCMR) return getCMRVariables(details);
+  if (Array.isArray(details._allVariables)) return details._allVariables.filter(name => !isAuxiliaryVariable(name));
+  if (details.Profile && details.Profile.Bands) {
+    return Array.from({ length: details.Profile.Bands }, (_, index) => `b${index + 1}`);
+  }
+  if (details.parquet) return details.parquet.columns;
+  return [];
+};
+
+const getSpatialExtent = (result) => {
+  const bounds = getDatasetBounds(result);
+  return bounds ? bounds.map(value => value.toFixed(2)).join(', ') : null;
+};
+
+const getTemporalExtent = (result, input) => {
+  const details = result.validationDetails || {};
+  if (result.isCMR) {
+    const extent = getCMRTemporalExtent(details);
+    return extent ? `${extent.start} – ${extent.end || 'ongoing'}` : null;
+  }
+  if (details.dimensions && typeof details.dimensions.time === 'number') {
+    return `${details.dimensions.time} time step(s)`;
+  }
+  const datetime = guessDatetimeFromName(stripExtension(input));
+  return datetime ? `${datetime} (from file name)` : null;
+};
+
+// Each row reads one attribute from a validation result; list rows hold arrays and
+// highlight the entries that are not shared by every dataset
+export const COMPARISON_ROWS = [
+  { key: 'format', label: 'Format', getValue: (result) => result.format },
+  { key: 'outcome', label: 'Validation', getValue: (result) => OUTCOME_LABELS[getValidationOutcome(result)] },
+  { key: 'cloudOptimized', label: 'Cloud optimized', getValue: (result) => formatFlag(result.isCloudOptimized) },
+  { key: 'timeDimension', label: 'Time dimension', getValue: (result) => formatFlag(result.metadata.hasTimeDimension) },
+  { key: 'variables', label: 'Variables / bands', list: true, getValue: (result) => [...getVariables(result)].sort() },
+  { key: 'spatialExtent', label: 'Spatial extent (W, S, E, N)', getValue: (result) => getSpatialExtent(result) },
+  { key: 'temporalExtent', label: 'Temporal extent', getValue: (result, item) => getTemporalExtent(result, item.input) },
+  {
+    key: 'services',
+    label: 'Recommended services',
+    list: true,
+    getValue: (result) => evaluateRules(result).recommended.map(service => service.title)
+  }
+];
+
+const sameValues = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Entries present in every list
+const getSharedEntries = (lists) => lists.reduce(
+  (shared, list) => shared.filter(entry => list.includes(entry)),
+  lists[0] || []
+);
+
+// Lays out 2-4 items ({ input, environment, result }) as aligned rows.
+// Missing values are null; `differs` marks rows whose values are not all equal.
+export const buildComparison = (items) => COMPARISON_ROWS.map(row => {
+  const values = items.map(item => row.getValue(item.result, item));
+
+  return {
+    key: row.key,
+    label: row.label,
+    list: Boolean(row.list),
+    values,
+    shared: row.list ? getSharedEntries(values) : null,
+    differs: values.some(value => !sameValues(value, values[0]))
+  };
+});
@@ -0,0 +1,104 @@
+import { buildComparison } from './compare';
+
+const step = (name, status) => ({ name, status });
+
+const cog = {
+  input: 's3://veda-data-store/landcover/MODIS_LC_2001_BD_v2.cog.tif',
+  environment: 'production',
+  result: {
+    format: 'COG',
+    isValid: true,
+    isCloudOptimized: true,
+    isCMR: false,
+    metadata: { hasTimeDimension: false, spatialType: 'raster' },
+    validationDetails: {
+      Profile: { Bands: 1 },
+      GEO: { BoundingBox: [88.0, 20.5, 92.7, 26.6] }
+    },
+    steps: [step('Accessibility Check', 'completed'), step('COG Validation', 'completed')]
+  }
+};
+
+const netcdf = {
+  input: 's3://veda-nex-gddp-cmip6-public/fwi/mme50_ssp245_fwi_metrics_yearly_2100.nc',
+  environment: 'production',
+  result: {
+    format: 'NetCDF',
+    isValid: true,
+    isCloudOptimized: false,
+    isCMR: false,
+    metadata: { hasTimeDimension: true, spatialType: 'raster' },
+    validationDetails: {
+      _allVariables: ['time', 'lat', 'lon', 'fwi', 'b1', 'time_bnds'],
+      bounds: [-180, -60, 180, 90],
+      dimensions: { time: 12, lat: 600, lon: 1440 }
+    },
+    steps: [step('Accessibility Check', 'completed'), step('NetCDF Validation', 'failed')]
+  }
+};
+
+const cmr = {
+  input: 'C2723754864-GES_DISC',
+  environment: 'staging',
+  result: {
+    format: 'NetCDF',
+    isValid: true,
+    isCloudOptimized: false,
+    isCMR: true,
+    conceptId: 'C2723754864-GES_DISC',
+    metadata: { hasTimeDimension: true, spatialType: 'raster' },
+    validationDetails: {
+      variables: { precipitation: {}, fwi: {} },
+      coordinates: { lat: { min: -90, max: 90 }, lon: { min: -180, max: 180 } },
+      datetime: [{ RangeDateTimes: [{ BeginningDateTime: '2000-06-01T00:00:00Z' }] }]
+    },
+    steps: [step('Parse CMR Input', 'completed'), step('Check CMR Compatibility', 'completed')]
+  }
+};
+
+const rowsByKey = (rows) => Object.fromEntries(rows.map(row => [row.key, row]));
+
+test('buildComparison lines up every attribute, one value per dataset', () => {
+  const rows = rowsByKey(buildComparison([cog, netcdf, cmr]));
+
+  expect(rows.format.values).toEqual(['COG', 'NetCDF', 'NetCDF']);
+  expect(rows.outcome.values).toEqual(['All checks passed', 'Some checks failed', 'All checks passed']);
+  expect(rows.cloudOptimized.values).toEqual(['Yes', 'No', 'No']);
+  expect(rows.timeDimension.values).toEqual(['No', 'Yes', 'Yes']);
+  expect(rows.spatialExtent.values).toEqual(['88.00, 20.50, 92.70, 26.60', '-180.00, -60.00, 180.00, 90.00', '-180.00, -90.00, 180.00, 90.00']);
+  expect(rows.temporalExtent.values).toEqual([
+    '2001-01-01T00:00:00Z (from file name)',
+    '12 time step(s)',
+    '2000-06-01T00:00:00Z – ongoing'
+  ]);
+  expect(rows.services.values).toEqual([['Titiler-pgstac'], ['Titiler-multidim'], ['Titiler-CMR']]);
+});
+
+test('buildComparison lists bands and variables without coordinate variables and marks shared ones', () => {
+  const rows = rowsByKey(buildComparison([cog, netcdf, cmr]));
+
+  expect(rows.variables.values).toEqual([['b1'], ['b1', 'fwi'], ['fwi', 'precipitation']]);
+  expect(rows.variables.shared).toEqual([]);
+  expect(rowsByKey(buildComparison([netcdf, cmr])).variables.shared).toEqual(['fwi']);
+});
+
+test('buildComparison flags only the rows that differ', () => {
+  const rows = buildComparison([netcdf, { ...netcdf, input: 's3://bucket/other.nc' }]);
+  expect(rows.filter(row => row.differs)).toEqual([]);
+
+  const mixed = rowsByKey(buildComparison([netcdf, cmr]));
+  expect(mixed.format.differs).toBe(false);
+  expect(mixed.timeDimension.differs).toBe(false);
+  expect(mixed.spatialExtent.differs).toBe(true);
+  expect(mixed.services.differs).toBe(true);
+});
+
+test('buildComparison leaves missing values empty', () => {
+  const rows = rowsByKey(buildComparison([
+    { input: 's3://bucket/data.parquet', result: { format: 'Parquet', isCMR: false, metadata: {}, validationDetails: null, steps: [] } },
+    cog
+  ]));
+  expect(rows.spatialExtent.values[0]).toBeNull();
+  expect(rows.temporalExtent.values[0]).toBeNull();
+  expect(rows.variables.values[0]).toEqual([]);
+});
@@ -0,0 +1,89 @@
+import { ENVIRONMENTS, DEFAULT_ENVIRONMENT } from '../config/services';
+
+// Query string layout:
+//   input     URL or CMR concept ID to validate
+//   env       service environment (omitted for the default one)
+//   view      "batch" for the batch results table, "ingest" for the ingestion config step,
+//             "compare" for the comparison table
+//   variable  selected variable (titiler-multidim variable or titiler-cmr time series variable)
+//   time      selected time step of a titiler-multidim variable
+//   datetime, bbox, step   titiler-cmr time series parameters
+//   colormap, rescale      render params of every tile and GIF URL
+
+const VIEWS = ['batch', 'ingest', 'compare'];
+
+const parseNumberList = (value, length) => {
+  if (!value) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === length && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// Reads the wizard state from a query string. Unknown or malformed values are dropped.
+export const parseDeepLink = (search) => {
+  const params = new URLSearchParams(search);
+  const env = params.get('env');
+
+  const timeSeries = {};
+  const datetime = params.get('datetime');
+  if (datetime && datetime.includes('/')) {
+    const [start, end] = datetime.split('/');
+    timeSeries.start = start;
+    timeSeries.end = end;
+  }
+  const bbox = parseNumberList(params.get('bbox'), 4);
+  if (bbox) timeSeries.bbox = bbox;
+  const rescale = parseNumberList(params.get('rescale'), 2);
+  if (rescale) timeSeries.rescale = rescale;
+  if (params.get('colormap')) timeSeries.colormap = params.get('colormap');
+  if (params.get('step')) timeSeries.step = params.get('step');
+
+  return {
+    input: params.get('input') || null,
+    environment: env && ENVIRONMENTS[env] ? env : DEFAULT_ENVIRONMENT,
+    view: VIEWS.includes(params.get('view')) ? params.get('view') : null,
+    options: {
+      variable: params.get('variable') || null,
+      time: params.get('time') || null,
+      timeSeries: Object.keys(timeSeries).length > 0 ? timeSeries : null
+    }
+  };
+};
+
+// Inverse of parseDeepLink; returns a query string including the leading "?" (or "" when empty)
+export const buildDeepLink = ({ input = null, environment = DEFAULT_ENVIRONMENT, view = null, options = {} }) => {
+  const params = new URLSearchParams();
+
+  if (view) params.set('view', view);
+  if (input) params.set('input', input);
+  if (environment !== DEFAULT_ENVIRONMENT) params.set('env', environment);
+  if (options.variable) params.set('variable', options.variable);
+  if (options.time) params.set('time', options.time);
+
+  const timeSeries = options.timeSeries;
+  if (timeSeries) {
+    if (timeSeries.start && timeSeries.end) params.set('datetime', `${timeSeries.start}/${timeSeries.end}`);
+    if (timeSeries.bbox) params.set('bbox', timeSeries.bbox.join(','));
+    if (timeSeries.colormap) params.set('colormap', timeSeries.colormap);
+    if (timeSeries.rescale) params.set('rescale', timeSeries.rescale.join(','));
+    if (timeSeries.step) params.set('step', timeSeries.step);
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// The options worth sharing for a validated dataset
+export const getLinkOptions = (validationResult, timeSeriesParams, renderParams = null) => {
+  const render = renderParams ? { colormap: renderParams.colormap, rescale: renderParams.rescale } : null;
+  if (timeSeriesParams) {
+    const { variable, ...timeSeries } = timeSeriesParams;
+    return { variable, time: null, timeSeries: { ...timeSeries, ...render } };
+  }
+
+  const details = validationResult && validationResult.validationDetails;
+  return {
+    variable: (details && details._variableUsed) || null,
+    time: (details && details._timeStep) || null,
+    timeSeries: render
+  };
+};
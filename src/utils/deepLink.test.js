@@ -0,0 +1,76 @@
+import { parseDeepLink, buildDeepLink, getLinkOptions } from './deepLink';
+import { DEFAULT_ENVIRONMENT } from '../config/services';
+
+test('buildDeepLink and parseDeepLink round-trip a dataset with time series options', () => {
+  const state = {
+    input: 'C2723754864-GES_DISC',
+    environment: 'staging',
+    view: null,
+    options: {
+      variable: 'precipitation',
+      time: null,
+      timeSeries: {
+        start: '2020-01-01T00:00:00Z',
+        end: '2020-01-31T00:00:00Z',
+        bbox: [-10, 20.5, 10, 40],
+        colormap: 'magma',
+        rescale: [0, 50],
+        step: 'P1D'
+      }
+    }
+  };
+
+  const search = buildDeepLink(state);
+  expect(search).toContain('input=C2723754864-GES_DISC');
+  expect(parseDeepLink(search)).toEqual(state);
+});
+
+test('buildDeepLink leaves out defaults', () => {
+  expect(buildDeepLink({})).toBe('');
+  expect(buildDeepLink({ input: 's3://bucket/file.tif', environment: DEFAULT_ENVIRONMENT }))
+    .toBe('?input=s3%3A%2F%2Fbucket%2Ffile.tif');
+  expect(buildDeepLink({ view: 'batch' })).toBe('?view=batch');
+});
+
+test('parseDeepLink keeps the ingestion view', () => {
+  const link = parseDeepLink(buildDeepLink({ input: 's3://bucket/file.tif', view: 'ingest' }));
+  expect(link.view).toBe('ingest');
+  expect(link.input).toBe('s3://bucket/file.tif');
+});
+
+test('parseDeepLink keeps the comparison view', () => {
+  expect(parseDeepLink('?view=compare').view).toBe('compare');
+});
+
+test('parseDeepLink drops unknown environments and malformed values', () => {
+  const link = parseDeepLink('?input=s3://bucket/a.nc&env=nowhere&bbox=1,2,3&rescale=a,b&view=other');
+  expect(link).toEqual({
+    input: 's3://bucket/a.nc',
+    environment: DEFAULT_ENVIRONMENT,
+    view: null,
+    options: { variable: null, time: null, timeSeries: null }
+  });
+});
+
+test('getLinkOptions shares the multidim variable or the time series parameters', () => {
+  expect(getLinkOptions({ validationDetails: { _variableUsed: 'tas' } }, null)).toEqual({ variable: 'tas', time: null, timeSeries: null });
+  expect(getLinkOptions({ validationDetails: null }, { variable: 'sst', start: 'a', end: 'b' }))
+    .toEqual({ variable: 'sst', time: null, timeSeries: { start: 'a', end: 'b' } });
+  expect(getLinkOptions({ validationDetails: null }, { variable: 'sst', start: 'a', end: 'b' }, { colormap: 'magma', rescale: [1, 2] }))
+    .toEqual({ variable: 'sst', time: null, timeSeries: { start: 'a', end: 'b', colormap: 'magma', rescale: [1, 2] } });
+});
+
+test('getLinkOptions shares the colormap and rescale of other rasters', () => {
+  const options = getLinkOptions({ validationDetails: { _variableUsed: 'tas' } }, null, { colormap: 'magma', rescale: [250, 310] });
+  expect(options).toEqual({ variable: 'tas', time: null, timeSeries: { colormap: 'magma', rescale: [250, 310] } });
+  expect(parseDeepLink(buildDeepLink({ input: 's3://bucket/a.nc', options })).options).toEqual(options);
+  expect(buildDeepLink({ options: getLinkOptions({}, null, { colormap: 'viridis', rescale: null }) })).toBe('?colormap=viridis');
+});
+
+test('getLinkOptions shares the picked time step of a multidim variable', () => {
+  const options = getLinkOptions({ validationDetails: { _variableUsed: 'tas', _timeStep: '2020-02-01T00:00:00' } }, null);
+  expect(options).toEqual({ variable: 'tas', time: '2020-02-01T00:00:00', timeSeries: null });
+  const search = buildDeepLink({ input: 's3://bucket/a.nc', options });
+  expect(search).toContain('time=2020-02-01T00%3A00%3A00');
+  expect(parseDeepLink(search).options).toEqual(options);
+});
@@ -0,0 +1,46 @@
+// Saves generated text as a file through a temporary object URL
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Standalone SVG markup for an element rendered in the page
+export const serializeSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return new XMLSerializer().serializeToString(clone);
+};
+
+// Rasterizes an SVG element on a white background and saves it as a PNG at `scale` times its size
+export const downloadSvgAsPng = (svg, fileName, scale = 2) => new Promise((resolve, reject) => {
+  const width = Number(svg.getAttribute('width'));
+  const height = Number(svg.getAttribute('height'));
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    // toBlob yields null when the canvas can't be encoded (e.g. it is too large for the browser)
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Could not encode the chart as a PNG'));
+        return;
+      }
+      downloadFile(blob, fileName, 'image/png');
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => reject(new Error('Could not render the chart as an image'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serializeSvg(svg))}`;
+});
@@ -0,0 +1,42 @@
+import { downloadSvgAsPng } from './download';
+
+const originalImage = global.Image;
+const originalCreateElement = document.createElement.bind(document);
+
+// jsdom neither loads images nor draws on canvases: the image loads as soon as it gets a source
+// and the canvas hands `blob` to toBlob
+const mockCanvas = (blob) => {
+  global.Image = class {
+    set src(value) {
+      setTimeout(() => this.onload());
+    }
+  };
+  jest.spyOn(document, 'createElement').mockImplementation((tagName) => (tagName === 'canvas'
+    ? { getContext: () => ({ fillRect: () => {}, drawImage: () => {} }), toBlob: (callback) => callback(blob) }
+    : originalCreateElement(tagName)));
+};
+
+const createSvg = () => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('width', '100');
+  svg.setAttribute('height', '50');
+  return svg;
+};
+
+afterEach(() => {
+  global.Image = originalImage;
+  jest.restoreAllMocks();
+});
+
+test('downloadSvgAsPng rejects when the canvas yields no blob', async () => {
+  mockCanvas(null);
+  await expect(downloadSvgAsPng(createSvg(), 'chart.png')).rejects.toThrow('Could not encode the chart as a PNG');
+});
+
+test('downloadSvgAsPng saves the blob the canvas yields', async () => {
+  mockCanvas(new Blob(['png'], { type: 'image/png' }));
+  URL.createObjectURL = jest.fn(() => 'blob:chart');
+  URL.revokeObjectURL = jest.fn();
+  await expect(downloadSvgAsPng(createSvg(), 'chart.png')).resolves.toBeUndefined();
+  expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+});
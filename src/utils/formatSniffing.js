@@ -0,0 +1,169 @@
+import { toHttpsUrl } from './access';
+import { fetchWithRetry, isAbortError, readLeadingBytes } from './http';
+import { REQUEST_DEFAULTS } from '../config/requests';
+
+export const SNIFF_BYTES = 4096;
+
+const EXTENSION_FORMATS = {
+  'tif': 'COG',
+  'tiff': 'COG',
+  'nc': 'NetCDF',
+  'nc4': 'NetCDF',
+  'parquet': 'GeoParquet',
+  'grib': 'GRIB',
+  'grb': 'GRIB',
+  'grb2': 'GRIB',
+  'grib2': 'GRIB',
+  'hdf5': 'HDF5',
+  'h5': 'HDF5',
+  'geojson': 'GeoJSON',
+  'zarr': 'Zarr'
+};
+
+const HDF5_SIGNATURE = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+const NETCDF4_MARKERS = ['_NCProperties', '_Netcdf4Dimid', '_Netcdf4Coordinates', '_nc3_strict'];
+const GEOJSON_TYPES = [
+  'FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString',
+  'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+export const getExtensionFormat = (fileName) => {
+  const extension = fileName.split('?')[0].split('.').pop().toLowerCase();
+  return EXTENSION_FORMATS[extension] || 'Unknown';
+};
+
+const startsWith = (bytes, signature, offset = 0) => {
+  return signature.every((value, index) => bytes[offset + index] === value);
+};
+
+const toAscii = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+const sniffTiff = (bytes, text) => {
+  const isLittle = bytes[0] === 0x49 && bytes[1] === 0x49;
+  const isBig = bytes[0] === 0x4d && bytes[1] === 0x4d;
+  if (!isLittle && !isBig) return null;
+
+  const version = isLittle ? bytes[2] : bytes[3];
+  if (version !== 42 && version !== 43) return null;
+
+  const kind = version === 43 ? 'BigTIFF' : 'TIFF';
+  // GDAL writes a "ghost" header right after the TIFF header of every COG it creates
+  if (text.includes('GDAL_STRUCTURAL_METADATA_SIZE') && text.includes('LAYOUT=IFDS_BEFORE_DATA')) {
+    return { format: 'COG', detail: `${kind} with COG layout` };
+  }
+  return { format: 'GeoTIFF', detail: `${kind} without a COG layout marker` };
+};
+
+const sniffJson = (text) => {
+  const trimmed = text.replace(/\0+$/, '').trim();
+  if (!trimmed.startsWith('{')) return null;
+
+  const zarrFormat = trimmed.match(/"zarr_format"\s*:\s*(\d)/);
+  if (zarrFormat) {
+    return { format: 'Zarr', detail: `Zarr v${zarrFormat[1]} metadata` };
+  }
+
+  // Kerchunk references: v1 nests the store under "refs", v0 starts with its metadata keys
+  const referenceVersion = trimmed.match(/"version"\s*:\s*(\d)/);
+  if (/"refs"\s*:\s*\{/.test(trimmed) || /^\{\s*"\.z(group|attrs|metadata)"\s*:/.test(trimmed)) {
+    return {
+      format: 'Virtual Zarr',
+      detail: `Kerchunk reference${referenceVersion ? ` v${referenceVersion[1]}` : ''}`
+    };
+  }
+
+  const geoJsonType = trimmed.match(/"type"\s*:\s*"([A-Za-z]+)"/);
+  if (geoJsonType && GEOJSON_TYPES.includes(geoJsonType[1])) {
+    return { format: 'GeoJSON', detail: `GeoJSON ${geoJsonType[1]}` };
+  }
+  return null;
+};
+
+// Identify a file from its leading bytes. Returns { format, detail } or null when unrecognised.
+export const sniffFormat = (bytes) => {
+  if (!bytes || bytes.length < 8) return null;
+  const text = toAscii(bytes);
+
+  const tiff = sniffTiff(bytes, text);
+  if (tiff) return tiff;
+
+  // HDF5 superblocks may sit after a user block at 512, 1024, ... bytes
+  for (let offset = 0; offset + HDF5_SIGNATURE.length <= bytes.length; offset = offset ? offset * 2 : 512) {
+    if (startsWith(bytes, HDF5_SIGNATURE, offset)) {
+      return NETCDF4_MARKERS.some(marker => text.includes(marker))
+        ? { format: 'NetCDF', detail: 'NetCDF-4 (HDF5)' }
+        : { format: 'HDF5', detail: 'HDF5' };
+    }
+  }
+
+  if (text.startsWith('CDF')) {
+    const variants = { 1: 'NetCDF classic', 2: 'NetCDF 64-bit offset', 5: 'NetCDF CDF-5' };
+    if (variants[bytes[3]]) {
+      return { format: 'NetCDF', detail: variants[bytes[3]] };
+    }
+  }
+
+  if (text.startsWith('GRIB') && (bytes[7] === 1 || bytes[7] === 2)) {
+    return { format: 'GRIB', detail: `GRIB${bytes[7]}` };
+  }
+
+  if (text.startsWith('PAR1')) {
+    return { format: 'GeoParquet', detail: 'Parquet' };
+  }
+
+  return sniffJson(text);
+};
+
+export const readHeaderBytes = async (url, requestOptions = {}, length = SNIFF_BYTES) => {
+  try {
+    const response = await fetchWithRetry(
+      toHttpsUrl(url),
+      { headers: { Range: `bytes=0-${length - 1}` } },
+      { networkRetries: REQUEST_DEFAULTS.probeNetworkRetries, ...requestOptions }
+    );
+    if (!response.ok) return null;
+
+    return await readLeadingBytes(response, length);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return null;
+  }
+};
+
+// Combine the file extension with the magic bytes (when we could read them).
+// The content wins; `mismatch` explains when the two disagree.
+export const detectFormat = (fileName, bytes) => {
+  const extensionFormat = getExtensionFormat(fileName);
+  let sniffed = sniffFormat(bytes);
+
+  if (!sniffed) {
+    return { format: extensionFormat, extensionFormat, sniffed: null, mismatch: null };
+  }
+
+  // NetCDF-4 is HDF5; its markers may sit past the sniffed bytes (or be missing, e.g. h5netcdf output)
+  if (extensionFormat === 'NetCDF' && sniffed.format === 'HDF5') {
+    sniffed = { format: 'NetCDF', detail: 'NetCDF-4 (HDF5, by its file extension)' };
+  }
+
+  const mismatch = extensionFormat !== 'Unknown' && extensionFormat !== sniffed.format
+    ? `File extension suggests ${extensionFormat} but the content is ${sniffed.detail}`
+    : null;
+
+  return { format: sniffed.format, extensionFormat, sniffed, mismatch };
+};
+
+export const describeFormatDetection = (detection) => {
+  if (!detection.sniffed) {
+    return `Detected format: ${detection.format} (from file extension; content could not be read)`;
+  }
+  if (detection.mismatch) {
+    return `Detected format: ${detection.format}. ${detection.mismatch}`;
+  }
+  return `Detected format: ${detection.format} (${detection.sniffed.detail})`;
+};
@@ -0,0 +1,57 @@
+import { sniffFormat, detectFormat } from './formatSniffing';
+
+const bytesOf = (...parts) => {
+  const values = [];
+  parts.forEach(part => {
+    if (typeof part === 'string') {
+      for (let i = 0; i < part.length; i++) values.push(part.charCodeAt(i));
+    } else {
+      values.push(...part);
+    }
+  });
+  while (values.length < 64) values.push(0);
+  return new Uint8Array(values);
+};
+
+test('sniffFormat recognises TIFF, BigTIFF and COG layouts', () => {
+  expect(sniffFormat(bytesOf([0x49, 0x49, 0x2a, 0x00]))).toEqual({ format: 'GeoTIFF', detail: 'TIFF without a COG layout marker' });
+  expect(sniffFormat(bytesOf([0x4d, 0x4d, 0x00, 0x2b]))).toEqual({ format: 'GeoTIFF', detail: 'BigTIFF without a COG layout marker' });
+  expect(sniffFormat(bytesOf(
+    [0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0],
+    'GDAL_STRUCTURAL_METADATA_SIZE=000140 bytes\nLAYOUT=IFDS_BEFORE_DATA\n'
+  )).format).toBe('COG');
+});
+
+test('sniffFormat tells NetCDF-4 apart from plain HDF5', () => {
+  const hdf5 = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+  expect(sniffFormat(bytesOf(hdf5)).format).toBe('HDF5');
+  expect(sniffFormat(bytesOf(hdf5, '....._NCProperties')).format).toBe('NetCDF');
+  expect(sniffFormat(bytesOf('CDF', [1])).detail).toBe('NetCDF classic');
+});
+
+test('sniffFormat recognises GRIB, Parquet, Zarr and GeoJSON', () => {
+  expect(sniffFormat(bytesOf('GRIB', [0, 0, 0, 2]))).toEqual({ format: 'GRIB', detail: 'GRIB2' });
+  expect(sniffFormat(bytesOf('PAR1')).format).toBe('GeoParquet');
+  expect(sniffFormat(bytesOf('{"zarr_format": 3, "node_type": "group"}')).detail).toBe('Zarr v3 metadata');
+  expect(sniffFormat(bytesOf('{ "type": "FeatureCollection", "features": [')).format).toBe('GeoJSON');
+  expect(sniffFormat(bytesOf('{"version": 1, "refs": {".zgroup": "{\\"zarr_format\\": 2}"}}')))
+    .toEqual({ format: 'Virtual Zarr', detail: 'Kerchunk reference v1' });
+  expect(sniffFormat(bytesOf('<html>'))).toBeNull();
+});
+
+test('detectFormat reports extension and content disagreements', () => {
+  const hdf5WithNetcdf = bytesOf([0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a], '_NCProperties');
+  const detection = detectFormat('data.h5', hdf5WithNetcdf);
+  expect(detection.format).toBe('NetCDF');
+  expect(detection.mismatch).toBe('File extension suggests HDF5 but the content is NetCDF-4 (HDF5)');
+
+  expect(detectFormat('forecast.grb2', null)).toMatchObject({ format: 'GRIB', sniffed: null });
+  expect(detectFormat('object-without-extension', bytesOf('GRIB', [0, 0, 0, 1])).mismatch).toBeNull();
+});
+
+test('detectFormat keeps NetCDF for .nc files whose HDF5 header has no NetCDF-4 marker', () => {
+  const hdf5 = bytesOf([0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]);
+  expect(detectFormat('tas_day.nc', hdf5)).toMatchObject({ format: 'NetCDF', mismatch: null });
+  expect(detectFormat('tas_day.nc4', hdf5).format).toBe('NetCDF');
+  expect(detectFormat('tas_day.h5', hdf5).format).toBe('HDF5');
+});
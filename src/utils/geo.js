@@ -0,0 +1,113 @@
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 0;
+export const MAX_ZOOM = 22;
+export const WORLD_BOUNDS = [-180, -85.0511, 180, 85.0511];
+
+// CRS identifiers whose coordinates are plain longitude/latitude
+export const GEOGRAPHIC_CRS = ['OGC:CRS84', 'EPSG:4326'];
+
+// Web Mercator helpers, in "world pixels" at a given zoom level
+export const lonToPixel = (lon, zoom) => {
+  return ((lon + 180) / 360) * TILE_SIZE * Math.pow(2, zoom);
+};
+
+export const latToPixel = (lat, zoom) => {
+  const clamped = Math.max(Math.min(lat, WORLD_BOUNDS[3]), WORLD_BOUNDS[1]);
+  const rad = (clamped * Math.PI) / 180;
+  const y = (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2;
+  return y * TILE_SIZE * Math.pow(2, zoom);
+};
+
+export const pixelToLon = (x, zoom) => {
+  return (x / (TILE_SIZE * Math.pow(2, zoom))) * 360 - 180;
+};
+
+export const pixelToLat = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / (TILE_SIZE * Math.pow(2, zoom));
+  return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+};
+
+export const fillTileTemplate = (template, z, x, y) => {
+  return template
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y);
+};
+
+// Highest integer zoom at which the bounds fit inside the viewport
+export const fitBounds = (bounds, width, height) => {
+  const [west, south, east, north] = bounds;
+  let zoom = MIN_ZOOM;
+
+  for (let z = MAX_ZOOM; z >= MIN_ZOOM; z--) {
+    const boundsWidth = lonToPixel(east, z) - lonToPixel(west, z);
+    const boundsHeight = latToPixel(south, z) - latToPixel(north, z);
+    if (boundsWidth <= width && boundsHeight <= height) {
+      zoom = z;
+      break;
+    }
+  }
+
+  return {
+    zoom,
+    center: [(west + east) / 2, pixelToLat((latToPixel(north, zoom) + latToPixel(south, zoom)) / 2, zoom)]
+  };
+};
+
+export const isGeographicBounds = (bounds) => {
+  if (!Array.isArray(bounds) || bounds.length !== 4) return false;
+  if (bounds.some(value => typeof value !== 'number' || Number.isNaN(value))) return false;
+
+  const [west, south, east, north] = bounds;
+  return west >= -180 && east <= 180 && south >= -90 && north <= 90 && west < east && south < north;
+};
+
+// The tile under the center of the bounds, at the zoom where the bounds fit in one tile
+export const getCenterTile = (bounds) => {
+  const { zoom, center } = fitBounds(bounds || WORLD_BOUNDS, TILE_SIZE, TILE_SIZE);
+  return {
+    z: zoom,
+    x: Math.floor(lonToPixel(center[0], zoom) / TILE_SIZE),
+    y: Math.floor(latToPixel(center[1], zoom) / TILE_SIZE)
+  };
+};
+
+// Message describing what is wrong with a user-entered [west, south, east, north], or null
+export const getBboxError = (bbox) => {
+  const [west, south, east, north] = bbox;
+  if (bbox.some(value => typeof value !== 'number' || Number.isNaN(value))) {
+    return 'All four bbox values are required';
+  }
+  if (west < -180 || east > 180 || south < -90 || north > 90) {
+    return 'Bbox must be within -180,-90,180,90';
+  }
+  if (west >= east || south >= north) {
+    return 'Bbox must be ordered as west,south,east,north';
+  }
+  return null;
+};
+
+// Pull a WGS84 [west, south, east, north] out of whichever validation response we have.
+// Returns null when the response has no bounds or they are in a projected CRS.
+export const getDatasetBounds = (validationResult) => {
+  if (!validationResult || !validationResult.validationDetails) return null;
+  const details = validationResult.validationDetails;
+  let bounds = null;
+
+  if (details.coordinates && details.coordinates.lat && details.coordinates.lon) {
+    // CMR compatibility response
+    const { lat, lon } = details.coordinates;
+    bounds = [lon.min, lat.min, lon.max, lat.max];
+  } else if (details.GEO && details.GEO.BoundingBox) {
+    // rio-cogeo info from /cog/validate
+    bounds = details.GEO.BoundingBox;
+  } else if (details.geo && Array.isArray(details.geo.bbox) && GEOGRAPHIC_CRS.includes(details.geo.crs)) {
+    // GeoParquet "geo" metadata
+    bounds = details.geo.bbox;
+  } else if (Array.isArray(details.bounds)) {
+    // titiler-multidim /info
+    bounds = details.bounds;
+  }
+
+  return isGeographicBounds(bounds) ? bounds : null;
+};
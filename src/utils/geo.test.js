@@ -0,0 +1,34 @@
+import { fitBounds, getBboxError, getDatasetBounds, lonToPixel, pixelToLon, latToPixel, pixelToLat } from './geo';
+
+test('pixel conversions round-trip', () => {
+  expect(pixelToLon(lonToPixel(-73.5, 5), 5)).toBeCloseTo(-73.5);
+  expect(pixelToLat(latToPixel(40.7, 5), 5)).toBeCloseTo(40.7);
+});
+
+test('fitBounds picks the highest zoom that fits the viewport', () => {
+  expect(fitBounds([-180, -85, 180, 85], 256, 256).zoom).toBe(0);
+  expect(fitBounds([88, 20.5, 92.7, 26.7], 800, 320).zoom).toBe(6);
+});
+
+test('getDatasetBounds reads CMR, COG and multidim responses', () => {
+  expect(getDatasetBounds({
+    validationDetails: { coordinates: { lat: { min: -90, max: 90 }, lon: { min: -180, max: 180 } } }
+  })).toEqual([-180, -90, 180, 90]);
+  expect(getDatasetBounds({
+    validationDetails: { GEO: { CRS: 'EPSG:4326', BoundingBox: [88, 20, 93, 27] } }
+  })).toEqual([88, 20, 93, 27]);
+  expect(getDatasetBounds({ validationDetails: { bounds: [0, 0, 10, 10] } })).toEqual([0, 0, 10, 10]);
+});
+
+test('getDatasetBounds ignores projected bounds', () => {
+  expect(getDatasetBounds({
+    validationDetails: { GEO: { CRS: 'EPSG:32618', BoundingBox: [500000, 4000000, 600000, 4100000] } }
+  })).toBeNull();
+});
+
+test('getBboxError explains missing, out of range and unordered boxes', () => {
+  expect(getBboxError([-10, 20, 10, 40])).toBeNull();
+  expect(getBboxError([-10, NaN, 10, 40])).toBe('All four bbox values are required');
+  expect(getBboxError([-200, 20, 10, 40])).toBe('Bbox must be within -180,-90,180,90');
+  expect(getBboxError([10, 20, -10, 40])).toBe('Bbox must be ordered as west,south,east,north');
+});
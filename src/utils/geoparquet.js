@@ -0,0 +1,268 @@
+import { toHttpsUrl } from './access';
+import { fetchWithRetry } from './http';
+
+// Most footers fit in one request; larger ones are fetched again at their exact size
+const FOOTER_PROBE_BYTES = 64 * 1024;
+
+// Rows above which a single row group stops readers from skipping data by bbox
+const LARGE_ROW_GROUP = 1000000;
+
+// GeoParquet columns without a "crs" key are in OGC:CRS84
+const DEFAULT_CRS = 'OGC:CRS84';
+
+const decodeUtf8 = (bytes) => {
+  const percentEncoded = Array.from(bytes, byte => `%${byte.toString(16).padStart(2, '0')}`).join('');
+  try {
+    return decodeURIComponent(percentEncoded);
+  } catch (error) {
+    return String.fromCharCode(...bytes);
+  }
+};
+
+// Minimal Thrift compact protocol reader. Structs decode to { [fieldId]: value }
+// and binary fields stay as bytes until a caller decodes them.
+const createThriftReader = (bytes) => {
+  let offset = 0;
+
+  const readByte = () => {
+    if (offset >= bytes.length) {
+      throw new Error('Parquet footer is truncated');
+    }
+    return bytes[offset++];
+  };
+
+  const readVarint = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = readByte();
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  const readZigzag = () => {
+    const value = readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  };
+
+  const readList = () => {
+    const header = readByte();
+    const elementType = header & 0x0f;
+    const size = (header >> 4) === 15 ? readVarint() : header >> 4;
+    const items = [];
+    for (let i = 0; i < size; i++) {
+      // Booleans take a whole byte inside lists
+      items.push(elementType === 1 || elementType === 2 ? readByte() === 1 : readValue(elementType));
+    }
+    return items;
+  };
+
+  const readMap = () => {
+    const size = readVarint();
+    if (size === 0) return [];
+    const types = readByte();
+    const entries = [];
+    for (let i = 0; i < size; i++) {
+      entries.push([readValue(types >> 4), readValue(types & 0x0f)]);
+    }
+    return entries;
+  };
+
+  const readStruct = () => {
+    const struct = {};
+    let fieldId = 0;
+    let header = readByte();
+    while (header !== 0) {
+      const delta = header >> 4;
+      fieldId = delta === 0 ? readZigzag() : fieldId + delta;
+      struct[fieldId] = readValue(header & 0x0f);
+      header = readByte();
+    }
+    return struct;
+  };
+
+  const readValue = (type) => {
+    switch (type) {
+      case 1: return true;
+      case 2: return false;
+      case 3: return (readByte() << 24) >> 24;
+      case 4:
+      case 5:
+      case 6: return readZigzag();
+      case 7: {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
+        offset += 8;
+        return view.getFloat64(0, true);
+      }
+      case 8: {
+        const length = readVarint();
+        const value = bytes.subarray(offset, offset + length);
+        offset += length;
+        return value;
+      }
+      case 9:
+      case 10: return readList();
+      case 11: return readMap();
+      case 12: return readStruct();
+      default: throw new Error(`Unsupported Thrift type ${type} in Parquet footer`);
+    }
+  };
+
+  return { readStruct };
+};
+
+// Decodes the Thrift FileMetaData struct that sits at the end of every Parquet file
+export const parseFileMetadata = (bytes) => {
+  const metadata = createThriftReader(bytes).readStruct();
+  const keyValueMetadata = {};
+  (metadata[5] || []).forEach(keyValue => {
+    keyValueMetadata[decodeUtf8(keyValue[1])] = keyValue[2] ? decodeUtf8(keyValue[2]) : null;
+  });
+
+  return {
+    version: metadata[1],
+    numRows: metadata[3],
+    // The first schema element is the root of the schema tree
+    columns: (metadata[2] || []).slice(1).map(element => decodeUtf8(element[4])),
+    rowGroups: (metadata[4] || []).map(group => ({ numRows: group[3], totalByteSize: group[2] })),
+    keyValueMetadata,
+    createdBy: metadata[6] ? decodeUtf8(metadata[6]) : null
+  };
+};
+
+const fetchSuffix = async (httpsUrl, length, requestOptions) => {
+  const response = await fetchWithRetry(httpsUrl, { headers: { Range: `bytes=-${length}` } }, requestOptions);
+  if (!response.ok) {
+    throw new Error(`Footer request returned ${response.status}: ${response.statusText}`);
+  }
+  // A 200 is the whole file rather than its end; don't download it
+  if (response.status !== 206) {
+    if (response.body && typeof response.body.cancel === 'function') response.body.cancel().catch(() => {});
+    throw new Error('The server ignored the Range request, so the footer cannot be read without downloading the whole file');
+  }
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+// Reads the footer with suffix range requests: <metadata><4-byte length>"PAR1"
+export const readParquetFooter = async (url, requestOptions = {}) => {
+  const httpsUrl = toHttpsUrl(url);
+  let tail = await fetchSuffix(httpsUrl, FOOTER_PROBE_BYTES, requestOptions);
+
+  const magic = String.fromCharCode(...tail.subarray(tail.length - 4));
+  if (tail.length < 12 || magic !== 'PAR1') {
+    throw new Error('Not a Parquet file: missing PAR1 footer');
+  }
+
+  const lengthOffset = tail.length - 8;
+  const metadataLength = tail[lengthOffset] + (tail[lengthOffset + 1] << 8) +
+    (tail[lengthOffset + 2] << 16) + tail[lengthOffset + 3] * 2 ** 24;
+
+  if (metadataLength + 8 > tail.length) {
+    tail = await fetchSuffix(httpsUrl, metadataLength + 8, requestOptions);
+  }
+  return parseFileMetadata(tail.subarray(tail.length - 8 - metadataLength, tail.length - 8));
+};
+
+const describeCrs = (crs) => {
+  if (crs === undefined) return DEFAULT_CRS;
+  if (crs === null) return null;
+  if (typeof crs === 'string') return crs;
+  if (crs.id && crs.id.authority) return `${crs.id.authority}:${crs.id.code}`;
+  return crs.name || 'PROJJSON';
+};
+
+// Checks the GeoParquet "geo" metadata against the spec.
+// Returns { geo, errors, warnings }; `geo` is null for plain Parquet files.
+export const inspectGeoMetadata = (footer) => {
+  const raw = footer.keyValueMetadata.geo;
+  if (!raw) {
+    return { geo: null, errors: ['No "geo" metadata: this is plain Parquet, not GeoParquet'], warnings: [] };
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(raw);
+  } catch (error) {
+    return { geo: null, errors: ['"geo" metadata is not valid JSON'], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const primaryColumn = metadata.primary_column;
+  const column = (metadata.columns || {})[primaryColumn];
+
+  if (!metadata.version) {
+    errors.push('"geo" metadata has no version');
+  }
+  if (!column) {
+    errors.push(`Primary column "${primaryColumn}" is not described in "geo" columns`);
+  } else if (!footer.columns.includes(primaryColumn)) {
+    errors.push(`Primary column "${primaryColumn}" is missing from the Parquet schema`);
+  }
+
+  const encoding = column ? column.encoding : null;
+  if (encoding && encoding.startsWith('geoarrow')) {
+    warnings.push(`${encoding} encoding needs GDAL 3.8+ to load into PostGIS`);
+  } else if (column && encoding !== 'WKB') {
+    errors.push(`Unsupported geometry encoding "${encoding}"`);
+  }
+
+  const crs = column ? describeCrs(column.crs) : null;
+  if (column && crs === null) {
+    warnings.push('CRS is explicitly undefined');
+  }
+
+  // 3D bboxes are [minx, miny, minz, maxx, maxy, maxz]
+  let bbox = column && Array.isArray(column.bbox) ? column.bbox : null;
+  if (bbox && bbox.length === 6) {
+    bbox = [bbox[0], bbox[1], bbox[3], bbox[4]];
+  }
+  if (column && !bbox) {
+    warnings.push('No bbox in "geo" metadata, so clients must scan the data for its extent');
+  }
+
+  if (footer.rowGroups.some(group => group.numRows > LARGE_ROW_GROUP)) {
+    warnings.push(`Row groups above ${LARGE_ROW_GROUP.toLocaleString()} rows limit spatial filtering`);
+  }
+
+  return {
+    geo: {
+      version: metadata.version,
+      primaryColumn,
+      encoding,
+      geometryTypes: column ? column.geometry_types || [] : [],
+      crs,
+      bbox
+    },
+    errors,
+    warnings
+  };
+};
+
+export const describeGeoParquet = (footer, inspection) => {
+  if (inspection.errors.length > 0) {
+    return inspection.errors.join(' · ');
+  }
+
+  const { geo } = inspection;
+  const geometryTypes = geo.geometryTypes.length > 0 ? geo.geometryTypes.join('/') : 'any geometry';
+  return [
+    `GeoParquet ${geo.version}: ${geo.encoding} ${geometryTypes} in "${geo.primaryColumn}" (${geo.crs || 'unknown CRS'})`,
+    `${footer.numRows.toLocaleString()} features in ${footer.rowGroups.length} row group(s)`,
+    ...inspection.warnings
+  ].join(' · ');
+};
+
+// tipg serves PostGIS tables as "<schema>.<table>" collections
+export const getTipgCollectionId = (fileName) => {
+  const table = fileName
+    .split('?')[0]
+    .replace(/\.[^.]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `public.${table || 'collection'}`;
+};
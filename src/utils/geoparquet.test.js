@@ -0,0 +1,122 @@
+import { parseFileMetadata, readParquetFooter, inspectGeoMetadata, describeGeoParquet, getTipgCollectionId } from './geoparquet';
+
+// Thrift compact protocol encoding helpers (ASCII strings, small non-negative numbers)
+const varint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+};
+const int = (value) => varint(value * 2);
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+const binary = (text) => [...varint(text.length), ...ascii(text)];
+const struct = (fields) => {
+  let lastId = 0;
+  const bytes = [];
+  fields.forEach(([id, type, value]) => {
+    bytes.push(((id - lastId) << 4) | type, ...value);
+    lastId = id;
+  });
+  return [...bytes, 0];
+};
+const structList = (items) => [(items.length << 4) | 12, ...items.flat()];
+
+const GEO = {
+  version: '1.1.0',
+  primary_column: 'geometry',
+  columns: {
+    geometry: { encoding: 'WKB', geometry_types: ['Polygon'], bbox: [88.0, 20.5, 92.7, 26.6] }
+  }
+};
+
+const buildFooter = (keyValues) => struct([
+  [1, 5, int(2)],
+  [2, 9, structList([struct([[4, 8, binary('schema')]]), struct([[4, 8, binary('name')]]), struct([[4, 8, binary('geometry')]])])],
+  [3, 6, int(1500)],
+  [4, 9, structList([struct([[2, 6, int(4096)], [3, 6, int(1000)]]), struct([[2, 6, int(2048)], [3, 6, int(500)]])])],
+  [5, 9, structList(Object.entries(keyValues).map(([key, value]) => struct([[1, 8, binary(key)], [2, 8, binary(value)]])))],
+  [6, 8, binary('parquet-cpp-arrow version 15.0.0')]
+]);
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('parseFileMetadata decodes rows, row groups, schema and key/value metadata', () => {
+  const footer = parseFileMetadata(Uint8Array.from(buildFooter({ geo: JSON.stringify(GEO) })));
+
+  expect(footer).toMatchObject({
+    version: 2,
+    numRows: 1500,
+    columns: ['name', 'geometry'],
+    rowGroups: [{ numRows: 1000, totalByteSize: 4096 }, { numRows: 500, totalByteSize: 2048 }],
+    createdBy: 'parquet-cpp-arrow version 15.0.0'
+  });
+  expect(JSON.parse(footer.keyValueMetadata.geo)).toEqual(GEO);
+});
+
+test('readParquetFooter reads the footer with a suffix range request', async () => {
+  const metadata = buildFooter({ geo: JSON.stringify(GEO) });
+  const length = metadata.length;
+  const file = Uint8Array.from([
+    ...ascii('PAR1'), 1, 2, 3, ...metadata,
+    length & 0xff, (length >> 8) & 0xff, 0, 0, ...ascii('PAR1')
+  ]);
+  global.fetch = jest.fn(async () => ({ ok: true, status: 206, arrayBuffer: async () => file.buffer }));
+
+  const footer = await readParquetFooter('s3://bucket/buildings.parquet');
+  expect(global.fetch).toHaveBeenCalledWith('https://bucket.s3.amazonaws.com/buildings.parquet', expect.objectContaining({ headers: { Range: 'bytes=-65536' } }));
+  expect(footer.numRows).toBe(1500);
+});
+
+test('readParquetFooter rejects files without the PAR1 footer', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, status: 206, arrayBuffer: async () => new Uint8Array(16).buffer }));
+  await expect(readParquetFooter('https://host/file.parquet')).rejects.toThrow('missing PAR1 footer');
+});
+
+test('readParquetFooter refuses servers that ignore the Range header', async () => {
+  const arrayBuffer = jest.fn();
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer }));
+  await expect(readParquetFooter('https://host/file.parquet')).rejects.toThrow('ignored the Range request');
+  expect(arrayBuffer).not.toHaveBeenCalled();
+});
+
+test('inspectGeoMetadata summarises valid GeoParquet metadata', () => {
+  const footer = parseFileMetadata(Uint8Array.from(buildFooter({ geo: JSON.stringify(GEO) })));
+  const inspection = inspectGeoMetadata(footer);
+
+  expect(inspection.errors).toEqual([]);
+  expect(inspection.geo).toEqual({
+    version: '1.1.0',
+    primaryColumn: 'geometry',
+    encoding: 'WKB',
+    geometryTypes: ['Polygon'],
+    crs: 'OGC:CRS84',
+    bbox: [88.0, 20.5, 92.7, 26.6]
+  });
+  expect(describeGeoParquet(footer, inspection))
+    .toBe('GeoParquet 1.1.0: WKB Polygon in "geometry" (OGC:CRS84) · 1,500 features in 2 row group(s)');
+});
+
+test('inspectGeoMetadata reports plain Parquet and broken geo metadata', () => {
+  const plain = parseFileMetadata(Uint8Array.from(buildFooter({ 'ARROW:schema': 'abc' })));
+  expect(inspectGeoMetadata(plain).geo).toBeNull();
+
+  const broken = parseFileMetadata(Uint8Array.from(buildFooter({
+    geo: JSON.stringify({ version: '1.0.0', primary_column: 'geom', columns: { geom: { encoding: 'WKT', crs: null } } })
+  })));
+  const inspection = inspectGeoMetadata(broken);
+  expect(inspection.errors).toEqual([
+    'Primary column "geom" is missing from the Parquet schema',
+    'Unsupported geometry encoding "WKT"'
+  ]);
+  expect(inspection.warnings).toContain('CRS is explicitly undefined');
+});
+
+test('getTipgCollectionId turns file names into PostGIS table ids', () => {
+  expect(getTipgCollectionId('Bangladesh-Buildings 2024.parquet')).toBe('public.bangladesh_buildings_2024');
+  expect(getTipgCollectionId('.parquet')).toBe('public.collection');
+});
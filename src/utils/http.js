@@ -0,0 +1,116 @@
+import { REQUEST_DEFAULTS } from '../config/requests';
+
+// fetch with a timeout, retries with exponential backoff for network errors, timeouts and
+// 5xx responses, and cancellation through `signal`. Any other response is returned as is,
+// so callers keep handling 4xx themselves; the last 5xx is returned once retries run out.
+// `networkRetries` caps the retries after network errors; probes of user-supplied URLs lower
+// it, since there a failed fetch is almost always CORS, which fails the same way every time.
+
+const namedError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const abortError = () => namedError('AbortError', 'Request was cancelled');
+
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+export const isTimeoutError = (error) => Boolean(error) && error.name === 'TimeoutError';
+
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw abortError();
+};
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+export const wait = (ms, signal = null) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const fetchOnce = async (url, init, signal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  const timer = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) throw namedError('TimeoutError', `Request timed out after ${timeout / 1000}s`);
+    if (signal && signal.aborted) throw abortError();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+};
+
+export const fetchWithRetry = async (url, init = {}, requestOptions = {}) => {
+  const {
+    signal = null,
+    timeout = REQUEST_DEFAULTS.timeout,
+    retries = REQUEST_DEFAULTS.retries,
+    backoff = REQUEST_DEFAULTS.backoff,
+    networkRetries = retries
+  } = requestOptions;
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      const response = await fetchOnce(url, init, signal, timeout);
+      if (response.status < 500 || attempt >= retries) return response;
+    } catch (error) {
+      // fetch rejects with a TypeError when the request never got a response
+      const isNetworkError = error instanceof TypeError;
+      if (isAbortError(error) || attempt >= (isNetworkError ? Math.min(retries, networkRetries) : retries)) throw error;
+    }
+    await wait(backoff * 2 ** attempt, signal);
+  }
+};
+
+const readPrefix = async (body, length) => {
+  const reader = body.getReader();
+  const bytes = new Uint8Array(length);
+  let received = 0;
+  try {
+    while (received < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, length - received);
+      bytes.set(chunk, received);
+      received += chunk.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return bytes.slice(0, received);
+};
+
+// Up to `length` leading bytes of the response to a `Range: bytes=0-...` request. A server that
+// ignores Range answers 200 with the whole object, possibly gigabytes, so then only the first
+// chunks of the stream are read and the rest is cancelled. Null when the body can't be streamed.
+export const readLeadingBytes = async (response, length) => {
+  if (response.status === 206) {
+    return new Uint8Array(await response.arrayBuffer()).slice(0, length);
+  }
+  if (!response.body || typeof response.body.getReader !== 'function') return null;
+  return readPrefix(response.body, length);
+};
@@ -0,0 +1,118 @@
+import { fetchWithRetry, isAbortError, isTimeoutError, wait, readLeadingBytes } from './http';
+
+const response = (status) => ({ status, ok: status >= 200 && status < 300 });
+const fast = { backoff: 0 };
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('fetchWithRetry retries 5xx responses and network errors', async () => {
+  global.fetch = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200));
+
+  const result = await fetchWithRetry('https://api/x', { headers: { Range: 'bytes=0-0' } }, { ...fast, retries: 2 });
+  expect(result.status).toBe(200);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(global.fetch.mock.calls[0][1]).toMatchObject({ headers: { Range: 'bytes=0-0' } });
+  expect(global.fetch.mock.calls[0][1].signal).toBeDefined();
+});
+
+test('fetchWithRetry caps network error retries separately from 5xx retries', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const error = await fetchWithRetry('https://api/x', {}, { ...fast, retries: 2, networkRetries: 1 }).catch(e => e);
+  expect(error).toBeInstanceOf(TypeError);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200));
+  expect((await fetchWithRetry('https://api/x', {}, { ...fast, retries: 2, networkRetries: 0 })).status).toBe(200);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('fetchWithRetry removes its abort listener once the request settles', async () => {
+  global.fetch = jest.fn(async () => response(200));
+  const signal = new AbortController().signal;
+  const add = jest.spyOn(signal, 'addEventListener');
+  const remove = jest.spyOn(signal, 'removeEventListener');
+
+  await fetchWithRetry('https://api/x', {}, { ...fast, signal });
+  expect(add).toHaveBeenCalledTimes(1);
+  expect(remove).toHaveBeenCalledWith('abort', add.mock.calls[0][1]);
+});
+
+test('fetchWithRetry returns 4xx right away and the last 5xx once retries run out', async () => {
+  global.fetch = jest.fn(async () => response(404));
+  expect((await fetchWithRetry('https://api/x', {}, fast)).status).toBe(404);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  global.fetch = jest.fn(async () => response(502));
+  expect((await fetchWithRetry('https://api/x', {}, { ...fast, retries: 1 })).status).toBe(502);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+// Never resolves until its signal aborts, like a request that hangs
+const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+}));
+
+test('fetchWithRetry gives up after the timeout', async () => {
+  global.fetch = hangingFetch();
+  const error = await fetchWithRetry('https://api/x', {}, { ...fast, timeout: 10, retries: 1 }).catch(e => e);
+  expect(isTimeoutError(error)).toBe(true);
+  expect(error.message).toBe('Request timed out after 0.01s');
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('fetchWithRetry stops without retrying when its signal aborts', async () => {
+  global.fetch = hangingFetch();
+  const controller = new AbortController();
+  const request = fetchWithRetry('https://api/x', {}, { ...fast, timeout: 0, signal: controller.signal });
+  controller.abort();
+
+  expect(isAbortError(await request.catch(e => e))).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(isAbortError(await fetchWithRetry('https://api/x', {}, { signal: controller.signal }).catch(e => e))).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('wait rejects when its signal aborts', async () => {
+  const controller = new AbortController();
+  const pending = wait(10000, controller.signal);
+  controller.abort();
+  expect(isAbortError(await pending.catch(e => e))).toBe(true);
+});
+
+// A body stream of `chunks`, recording how many were read and whether it was cancelled
+const streamOf = (chunks) => {
+  const state = { reads: 0, cancelled: false };
+  const body = {
+    getReader: () => ({
+      read: async () => (state.reads < chunks.length
+        ? { done: false, value: Uint8Array.from(chunks[state.reads++]) }
+        : { done: true, value: undefined }),
+      cancel: async () => {
+        state.cancelled = true;
+      }
+    })
+  };
+  return { body, state };
+};
+
+test('readLeadingBytes reads a 206 body and only the start of a 200 body', async () => {
+  const partial = { status: 206, arrayBuffer: async () => Uint8Array.from([1, 2, 3, 4]).buffer };
+  expect(Array.from(await readLeadingBytes(partial, 3))).toEqual([1, 2, 3]);
+
+  const { body, state } = streamOf([[1, 2], [3, 4], [5, 6], [7, 8]]);
+  const arrayBuffer = jest.fn();
+  expect(Array.from(await readLeadingBytes({ status: 200, body, arrayBuffer }, 3))).toEqual([1, 2, 3]);
+  expect(state.reads).toBe(2);
+  expect(state.cancelled).toBe(true);
+  expect(arrayBuffer).not.toHaveBeenCalled();
+
+  expect(await readLeadingBytes({ status: 200, body: null, arrayBuffer }, 3)).toBeNull();
+});
@@ -0,0 +1,270 @@
+import { COLORMAP_NAMES, DEFAULT_RESCALE, formatDatetime, getCMRTemporalExtent, getCMRVariables } from './cmr';
+import { DEFAULT_COLORMAP } from './rendering';
+import { getBboxError, getDatasetBounds } from './geo';
+import { findDateInName, slugify, stripExtension } from './stac';
+import { evaluateRules } from './rules';
+
+// Drafts the veda-data dataset config (ingestion-data/<env>/dataset-config/<collection>.json).
+// The form works on flat `fields`; buildIngestionConfig turns them into the submitted JSON.
+
+export const DATETIME_RANGES = ['year', 'month', 'day'];
+
+const COG_MEDIA_TYPE = 'image/tiff; application=geotiff; profile=cloud-optimized';
+const COLLECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+const LICENSE_PATTERN = /^[\w.+-]+$/;
+
+// Services whose datasets are published through a veda-data dataset config
+export const INGESTION_SERVICES = ['titiler-pgstac', 'titiler-cmr'];
+
+export const canPrepareIngestion = (validationResult) => (
+  evaluateRules(validationResult).recommended.some(service => INGESTION_SERVICES.includes(service.name))
+);
+
+// Bucket, key prefix and file name of an S3 object given as s3:// or as an S3 HTTPS URL
+export const parseS3Location = (url) => {
+  const patterns = [
+    /^s3:\/\/([^/]+)\/(.*)$/,
+    /^https?:\/\/([^/.]+)\.s3(?:[.-][a-z0-9-]+)?\.amazonaws\.com\/(.*)$/,
+    /^https?:\/\/s3(?:[.-][a-z0-9-]+)?\.amazonaws\.com\/([^/]+)\/(.*)$/
+  ];
+  const match = patterns.map(pattern => url.match(pattern)).find(Boolean);
+  if (!match) return null;
+
+  const key = url.startsWith('s3://') ? match[2] : decodeURIComponent(match[2].split('?')[0]);
+  const slash = key.lastIndexOf('/');
+  return {
+    bucket: match[1],
+    prefix: key.slice(0, slash + 1),
+    fileName: key.slice(slash + 1)
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern that matches this file and its siblings for other dates,
+// e.g. MODIS_LC_2001_BD_v2.cog.tif -> ^MODIS_LC_\d{4}_BD_v2\.cog\.tif$
+export const buildFilenameRegex = (fileName) => {
+  const date = findDateInName(fileName);
+  if (!date) return `^${escapeRegex(fileName)}$`;
+
+  const before = fileName.slice(0, date.index);
+  const after = fileName.slice(date.index + date.text.length);
+  const datePattern = date.text.replace(/\d+/g, digits => `\\d{${digits.length}}`);
+  return `^${escapeRegex(before)}${datePattern}${escapeRegex(after)}$`;
+};
+
+// 'year', 'month' or 'day' depending on how precise the date in the file name is
+export const getDateGranularity = (fileName) => {
+  const date = findDateInName(fileName);
+  if (!date) return null;
+  if (date.day) return 'day';
+  return date.month ? 'month' : 'year';
+};
+
+// Last second of the period starting at `start`
+const getPeriodEnd = (start, granularity) => {
+  const date = new Date(start);
+  if (granularity === 'year') date.setUTCFullYear(date.getUTCFullYear() + 1);
+  else if (granularity === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+  else date.setUTCDate(date.getUTCDate() + 1);
+  return formatDatetime(new Date(date.getTime() - 1000));
+};
+
+const getFileDates = (fileName, granularity) => {
+  const date = findDateInName(fileName);
+  if (!date) return { startdate: '', enddate: '' };
+  const startdate = `${date.year}-${date.month || '01'}-${date.day || '01'}T00:00:00Z`;
+  return { startdate, enddate: getPeriodEnd(startdate, granularity) };
+};
+
+// `renderParams` are the colormap and rescale chosen for the tiles (see rendering.js)
+export const getIngestionDefaults = ({ fileData, validationResult, timeSeriesParams = null, renderParams = null }) => {
+  const details = validationResult.validationDetails || {};
+  const bbox = getDatasetBounds(validationResult) || [-180, -90, 180, 90];
+  const chosen = renderParams || {};
+  const render = {
+    colormap: chosen.colormap || DEFAULT_COLORMAP,
+    rescale: chosen.rescale || DEFAULT_RESCALE
+  };
+
+  if (validationResult.isCMR) {
+    const extent = getCMRTemporalExtent(details);
+    return {
+      kind: 'cmr',
+      collection: slugify(validationResult.conceptId),
+      title: validationResult.conceptId,
+      description: '',
+      license: 'proprietary',
+      conceptId: validationResult.conceptId,
+      variable: (timeSeriesParams && timeSeriesParams.variable) || getCMRVariables(details)[0] || '',
+      startdate: extent ? extent.start : '',
+      enddate: extent && extent.end ? extent.end : '',
+      isPeriodic: false,
+      timeDensity: '',
+      bbox,
+      ...render,
+      nodata: NaN
+    };
+  }
+
+  const location = parseS3Location(fileData.s3Url) || { bucket: '', prefix: '', fileName: fileData.fileName };
+  const granularity = getDateGranularity(location.fileName);
+  const name = stripExtension(location.fileName);
+  const date = findDateInName(name);
+  const baseName = date ? `${name.slice(0, date.index)}${name.slice(date.index + date.text.length)}` : name;
+  const profile = details.Profile || {};
+
+  return {
+    kind: 'cog',
+    collection: slugify(baseName) || 'collection',
+    title: baseName.replace(/[_-]+/g, ' ').trim(),
+    description: '',
+    license: 'proprietary',
+    sampleFile: fileData.s3Url,
+    bucket: location.bucket,
+    prefix: location.prefix,
+    filenameRegex: buildFilenameRegex(location.fileName),
+    datetimeRange: granularity || '',
+    ...getFileDates(location.fileName, granularity),
+    isPeriodic: Boolean(granularity),
+    timeDensity: granularity || '',
+    bbox,
+    ...render,
+    nodata: typeof profile.Nodata === 'number' ? profile.Nodata : NaN
+  };
+};
+
+const isMissingNumber = (value) => typeof value !== 'number' || Number.isNaN(value);
+
+// Returns a map of field name -> error message; empty when the config can be exported
+export const validateIngestionFields = (fields) => {
+  const errors = {};
+
+  if (!fields.collection) {
+    errors.collection = 'Collection ID is required';
+  } else if (!COLLECTION_ID_PATTERN.test(fields.collection)) {
+    errors.collection = 'Use lowercase letters, digits, "-" and "_"';
+  }
+  if (!fields.title.trim()) errors.title = 'Title is required';
+  if (!fields.description.trim()) errors.description = 'Describe the dataset for the catalog';
+  if (!LICENSE_PATTERN.test(fields.license)) errors.license = 'Use an SPDX license id such as CC0-1.0, or "proprietary"';
+
+  if (fields.kind === 'cog') {
+    if (!BUCKET_PATTERN.test(fields.bucket)) errors.bucket = 'Enter the S3 bucket the files live in';
+    if (fields.prefix.startsWith('/')) errors.prefix = 'Prefix must not start with "/"';
+
+    let pattern = null;
+    try {
+      pattern = new RegExp(fields.filenameRegex);
+    } catch (error) {
+      errors.filenameRegex = `Invalid regular expression: ${error.message}`;
+    }
+    const sampleName = fields.sampleFile.split('/').pop();
+    if (pattern && !pattern.test(sampleName)) {
+      errors.filenameRegex = `Pattern does not match the sample file ${sampleName}`;
+    }
+    if (fields.datetimeRange && !DATETIME_RANGES.includes(fields.datetimeRange)) {
+      errors.datetimeRange = `Datetime range must be one of ${DATETIME_RANGES.join(', ')}`;
+    }
+  } else if (!fields.variable) {
+    errors.variable = 'Choose the variable to render';
+  }
+
+  const start = new Date(fields.startdate);
+  const end = new Date(fields.enddate);
+  if (!fields.startdate || Number.isNaN(start.getTime())) {
+    errors.startdate = 'Enter the first date covered by the dataset';
+  }
+  if (fields.enddate && Number.isNaN(end.getTime())) {
+    errors.enddate = 'Invalid end date';
+  } else if (fields.enddate && !errors.startdate && end < start) {
+    errors.enddate = 'End must not be before start';
+  }
+  if (fields.isPeriodic && !DATETIME_RANGES.includes(fields.timeDensity)) {
+    errors.timeDensity = 'Periodic datasets need a time density';
+  }
+
+  const bboxError = getBboxError(fields.bbox);
+  if (bboxError) errors.bbox = bboxError;
+
+  if (!COLORMAP_NAMES.includes(fields.colormap)) errors.colormap = 'Choose a colormap';
+  if (fields.rescale.some(isMissingNumber)) {
+    errors.rescale = 'Both rescale values are required';
+  } else if (fields.rescale[0] >= fields.rescale[1]) {
+    errors.rescale = 'Rescale minimum must be below maximum';
+  }
+
+  return errors;
+};
+
+export const buildIngestionConfig = (fields) => {
+  const [xmin, ymin, xmax, ymax] = fields.bbox;
+  const config = {
+    collection: fields.collection,
+    title: fields.title,
+    description: fields.description,
+    license: fields.license,
+    stac_version: '1.0.0',
+    spatial_extent: { xmin, ymin, xmax, ymax },
+    temporal_extent: {
+      startdate: fields.startdate,
+      enddate: fields.enddate || null
+    },
+    is_periodic: fields.isPeriodic,
+    time_density: fields.isPeriodic ? fields.timeDensity : null
+  };
+
+  const dashboard = {
+    colormap_name: fields.colormap,
+    rescale: [fields.rescale],
+    title: 'VEDA Dashboard Render Parameters'
+  };
+
+  if (fields.kind === 'cmr') {
+    // Granules stay in Earthdata Cloud; titiler-cmr reads them through CMR, so there is nothing to discover
+    return {
+      ...config,
+      data_type: 'cmr',
+      renders: {
+        dashboard: {
+          concept_id: fields.conceptId,
+          variable: fields.variable,
+          backend: 'xarray',
+          ...dashboard
+        }
+      }
+    };
+  }
+
+  return {
+    ...config,
+    data_type: 'cog',
+    sample_files: [fields.sampleFile],
+    discovery_items: [{
+      discovery: 's3',
+      bucket: fields.bucket,
+      prefix: fields.prefix,
+      filename_regex: fields.filenameRegex,
+      ...(fields.datetimeRange ? { datetime_range: fields.datetimeRange } : {}),
+      cogify: false,
+      upload: false,
+      dry_run: false
+    }],
+    item_assets: {
+      cog_default: {
+        type: COG_MEDIA_TYPE,
+        roles: ['data', 'layer'],
+        title: 'Default COG Layer',
+        description: 'Cloud optimized default layer to display on map'
+      }
+    },
+    renders: {
+      dashboard: {
+        assets: ['cog_default'],
+        ...(isMissingNumber(fields.nodata) ? {} : { nodata: fields.nodata }),
+        ...dashboard
+      }
+    }
+  };
+};
@@ -0,0 +1,158 @@
+import {
+  parseS3Location,
+  buildFilenameRegex,
+  getDateGranularity,
+  getIngestionDefaults,
+  validateIngestionFields,
+  buildIngestionConfig,
+  canPrepareIngestion
+} from './ingestion';
+
+const cogResult = {
+  format: 'COG',
+  isCMR: false,
+  isValid: true,
+  metadata: { hasTimeDimension: false, spatialType: 'raster' },
+  validationDetails: {
+    GEO: { CRS: 'EPSG:4326', BoundingBox: [88, 20, 92, 26] },
+    Profile: { Dtype: 'uint8', Nodata: 0 }
+  }
+};
+
+const cogFileData = {
+  s3Url: 's3://veda-data-store/landcover/MODIS_LC_2001_BD_v2.cog.tif',
+  fileName: 'MODIS_LC_2001_BD_v2.cog.tif'
+};
+
+test('parseS3Location splits s3:// and S3 HTTPS URLs', () => {
+  expect(parseS3Location('s3://bucket/a/b/file.tif')).toEqual({ bucket: 'bucket', prefix: 'a/b/', fileName: 'file.tif' });
+  expect(parseS3Location('https://bucket.s3.us-west-2.amazonaws.com/a/my%20file.tif'))
+    .toEqual({ bucket: 'bucket', prefix: 'a/', fileName: 'my file.tif' });
+  expect(parseS3Location('https://s3.amazonaws.com/bucket/file.tif')).toEqual({ bucket: 'bucket', prefix: '', fileName: 'file.tif' });
+  expect(parseS3Location('https://example.com/file.tif')).toBeNull();
+});
+
+test('buildFilenameRegex generalizes the date in the file name', () => {
+  const pattern = buildFilenameRegex('MODIS_LC_2001_BD_v2.cog.tif');
+  expect(pattern).toBe('^MODIS_LC_\\d{4}_BD_v2\\.cog\\.tif$');
+  expect(new RegExp(pattern).test('MODIS_LC_2015_BD_v2.cog.tif')).toBe(true);
+  expect(buildFilenameRegex('sst_2020-01-15.tif')).toBe('^sst_\\d{4}-\\d{2}-\\d{2}\\.tif$');
+  expect(buildFilenameRegex('mask.tif')).toBe('^mask\\.tif$');
+});
+
+test('getDateGranularity follows the precision of the date', () => {
+  expect(getDateGranularity('no2_2019.tif')).toBe('year');
+  expect(getDateGranularity('no2_201903.tif')).toBe('month');
+  expect(getDateGranularity('no2_20190315.tif')).toBe('day');
+  expect(getDateGranularity('mask.tif')).toBeNull();
+});
+
+test('COG defaults pre-fill discovery, extent and render options', () => {
+  const fields = getIngestionDefaults({ fileData: cogFileData, validationResult: cogResult });
+
+  expect(fields).toMatchObject({
+    kind: 'cog',
+    collection: 'modis-lc-bd-v2',
+    title: 'MODIS LC BD v2',
+    bucket: 'veda-data-store',
+    prefix: 'landcover/',
+    datetimeRange: 'year',
+    startdate: '2001-01-01T00:00:00Z',
+    enddate: '2001-12-31T23:59:59Z',
+    isPeriodic: true,
+    timeDensity: 'year',
+    bbox: [88, 20, 92, 26],
+    colormap: 'viridis',
+    nodata: 0
+  });
+  // Only the description is left for the user
+  expect(validateIngestionFields(fields)).toEqual({ description: 'Describe the dataset for the catalog' });
+});
+
+test('COG defaults take the colormap and rescale chosen for the tiles', () => {
+  const renderParams = { colormap: 'ylorrd', rescale: [1, 17] };
+  expect(getIngestionDefaults({ fileData: cogFileData, validationResult: cogResult, renderParams }))
+    .toMatchObject({ colormap: 'ylorrd', rescale: [1, 17] });
+  expect(getIngestionDefaults({ fileData: cogFileData, validationResult: cogResult, renderParams: { colormap: 'blues', rescale: null } }))
+    .toMatchObject({ colormap: 'blues', rescale: [0, 1] });
+});
+
+test('validateIngestionFields checks ids, regex, dates and rescale', () => {
+  const fields = {
+    ...getIngestionDefaults({ fileData: cogFileData, validationResult: cogResult }),
+    collection: 'Bad ID',
+    description: 'Land cover',
+    filenameRegex: '^other\\.tif$',
+    enddate: '2000-01-01T00:00:00Z',
+    rescale: [10, 1]
+  };
+
+  expect(validateIngestionFields(fields)).toEqual({
+    collection: 'Use lowercase letters, digits, "-" and "_"',
+    filenameRegex: 'Pattern does not match the sample file MODIS_LC_2001_BD_v2.cog.tif',
+    enddate: 'End must not be before start',
+    rescale: 'Rescale minimum must be below maximum'
+  });
+  expect(validateIngestionFields({ ...fields, filenameRegex: '(' }).filenameRegex).toMatch(/^Invalid regular expression/);
+});
+
+test('buildIngestionConfig writes a veda-data COG dataset config', () => {
+  const fields = { ...getIngestionDefaults({ fileData: cogFileData, validationResult: cogResult }), description: 'Land cover' };
+  const config = buildIngestionConfig({ ...fields, rescale: [0, 17] });
+
+  expect(config).toMatchObject({
+    collection: 'modis-lc-bd-v2',
+    data_type: 'cog',
+    spatial_extent: { xmin: 88, ymin: 20, xmax: 92, ymax: 26 },
+    temporal_extent: { startdate: '2001-01-01T00:00:00Z', enddate: '2001-12-31T23:59:59Z' },
+    is_periodic: true,
+    time_density: 'year',
+    sample_files: ['s3://veda-data-store/landcover/MODIS_LC_2001_BD_v2.cog.tif'],
+    discovery_items: [{
+      discovery: 's3',
+      bucket: 'veda-data-store',
+      prefix: 'landcover/',
+      filename_regex: '^MODIS_LC_\\d{4}_BD_v2\\.cog\\.tif$',
+      datetime_range: 'year'
+    }],
+    renders: { dashboard: { assets: ['cog_default'], nodata: 0, colormap_name: 'viridis', rescale: [[0, 17]] } }
+  });
+});
+
+test('CMR configs render through titiler-cmr without discovery items', () => {
+  const validationResult = {
+    format: 'NetCDF',
+    isCMR: true,
+    conceptId: 'C2036881735-POCLOUD',
+    metadata: { hasTimeDimension: true, spatialType: 'raster' },
+    validationDetails: {
+      coordinates: { lat: { min: -90, max: 90 }, lon: { min: -180, max: 180 } },
+      datetime: [{ RangeDateTimes: [{ BeginningDateTime: '2002-06-01T00:00:00Z' }] }],
+      variables: { analysed_sst: {} }
+    }
+  };
+  const fields = getIngestionDefaults({
+    fileData: { s3Url: 'C2036881735-POCLOUD' },
+    validationResult,
+    timeSeriesParams: { variable: 'analysed_sst' },
+    renderParams: { colormap: 'plasma', rescale: [270, 305] }
+  });
+  const config = buildIngestionConfig({ ...fields, description: 'Sea surface temperature' });
+
+  expect(validateIngestionFields({ ...fields, description: 'SST' })).toEqual({});
+  expect(config.discovery_items).toBeUndefined();
+  expect(config.temporal_extent).toEqual({ startdate: '2002-06-01T00:00:00Z', enddate: null });
+  expect(config.renders.dashboard).toEqual({
+    concept_id: 'C2036881735-POCLOUD',
+    variable: 'analysed_sst',
+    backend: 'xarray',
+    colormap_name: 'plasma',
+    rescale: [[270, 305]],
+    title: 'VEDA Dashboard Render Parameters'
+  });
+});
+
+test('canPrepareIngestion follows the pgstac and cmr recommendations', () => {
+  expect(canPrepareIngestion(cogResult)).toBe(true);
+  expect(canPrepareIngestion({ ...cogResult, format: 'NetCDF', metadata: { hasTimeDimension: true, spatialType: 'raster' } })).toBe(false);
+});
@@ -0,0 +1,40 @@
+export const isCMRConceptId = (input) => {
+  // Check if input matches CMR concept ID pattern: C followed by numbers, dash, then provider
+  return /^C\d+-[A-Z_]+$/.test(input.trim());
+};
+
+export const detectUrlType = (url) => {
+  if (url.includes('cmr.earthdata.nasa.gov/search/concepts/') || isCMRConceptId(url)) {
+    return 'cmr';
+  }
+  return 's3';
+};
+
+// Turns a URL or concept ID into the `fileData` the wizard works with.
+// Returns { error } instead when the input can't be validated.
+export const parseInput = (value) => {
+  const input = value.trim();
+
+  if (!input) {
+    return { error: 'Please enter a file URL or CMR concept ID' };
+  }
+
+  const urlType = detectUrlType(input);
+
+  // Allow CMR concept IDs without URL validation
+  if (urlType !== 'cmr') {
+    if (!(input.startsWith('s3://') || input.startsWith('http://') || input.startsWith('https://'))) {
+      return { error: 'URL must start with s3://, http://, or https:// (or provide a CMR concept ID)' };
+    }
+  }
+
+  return {
+    fileData: {
+      type: urlType,
+      file: null,
+      s3Url: input,
+      // Zarr stores are often given as directory URLs with a trailing slash
+      fileName: input.replace(/\/+$/, '').split('/').pop()
+    }
+  };
+};
@@ -0,0 +1,125 @@
+import { fetchWithRetry } from './http';
+
+// Coordinate, bounds and grid-mapping variables that can't be rendered on their own
+const AUXILIARY_VARIABLE_NAMES = ['lat', 'lon', 'latitude', 'longitude', 'x', 'y', 'time', 'crs', 'spatial_ref'];
+const AUXILIARY_VARIABLE_PATTERN = /(_bnds|_bounds|_vertices)$/i;
+
+export const isAuxiliaryVariable = (name) => {
+  return AUXILIARY_VARIABLE_NAMES.includes(name.toLowerCase()) || AUXILIARY_VARIABLE_PATTERN.test(name);
+};
+
+export const pickDefaultVariable = (variables) => {
+  return variables.find(name => !isAuxiliaryVariable(name)) || variables[0];
+};
+
+// Query string identifying a dataset to titiler-multidim.
+// `options.reference` marks kerchunk/virtual reference files; `options.decode_times` is only sent when disabled.
+export const buildDatasetQuery = (fileUrl, options = {}) => {
+  let query = `url=${encodeURIComponent(fileUrl)}`;
+  if (options.reference) query += '&reference=true';
+  if (options.decode_times === false) query += '&decode_times=false';
+  return query;
+};
+
+export const fetchVariables = async (baseUrl, fileUrl, options = {}, requestOptions = {}) => {
+  const variablesUrl = `${baseUrl}variables?${buildDatasetQuery(fileUrl, options)}`;
+
+  const response = await fetchWithRetry(variablesUrl, {}, requestOptions);
+
+  if (!response.ok) {
+    throw new Error(`Variables API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+export const fetchVariableInfo = async (baseUrl, fileUrl, variable, options = {}, requestOptions = {}) => {
+  const infoUrl = `${baseUrl}info?${buildDatasetQuery(fileUrl, options)}&variable=${encodeURIComponent(variable)}`;
+
+  const response = await fetchWithRetry(infoUrl, {}, requestOptions);
+
+  if (!response.ok) {
+    throw new Error(`Info API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+export const hasTimeDimension = (info) => {
+  return Boolean(info && info.dimensions && info.dimensions.time !== undefined);
+};
+
+// Fetches info for another variable, keeping the advisor's own keys (_allVariables, _datasetOptions, ...)
+export const loadVariableDetails = async (baseUrl, fileUrl, details, variable) => {
+  const info = await fetchVariableInfo(baseUrl, fileUrl, variable, details._datasetOptions);
+  const advisorKeys = Object.fromEntries(
+    Object.entries(details).filter(([key]) => key.startsWith('_'))
+  );
+  return { ...advisorKeys, ...info, _variableUsed: variable };
+};
+
+// A validation result showing another variable; whether it has a time dimension depends on the variable
+export const withVariableDetails = (validationResult, details) => ({
+  ...validationResult,
+  validationDetails: details,
+  metadata: { ...validationResult.metadata, hasTimeDimension: hasTimeDimension(details) }
+});
+
+// titiler-multidim /statistics of one variable, keyed by band; of one time step when `timeStep` is set
+export const fetchMultidimStatistics = async (baseUrl, fileUrl, variable, timeStep = null, options = {}, requestOptions = {}) => {
+  const statisticsUrl = `${baseUrl}statistics?${buildDatasetQuery(fileUrl, options)}&variable=${encodeURIComponent(variable)}` +
+    buildTimeQuery(timeStep);
+
+  const response = await fetchWithRetry(statisticsUrl, {}, requestOptions);
+
+  if (!response.ok) {
+    throw new Error(`Statistics API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// Decoded numpy datetimes come back with nanoseconds ("2020-01-01T00:00:00.000000000")
+const NUMPY_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(\.\d+)?$/;
+
+// Time coordinate values of the selected variable. titiler-multidim /info describes each
+// non-spatial slice as a band ([["b1", "2020-01-01T00:00:00.000000000"], ...]), which is only
+// the time axis when time is the variable's sole extra dimension.
+export const getTimeSteps = (info) => {
+  if (!hasTimeDimension(info) || !Array.isArray(info.band_descriptions)) return [];
+  const { time } = info.dimensions;
+  if (typeof time === 'number' && time !== info.band_descriptions.length) return [];
+
+  return info.band_descriptions.map(([, description]) => {
+    const value = String(description);
+    const match = value.match(NUMPY_DATETIME_PATTERN);
+    return match ? match[1] : value;
+  });
+};
+
+// The time step tiles are rendered for: the one picked by the user, otherwise the first
+export const getSelectedTimeStep = (details) => {
+  const steps = getTimeSteps(details);
+  if (steps.length === 0) return null;
+  return steps.includes(details._timeStep) ? details._timeStep : steps[0];
+};
+
+// Query string addition selecting one time step ("" when there is none)
+export const buildTimeQuery = (timeStep) => (
+  timeStep === null ? '' : `&sel=${encodeURIComponent(`time=${timeStep}`)}`
+);
+
+// Time coordinates have no zone; the chart must not read them as local time
+const toUtcKey = (step) => (/T\d{2}:\d{2}:\d{2}$/.test(step) ? `${step}Z` : step);
+
+// Statistics over all time steps have one band per step, in time order. Reshaped like the
+// titiler-cmr time series statistics response so both can share the chart and its helpers.
+export const toTimeSeriesResponse = (statistics, timeSteps) => {
+  const bands = Object.values(statistics || {});
+  if (bands.length === 0 || bands.length !== timeSteps.length) return null;
+  return {
+    properties: {
+      statistics: Object.fromEntries(timeSteps.map((step, index) => [toUtcKey(step), bands[index]]))
+    }
+  };
+};
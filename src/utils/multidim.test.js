@@ -0,0 +1,88 @@
+import {
+  pickDefaultVariable,
+  buildDatasetQuery,
+  getTimeSteps,
+  getSelectedTimeStep,
+  buildTimeQuery,
+  toTimeSeriesResponse,
+  withVariableDetails,
+  fetchMultidimStatistics
+} from './multidim';
+
+test('pickDefaultVariable skips bounds and coordinate variables', () => {
+  expect(pickDefaultVariable(['lat_bnds', 'time_bnds', 'lat', 'lon', 'tas'])).toBe('tas');
+  expect(pickDefaultVariable(['crs', 'lon_bounds', 'precipitation'])).toBe('precipitation');
+});
+
+test('pickDefaultVariable falls back to the first variable', () => {
+  expect(pickDefaultVariable(['time_bnds', 'lat'])).toBe('time_bnds');
+});
+
+test('buildDatasetQuery adds reference and decode_times options', () => {
+  expect(buildDatasetQuery('s3://bucket/store.zarr')).toBe('url=s3%3A%2F%2Fbucket%2Fstore.zarr');
+  expect(buildDatasetQuery('s3://bucket/refs.json', { reference: true, decode_times: false }))
+    .toBe('url=s3%3A%2F%2Fbucket%2Frefs.json&reference=true&decode_times=false');
+  expect(buildDatasetQuery('s3://bucket/store.zarr', { decode_times: true })).toBe('url=s3%3A%2F%2Fbucket%2Fstore.zarr');
+});
+
+const timeInfo = {
+  dimensions: { time: 3, lat: 180, lon: 360 },
+  band_descriptions: [
+    ['b1', '2020-01-01T00:00:00.000000000'],
+    ['b2', '2020-02-01T00:00:00.000000000'],
+    ['b3', '2020-03-01T00:00:00.000000000']
+  ]
+};
+
+test('withVariableDetails takes the time dimension from the new variable', () => {
+  const result = { format: 'NetCDF', metadata: { format: 'NetCDF', hasTimeDimension: true, spatialType: 'raster' } };
+  const updated = withVariableDetails(result, { dimensions: { lat: 180, lon: 360 }, _variableUsed: 'mask' });
+  expect(updated.validationDetails._variableUsed).toBe('mask');
+  expect(updated.metadata).toEqual({ format: 'NetCDF', hasTimeDimension: false, spatialType: 'raster' });
+  expect(withVariableDetails(updated, { dimensions: { time: 12 } }).metadata.hasTimeDimension).toBe(true);
+});
+
+test('getTimeSteps reads the time coordinates from the band descriptions', () => {
+  expect(getTimeSteps(timeInfo)).toEqual(['2020-01-01T00:00:00', '2020-02-01T00:00:00', '2020-03-01T00:00:00']);
+  expect(getTimeSteps({ dimensions: { time: 2 }, band_descriptions: [['b1', '0.0'], ['b2', '31.0']] })).toEqual(['0.0', '31.0']);
+  // Bands that are not just the time axis can't be mapped to time steps
+  expect(getTimeSteps({ ...timeInfo, dimensions: { time: 3, depth: 2 }, band_descriptions: timeInfo.band_descriptions.slice(0, 2) })).toEqual([]);
+  expect(getTimeSteps({ dimensions: { lat: 180 }, band_descriptions: [['b1', 'x']] })).toEqual([]);
+});
+
+test('getSelectedTimeStep falls back to the first step', () => {
+  expect(getSelectedTimeStep(timeInfo)).toBe('2020-01-01T00:00:00');
+  expect(getSelectedTimeStep({ ...timeInfo, _timeStep: '2020-03-01T00:00:00' })).toBe('2020-03-01T00:00:00');
+  expect(getSelectedTimeStep({ ...timeInfo, _timeStep: '1999-01-01T00:00:00' })).toBe('2020-01-01T00:00:00');
+  expect(getSelectedTimeStep({})).toBeNull();
+});
+
+test('buildTimeQuery selects the time step with sel', () => {
+  expect(buildTimeQuery('2020-01-01T00:00:00')).toBe('&sel=time%3D2020-01-01T00%3A00%3A00');
+  expect(buildTimeQuery(null)).toBe('');
+});
+
+test('fetchMultidimStatistics selects the time step when one is given', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({}) }));
+  await fetchMultidimStatistics('https://multidim/', 's3://b/a.nc', 'sst', '2020-01-02T00:00:00', { decode_times: false });
+  await fetchMultidimStatistics('https://multidim/', 's3://b/a.nc', 'sst');
+  expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+    'https://multidim/statistics?url=s3%3A%2F%2Fb%2Fa.nc&decode_times=false&variable=sst&sel=time%3D2020-01-02T00%3A00%3A00',
+    'https://multidim/statistics?url=s3%3A%2F%2Fb%2Fa.nc&variable=sst'
+  ]);
+  delete global.fetch;
+});
+
+test('toTimeSeriesResponse maps one band per time step to UTC datetimes', () => {
+  const statistics = { b1: { mean: 1 }, b2: { mean: 2 }, b3: { mean: 3 } };
+  expect(toTimeSeriesResponse(statistics, getTimeSteps(timeInfo))).toEqual({
+    properties: {
+      statistics: {
+        '2020-01-01T00:00:00Z': { mean: 1 },
+        '2020-02-01T00:00:00Z': { mean: 2 },
+        '2020-03-01T00:00:00Z': { mean: 3 }
+      }
+    }
+  });
+  expect(toTimeSeriesResponse({ b1: { mean: 1 } }, getTimeSteps(timeInfo))).toBeNull();
+});
@@ -0,0 +1,105 @@
+// How a validation run ended: which checks failed, why, and what the user can do about it.
+// Fix suggestions are matched in order; the first rule that applies to a failed step wins.
+
+const isStep = (pattern) => (step) => pattern.test(step.name);
+const hasMessage = (pattern) => (step) => pattern.test(step.message || '');
+const both = (...conditions) => (step, result) => conditions.every(condition => condition(step, result));
+
+const FIX_RULES = [
+  {
+    applies: isStep(/^Parse CMR Concept ID$/),
+    fixes: [
+      'Enter a collection concept ID such as C2036881735-POCLOUD',
+      'Or paste the collection\'s CMR URL, e.g. https://cmr.earthdata.nasa.gov/search/concepts/C2036881735-POCLOUD.html'
+    ]
+  },
+  {
+    applies: hasMessage(/timed out/i),
+    fixes: [
+      'The service did not answer in time; retry the step',
+      'Large files or busy services may need a longer timeout (REACT_APP_REQUEST_TIMEOUT_MS)'
+    ]
+  },
+  {
+    applies: hasMessage(/returned 5\d\d/),
+    fixes: [
+      'The service had an internal error; retry the step in a moment',
+      'If it keeps failing, try another environment from the header'
+    ]
+  },
+  {
+    applies: both(isStep(/^Accessibility Check$/), (step, result) => Boolean(result.accessibility && result.accessibility.requesterPays)),
+    fixes: [
+      'Requester-pays buckets cannot be read anonymously; copy the file to a public bucket',
+      'Or share the bucket with the VEDA team so it can be ingested from there'
+    ]
+  },
+  {
+    applies: both(isStep(/^Accessibility Check$/), hasMessage(/403|denied/i)),
+    fixes: [
+      'Allow anonymous reads with a bucket policy granting s3:GetObject on the object',
+      'Or provide a pre-signed HTTPS URL for the check'
+    ]
+  },
+  {
+    applies: both(isStep(/^Accessibility Check$/), hasMessage(/404|not found/i)),
+    fixes: [
+      'Check the bucket name, key and capitalisation',
+      'Zarr stores must point at the store root, where zarr.json or .zmetadata lives'
+    ]
+  },
+  {
+    applies: isStep(/^Accessibility Check$/),
+    fixes: ['Check that the URL opens in a browser, or with `aws s3 ls --no-sign-request` for s3:// URLs']
+  },
+  {
+    applies: both(isStep(/^Check CMR Compatibility$/), hasMessage(/returned 4\d\d/)),
+    fixes: [
+      'Check that the concept ID is a collection (it starts with C) and exists in CMR',
+      'The collection must be public to be checked'
+    ]
+  },
+  {
+    applies: isStep(/^Check CMR Compatibility$/),
+    fixes: ['titiler-cmr needs collections hosted in Earthdata Cloud with direct S3 access; check the collection\'s cloud hosting in CMR']
+  },
+  {
+    applies: both(isStep(/^(COG|GeoTIFF) Validation$/), (step, result) => result.format === 'GeoTIFF' && !/^Validation error/.test(step.message || '')),
+    fixes: ['Convert the file to a Cloud Optimized GeoTIFF with the commands in COG Diagnostics on the next step']
+  },
+  {
+    applies: isStep(/^(COG|GeoTIFF) Validation$/),
+    fixes: ['The raster API could not open the file; check that it is a GeoTIFF the API can read (public, or in a bucket shared with VEDA)']
+  },
+  {
+    applies: isStep(/^(NetCDF|Zarr|Virtual Zarr) Validation$/),
+    fixes: [
+      'titiler-multidim could not open the dataset; check it is NetCDF-4/HDF5 or Zarr with CF-style coordinates',
+      'Private buckets must be readable by the VEDA multidim service'
+    ]
+  },
+  {
+    applies: isStep(/^GeoParquet Validation$/),
+    fixes: ['Write the file with GeoPandas `to_parquet` or `gpq convert` so it carries valid GeoParquet `geo` metadata']
+  }
+];
+
+const DEFAULT_FIXES = ['Retry the step; if it keeps failing, check the input directly with the service'];
+
+export const getFailedChecks = (result) => (result.steps || [])
+  .filter(step => step.status === 'failed')
+  .map(step => {
+    const rule = FIX_RULES.find(candidate => candidate.applies(step, result));
+    return { name: step.name, message: step.message, fixes: rule ? rule.fixes : DEFAULT_FIXES };
+  });
+
+// Recommendations need at least something to recommend for; a CMR input without a concept ID has nothing
+export const canContinueAfterFailure = (result) => !(result.isCMR && !result.conceptId);
+
+// 'passed' when every check ran without failing, 'failed' when a check failed and there is nothing
+// to continue to (see canContinueAfterFailure), 'partial' when recommendations can still be shown
+export const getValidationOutcome = (result) => {
+  const failed = (result.steps || []).filter(step => step.status === 'failed');
+  if (failed.length === 0) return 'passed';
+  return canContinueAfterFailure(result) ? 'partial' : 'failed';
+};
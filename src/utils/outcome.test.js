@@ -0,0 +1,50 @@
+import { getFailedChecks, getValidationOutcome, canContinueAfterFailure } from './outcome';
+
+const step = (name, status, message) => ({ name, status, message });
+
+test('getValidationOutcome separates passed, partial and failed runs', () => {
+  expect(getValidationOutcome({ steps: [step('Accessibility Check', 'completed'), step('COG Validation', 'warning')] })).toBe('passed');
+  expect(getValidationOutcome({ steps: [step('Accessibility Check', 'completed'), step('GeoTIFF Validation', 'failed')] })).toBe('partial');
+  expect(getValidationOutcome({ isCMR: true, conceptId: null, steps: [step('Parse CMR Concept ID', 'failed')] })).toBe('failed');
+});
+
+test('getValidationOutcome is partial when a single failed step still allows continuing', () => {
+  const result = { isCMR: false, steps: [step('Accessibility Check', 'failed', 'Access denied (403)')] };
+  expect(canContinueAfterFailure(result)).toBe(true);
+  expect(getValidationOutcome(result)).toBe('partial');
+});
+
+test('getFailedChecks suggests fixes for the failure at hand', () => {
+  const result = {
+    format: 'GeoTIFF',
+    accessibility: { requesterPays: true },
+    steps: [
+      step('Accessibility Check', 'failed', 'Access denied: bucket is requester-pays and cannot be read anonymously'),
+      step('File Format Detection', 'completed', 'GeoTIFF'),
+      step('GeoTIFF Validation', 'failed', 'Not a valid Cloud Optimized GeoTIFF: The file is not tiled')
+    ]
+  };
+  const checks = getFailedChecks(result);
+  expect(checks.map(check => check.name)).toEqual(['Accessibility Check', 'GeoTIFF Validation']);
+  expect(checks[0].fixes[0]).toMatch(/^Requester-pays/);
+  expect(checks[1].fixes[0]).toMatch(/COG Diagnostics/);
+});
+
+test('getFailedChecks prefers retry advice for timeouts and server errors', () => {
+  const checks = getFailedChecks({
+    steps: [
+      step('Check CMR Compatibility', 'failed', 'Compatibility check error: Request timed out after 30s'),
+      step('NetCDF Validation', 'failed', 'Validation error: Info API returned 502: Bad Gateway'),
+      step('Check CMR Compatibility', 'failed', 'Compatibility check error: API returned 404: Not Found')
+    ]
+  });
+  expect(checks[0].fixes[0]).toMatch(/did not answer in time/);
+  expect(checks[1].fixes[0]).toMatch(/internal error/);
+  expect(checks[2].fixes[0]).toMatch(/exists in CMR/);
+});
+
+test('canContinueAfterFailure needs a concept ID for CMR inputs', () => {
+  expect(canContinueAfterFailure({ isCMR: true, conceptId: null })).toBe(false);
+  expect(canContinueAfterFailure({ isCMR: true, conceptId: 'C1-PROV' })).toBe(true);
+  expect(canContinueAfterFailure({ isCMR: false })).toBe(true);
+});
@@ -0,0 +1,287 @@
+import { buildTimeSeriesGifUrl, getTimeSeriesStatisticsParams } from './cmr';
+import { buildDatasetQuery, getTimeSteps, getSelectedTimeStep, buildTimeQuery } from './multidim';
+import { getDatasetUrl } from './zarr';
+import { evaluateRules, isPlainParquet } from './rules';
+import { getTipgCollectionId } from './geoparquet';
+import { getDatasetBounds } from './geo';
+import { buildRenderQuery } from './rendering';
+
+// tipg only serves tables that have been loaded into the VEDA PostGIS database,
+// so the collection id is the table name the file would be loaded as
+const buildTipgEndpoints = (features, fileData, validationResult) => {
+  const collectionId = getTipgCollectionId(fileData.fileName);
+  const bounds = getDatasetBounds(validationResult);
+  const bboxQuery = bounds ? `&bbox=${bounds.join(',')}` : '';
+
+  return [
+    {
+      name: 'collection',
+      title: 'Collection',
+      description: 'Collection metadata, once the file is loaded into PostGIS',
+      base: features.baseUrl,
+      pattern: 'collections/{collectionId}',
+      exampleUrl: `${features.baseUrl}collections/${collectionId}`
+    },
+    {
+      name: 'items',
+      title: 'Items',
+      description: 'GeoJSON features with paging and bbox filtering',
+      base: features.baseUrl,
+      pattern: 'collections/{collectionId}/items?limit={limit}&bbox={minx},{miny},{maxx},{maxy}',
+      exampleUrl: `${features.baseUrl}collections/${collectionId}/items?limit=10${bboxQuery}`
+    },
+    {
+      name: 'vector-tiles',
+      title: 'Vector Tiles',
+      description: 'Mapbox Vector Tiles for web maps',
+      base: features.baseUrl,
+      pattern: 'collections/{collectionId}/tiles/WebMercatorQuad/{z}/{x}/{y}',
+      exampleUrl: `${features.baseUrl}collections/${collectionId}/tiles/WebMercatorQuad/{z}/{x}/{y}`
+    },
+    {
+      name: 'tilejson',
+      title: 'TileJSON',
+      description: 'TileJSON document for MapLibre/Mapbox GL sources',
+      base: features.baseUrl,
+      pattern: 'collections/{collectionId}/WebMercatorQuad/tilejson.json',
+      exampleUrl: `${features.baseUrl}collections/${collectionId}/WebMercatorQuad/tilejson.json`
+    }
+  ];
+};
+
+const buildMultidimEndpoints = (multidim, fileData, validationResult, renderParams) => {
+  const details = validationResult.validationDetails;
+  const variable = details && details._variableUsed;
+  const options = (details && details._datasetOptions) || {};
+  const datasetUrl = getDatasetUrl(fileData.s3Url, validationResult.format);
+  const datasetQuery = buildDatasetQuery(datasetUrl, options) + (variable ? `&variable=${encodeURIComponent(variable)}` : '');
+  const optionsPattern = (options.reference ? '&reference=true' : '') + (options.decode_times === false ? '&decode_times=false' : '');
+
+  // Without a selection titiler-multidim renders whichever time step it defaults to
+  const timeSteps = details ? getTimeSteps(details) : [];
+  const timeStep = details ? getSelectedTimeStep(details) : null;
+  const query = datasetQuery + buildTimeQuery(timeStep);
+  const timePattern = timeStep === null ? '' : '&sel=time={datetime}';
+
+  const endpoints = [
+    {
+      name: 'visualization',
+      title: 'Visualization',
+      description: 'Tile-based visualization for multidimensional data',
+      base: multidim.baseUrl,
+      pattern: `tiles/WebMercatorQuad/{z}/{x}/{y}.png?url={url}&variable={variable}${optionsPattern}${timePattern}&colormap_name={colormap}&rescale={min},{max}`,
+      exampleUrl: `${multidim.baseUrl}tiles/WebMercatorQuad/{z}/{x}/{y}.png?${query}${buildRenderQuery(renderParams)}`,
+      showTileMap: true
+    },
+    {
+      name: 'info',
+      title: 'Dataset Info',
+      description: 'Get dataset metadata and variables',
+      base: multidim.baseUrl,
+      pattern: `info?url={url}&variable={variable}${optionsPattern}${timePattern}`,
+      exampleUrl: `${multidim.baseUrl}info?${query}`
+    },
+    {
+      name: 'statistics',
+      title: 'Statistics',
+      description: 'Generate statistical summaries',
+      base: multidim.baseUrl,
+      pattern: `statistics?url={url}&variable={variable}${optionsPattern}${timePattern}`,
+      exampleUrl: `${multidim.baseUrl}statistics?${query}`
+    }
+  ];
+
+  // Statistics without a time selection cover every time step, one band each
+  if (timeSteps.length > 1) {
+    endpoints.push({
+      name: 'time-series-statistics',
+      title: 'Time Series Statistics',
+      description: `Statistics for each of the ${timeSteps.length} time steps (band N is time step N)`,
+      base: multidim.baseUrl,
+      pattern: `statistics?url={url}&variable={variable}${optionsPattern}`,
+      exampleUrl: `${multidim.baseUrl}statistics?${datasetQuery}`,
+      showTimeSeries: true,
+      timeSteps,
+      variable
+    });
+  }
+
+  return endpoints;
+};
+
+const buildCmrService = ({ validationResult, services, timeSeriesParams, renderParams }) => {
+  const { cmr } = services;
+  const endpoints = [
+    {
+      name: 'visualization',
+      title: 'Visualization',
+      description: 'Tile-based visualization',
+      base: cmr.baseUrl,
+      pattern: 'tiles/WebMercatorQuad/{z}/{x}/{y}.png?concept_id={concept_id}&colormap_name={colormap}&rescale={min},{max}',
+      exampleUrl: `${cmr.baseUrl}tiles/WebMercatorQuad/{z}/{x}/{y}.png?concept_id=${validationResult.conceptId}${buildRenderQuery(renderParams)}`,
+      showTileMap: true
+    },
+    {
+      name: 'statistics',
+      title: 'Statistics',
+      description: 'Generate statistical summaries for the dataset',
+      base: cmr.baseUrl,
+      pattern: 'statistics?concept_id={concept_id}&datetime={datetime}',
+      exampleUrl: `${cmr.baseUrl}statistics?concept_id=${validationResult.conceptId}&datetime=2020-01-01`
+    }
+  ];
+
+  // Time series endpoints (only if has time dimension)
+  if (validationResult.metadata.hasTimeDimension) {
+    let timeSeriesTestUrl = `${cmr.baseUrl}timeseries/bbox/{minx},{miny},{maxx},{maxy}.gif?concept_id=${validationResult.conceptId}`;
+    let statsParams = null;
+
+    // Build URLs from the (user-editable) time series parameters
+    if (timeSeriesParams) {
+      timeSeriesTestUrl = buildTimeSeriesGifUrl(cmr.baseUrl, validationResult.conceptId, timeSeriesParams, renderParams);
+      statsParams = getTimeSeriesStatisticsParams(validationResult.conceptId, timeSeriesParams);
+    }
+
+    endpoints.push({
+      name: 'time-series-visualization',
+      title: 'Time Series Visualization',
+      description: 'Visualize time series data for a bounding box',
+      base: cmr.baseUrl,
+      pattern: 'timeseries/bbox/{minx},{miny},{maxx},{maxy}.gif?concept_id={concept_id}&datetime={start}/{end}&variable={variable}&backend=xarray&colormap_name={colormap}&rescale={min},{max}&step={step}',
+      exampleUrl: timeSeriesTestUrl,
+      showPreview: true,
+      previewUrl: timeSeriesParams ? timeSeriesTestUrl : null
+    });
+
+    endpoints.push({
+      name: 'time-series-statistics',
+      title: 'Time Series Statistics',
+      description: 'Generate statistics over time for multiple dates',
+      base: cmr.baseUrl,
+      pattern: 'timeseries/statistics (POST)',
+      exampleUrl: `POST to: ${cmr.baseUrl}timeseries/statistics`,
+      showPreview: true,
+      isPostRequest: true,
+      postParams: statsParams
+    });
+  }
+
+  return {
+    title: 'Titiler-CMR',
+    description: 'Earthdata Cloud datasets via CMR',
+    useCase: 'Best for data on Earthdata Cloud with CMR integration',
+    docsUrl: cmr.docsUrl,
+    endpoints: endpoints
+  };
+};
+
+const buildPgstacService = ({ fileData, validationResult, services, renderParams }) => {
+  const { raster } = services;
+  const profile = (validationResult.validationDetails && validationResult.validationDetails.Profile) || {};
+  return {
+    title: 'Titiler-pgstac',
+    description: 'Cloud Optimized GeoTIFF visualization and analysis',
+    useCase: 'Best for static raster datasets',
+    docsUrl: raster.docsUrl,
+    endpoints: [
+      {
+        name: 'visualization',
+        title: 'Visualization',
+        description: 'Tile-based visualization',
+        base: raster.baseUrl,
+        pattern: 'cog/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url={url}&colormap_name={colormap}&rescale={min},{max}',
+        exampleUrl: `${raster.baseUrl}cog/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url=${encodeURIComponent(fileData.s3Url)}${buildRenderQuery(renderParams)}`,
+        showTileMap: true
+      },
+      {
+        name: 'statistics',
+        title: 'Statistics',
+        description: 'Generate statistical summaries',
+        base: raster.baseUrl,
+        pattern: 'cog/statistics?url={url}',
+        exampleUrl: `${raster.baseUrl}cog/statistics?url=${encodeURIComponent(fileData.s3Url)}`,
+        showStatistics: true,
+        fileUrl: fileData.s3Url,
+        nodata: profile.Nodata === undefined ? null : profile.Nodata
+      }
+    ]
+  };
+};
+
+const buildMultidimService = ({ fileData, validationResult, services, renderParams }) => {
+  const { format } = validationResult;
+  const descriptions = {
+    'Zarr': ['Zarr stores (v2 and v3)', 'Best for chunked, analysis-ready multidimensional data'],
+    'Virtual Zarr': [
+      'Virtual Zarr datasets from kerchunk references',
+      'Serves archival NetCDF/HDF5 through a reference file without copying the data'
+    ]
+  };
+  const [description, useCase] = descriptions[format] || [
+    'For multidimensional gridded data formats',
+    'Visualization for NetCDF, GRIB, HDF5 with time dimensions'
+  ];
+
+  return {
+    title: 'Titiler-multidim',
+    description,
+    useCase,
+    docsUrl: services.multidim.docsUrl,
+    endpoints: buildMultidimEndpoints(services.multidim, fileData, validationResult, renderParams)
+  };
+};
+
+const buildTipgService = ({ fileData, validationResult, services }) => ({
+  title: 'TiPg (OGC Features API)',
+  description: 'Serve vector data via OGC Features API',
+  useCase: 'Interactive visualization for GeoParquet and other vector formats, after loading into PostGIS',
+  docsUrl: services.features.docsUrl,
+  endpoints: buildTipgEndpoints(services.features, fileData, validationResult)
+});
+
+const buildConversionService = ({ validationResult }) => {
+  if (validationResult.format === 'GeoTIFF') {
+    return {
+      title: 'Convert to COG',
+      description: 'This GeoTIFF is not cloud optimized',
+      useCase: 'Convert with rio cogeo create or gdal_translate -of COG, then serve it with titiler-pgstac',
+      endpoints: []
+    };
+  }
+  if (isPlainParquet(validationResult)) {
+    return {
+      title: 'Add GeoParquet Metadata',
+      description: 'This Parquet file has no "geo" metadata',
+      useCase: 'Rewrite it with GeoPandas to_parquet() or gpq convert, then serve it with tipg',
+      endpoints: []
+    };
+  }
+  return {
+    title: 'Format Conversion',
+    description: 'Consider converting to a supported format',
+    useCase: 'Convert to COG or another cloud-optimized format',
+    endpoints: []
+  };
+};
+
+const SERVICE_BUILDERS = {
+  'titiler-cmr': buildCmrService,
+  'titiler-pgstac': buildPgstacService,
+  'titiler-multidim': buildMultidimService,
+  'tipg': buildTipgService,
+  'conversion': buildConversionService
+};
+
+// Builds the list of recommended services, with concrete endpoint examples, for a validation result.
+// Which services are recommended, and why, is decided by the rules in rules.js.
+// `timeSeriesParams` are the user-editable titiler-cmr time series parameters (null when unavailable),
+// `renderParams` the colormap and rescale of every tile and GIF URL (see rendering.js).
+export const getRecommendedServices = ({ fileData, validationResult, services, timeSeriesParams = null, renderParams = null }) => {
+  const context = { fileData, validationResult, services, timeSeriesParams, renderParams };
+
+  return evaluateRules(validationResult).recommended.map(match => ({
+    name: match.name,
+    reason: match.reason,
+    ...SERVICE_BUILDERS[match.name](context)
+  }));
+};
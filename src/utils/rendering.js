@@ -0,0 +1,80 @@
+import { getRescaleRange } from './cog';
+
+// Colormap and rescale of every tile and GIF URL the advisor builds, as { colormap, rescale }.
+// A null rescale leaves the range to titiler; a null colormap renders the bands as they are.
+
+export const DEFAULT_COLORMAP = 'viridis';
+
+// Suggested ranges are rounded to this many significant digits
+const RESCALE_PRECISION = 4;
+
+// Datasets the advisor builds tile URLs for: COGs, titiler-cmr collections and the selected
+// variable of a titiler-multidim dataset
+export const canStyleDataset = (validationResult) => {
+  if (!validationResult) return false;
+  if (validationResult.isCMR || validationResult.format === 'COG') return true;
+  return Boolean(validationResult.validationDetails && validationResult.validationDetails._variableUsed);
+};
+
+// Only single-band rasters can be colormapped; multi-band COGs render as RGB
+export const canColormapDataset = (validationResult) => {
+  const profile = validationResult.validationDetails && validationResult.validationDetails.Profile;
+  return validationResult.isCMR || validationResult.format !== 'COG' || Boolean(profile && profile.Bands === 1);
+};
+
+export const getDefaultRenderParams = (validationResult, linked = null) => ({
+  colormap: canColormapDataset(validationResult) ? (linked && linked.colormap) || DEFAULT_COLORMAP : null,
+  rescale: (linked && linked.rescale) || null
+});
+
+// Query string additions for tile and GIF URLs, starting with "&" (empty without render params)
+export const buildRenderQuery = (render) => {
+  if (!render) return '';
+  let query = render.colormap ? `&colormap_name=${render.colormap}` : '';
+  if (render.rescale) query += `&rescale=${render.rescale.join(',')}`;
+  return query;
+};
+
+// titiler renders any registered colormap as an image at /colorMaps/{name}
+export const getColormapSwatchUrl = (baseUrl, name) => (
+  `${baseUrl}colorMaps/${name}?format=png&width=256&height=12`
+);
+
+const roundRange = ([low, high]) => {
+  const rounded = [low, high].map(value => Number(value.toPrecision(RESCALE_PRECISION)));
+  return rounded[0] < rounded[1] ? rounded : [low, high];
+};
+
+// Rescale from titiler statistics keyed by band (COG or titiler-multidim): the 2nd-98th
+// percentile range (or min/max) spanning every band, since one rescale applies to all of them.
+// Null when there's nothing usable.
+export const getStatisticsRescale = (statistics) => {
+  const ranges = Object.keys(statistics || {})
+    .map(band => getRescaleRange(statistics, band))
+    .filter(Boolean);
+  if (ranges.length === 0) return null;
+  return roundRange([Math.min(...ranges.map(([low]) => low)), Math.max(...ranges.map(([, high]) => high))]);
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Rescale covering every date of a titiler-cmr time series statistics response: the lowest
+// 2nd percentile to the highest 98th percentile (min/max for dates without percentiles)
+export const getTimeSeriesRescale = (data) => {
+  const statistics = data && data.properties && data.properties.statistics;
+  if (!statistics || typeof statistics !== 'object') return null;
+
+  const lows = [];
+  const highs = [];
+  Object.values(statistics).forEach(stats => {
+    if (!stats) return;
+    const low = isFiniteNumber(stats.percentile_2) ? stats.percentile_2 : stats.min;
+    const high = isFiniteNumber(stats.percentile_98) ? stats.percentile_98 : stats.max;
+    if (isFiniteNumber(low)) lows.push(low);
+    if (isFiniteNumber(high)) highs.push(high);
+  });
+  if (lows.length === 0 || highs.length === 0) return null;
+
+  const range = [Math.min(...lows), Math.max(...highs)];
+  return range[0] < range[1] ? roundRange(range) : null;
+};
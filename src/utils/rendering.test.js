@@ -0,0 +1,74 @@
+import {
+  canStyleDataset,
+  canColormapDataset,
+  getDefaultRenderParams,
+  buildRenderQuery,
+  getColormapSwatchUrl,
+  getStatisticsRescale,
+  getTimeSeriesRescale
+} from './rendering';
+
+const singleBand = { format: 'COG', validationDetails: { Profile: { Bands: 1 } } };
+const multiBand = { format: 'COG', validationDetails: { Profile: { Bands: 3 } } };
+const cmr = { format: 'NetCDF', isCMR: true, validationDetails: {} };
+
+test('canStyleDataset accepts every dataset the advisor builds tile URLs for', () => {
+  expect(canStyleDataset(singleBand)).toBe(true);
+  expect(canStyleDataset(multiBand)).toBe(true);
+  expect(canStyleDataset({ format: 'NetCDF', validationDetails: { _variableUsed: 'tas' } })).toBe(true);
+  expect(canStyleDataset(cmr)).toBe(true);
+  expect(canStyleDataset({ format: 'GeoParquet', validationDetails: {} })).toBe(false);
+  expect(canStyleDataset(null)).toBe(false);
+});
+
+test('canColormapDataset rules out multi-band COGs only', () => {
+  expect(canColormapDataset(singleBand)).toBe(true);
+  expect(canColormapDataset(multiBand)).toBe(false);
+  expect(canColormapDataset(cmr)).toBe(true);
+});
+
+test('getDefaultRenderParams keeps linked values and leaves the rescale to the statistics', () => {
+  expect(getDefaultRenderParams(singleBand)).toEqual({ colormap: 'viridis', rescale: null });
+  expect(getDefaultRenderParams(cmr, { colormap: 'magma', rescale: [1, 2], start: 'x' })).toEqual({ colormap: 'magma', rescale: [1, 2] });
+  expect(getDefaultRenderParams(multiBand, { colormap: 'magma', rescale: [1, 2] })).toEqual({ colormap: null, rescale: [1, 2] });
+});
+
+test('buildRenderQuery adds the colormap and rescale that are set', () => {
+  expect(buildRenderQuery(null)).toBe('');
+  expect(buildRenderQuery({ colormap: 'plasma', rescale: null })).toBe('&colormap_name=plasma');
+  expect(buildRenderQuery({ colormap: 'plasma', rescale: [-2.5, 40] })).toBe('&colormap_name=plasma&rescale=-2.5,40');
+  expect(buildRenderQuery({ colormap: null, rescale: [0, 3000] })).toBe('&rescale=0,3000');
+});
+
+test('getColormapSwatchUrl points at the titiler colormap image', () => {
+  expect(getColormapSwatchUrl('https://example.com/raster/', 'rdbu_r'))
+    .toBe('https://example.com/raster/colorMaps/rdbu_r?format=png&width=256&height=12');
+});
+
+test('getStatisticsRescale spans every band and rounds to four significant digits', () => {
+  expect(getStatisticsRescale({ sst: { min: 0, max: 40, percentile_2: 271.123456, percentile_98: 303.98765 } }))
+    .toEqual([271.1, 304]);
+  expect(getStatisticsRescale({
+    b1: { min: 0, max: 4000, percentile_2: 120, percentile_98: 2400 },
+    b2: { min: 0, max: 5000, percentile_2: 90, percentile_98: 3100 },
+    b3: { min: 7, max: 7 }
+  })).toEqual([90, 3100]);
+  expect(getStatisticsRescale({ b1: { min: 3, max: 3 } })).toBeNull();
+  expect(getStatisticsRescale({})).toBeNull();
+  expect(getStatisticsRescale(null)).toBeNull();
+});
+
+test('getTimeSeriesRescale spans the percentiles of every date', () => {
+  const data = {
+    properties: {
+      statistics: {
+        '2020-01-01T00:00:00Z': { min: 0, max: 100, percentile_2: 5, percentile_98: 60 },
+        '2020-01-02T00:00:00Z': { min: 2, max: 90, percentile_2: 8, percentile_98: 72.55555 },
+        '2020-01-03T00:00:00Z': { min: 1, max: 50 }
+      }
+    }
+  };
+  expect(getTimeSeriesRescale(data)).toEqual([1, 72.56]);
+  expect(getTimeSeriesRescale({ properties: { statistics: { a: { min: 4, max: 4 } } } })).toBeNull();
+  expect(getTimeSeriesRescale({})).toBeNull();
+});
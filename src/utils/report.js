@@ -0,0 +1,188 @@
+// Self-contained advisor reports: one plain object, rendered as JSON, Markdown or printable HTML
+
+const STATUS_LABELS = {
+  completed: '✅ Passed',
+  warning: '⚠️ Warning',
+  failed: '❌ Failed',
+  running: '⏳ Running'
+};
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+export const buildReport = ({ fileData, validationResult, recommendedServices, rejectedServices, generatedAt = new Date() }) => ({
+  generatedAt: generatedAt.toISOString(),
+  input: fileData.s3Url,
+  format: validationResult.format,
+  isValid: validationResult.isValid,
+  isCloudOptimized: validationResult.isCloudOptimized,
+  hasTimeDimension: validationResult.metadata.hasTimeDimension,
+  conceptId: validationResult.conceptId || null,
+  steps: (validationResult.steps || []).map(({ name, status, message }) => ({ name, status, message: message || null })),
+  recommendations: recommendedServices.map(service => ({
+    name: service.name,
+    title: service.title,
+    reason: service.reason || null,
+    description: service.description,
+    useCase: service.useCase,
+    docsUrl: service.docsUrl || null,
+    endpoints: (service.endpoints || []).map(endpoint => ({
+      title: endpoint.title,
+      description: endpoint.description,
+      pattern: `${endpoint.base}${endpoint.pattern}`,
+      exampleUrl: endpoint.exampleUrl,
+      ...(endpoint.postParams ? { postParams: endpoint.postParams } : {})
+    }))
+  })),
+  ruledOut: rejectedServices.map(({ name, title, reason }) => ({ name, title, reason })),
+  validationDetails: validationResult.validationDetails
+});
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+export const reportToMarkdown = (report) => {
+  const lines = [
+    '# VEDA Data Advisor Report',
+    '',
+    `Generated ${report.generatedAt}`,
+    '',
+    '| | |',
+    '| --- | --- |',
+    `| Input | \`${report.input}\` |`,
+    ...(report.conceptId ? [`| Concept ID | \`${report.conceptId}\` |`] : []),
+    `| Format | ${report.format} |`,
+    `| Valid | ${yesNo(report.isValid)} |`,
+    `| Cloud optimized | ${yesNo(report.isCloudOptimized)} |`,
+    `| Time dimension | ${yesNo(report.hasTimeDimension)} |`,
+    '',
+    '## Validation Steps',
+    ''
+  ];
+
+  report.steps.forEach(step => {
+    lines.push(`- ${STATUS_LABELS[step.status] || step.status} **${step.name}**${step.message ? `: ${step.message}` : ''}`);
+  });
+
+  lines.push('', '## Recommended Services', '');
+  if (report.recommendations.length === 0) {
+    lines.push('_No service matched this dataset._', '');
+  }
+  report.recommendations.forEach(service => {
+    lines.push(`### ${service.title}`, '', service.description, '', `**Use case:** ${service.useCase}`, '');
+    if (service.reason) lines.push(`**Why:** ${service.reason}`, '');
+    if (service.docsUrl) lines.push(`[API docs](${service.docsUrl})`, '');
+
+    service.endpoints.forEach(endpoint => {
+      lines.push(`#### ${endpoint.title}`, '', endpoint.description, '', '```', endpoint.pattern, '```', '', 'Example:', '', '```', endpoint.exampleUrl, '```', '');
+    });
+  });
+
+  if (report.ruledOut.length > 0) {
+    lines.push('## Ruled Out', '');
+    report.ruledOut.forEach(service => lines.push(`- **${service.title}**: ${service.reason}`));
+    lines.push('');
+  }
+
+  lines.push(
+    '<details>',
+    '<summary>Validation details</summary>',
+    '',
+    '```json',
+    JSON.stringify(report.validationDetails, null, 2),
+    '```',
+    '',
+    '</details>',
+    ''
+  );
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2d3748; max-width: 900px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { color: #1a202c; margin-bottom: 0; }
+  h2 { border-bottom: 2px solid #e2e8f0; padding-bottom: 6px; margin-top: 32px; }
+  table { border-collapse: collapse; margin: 16px 0; }
+  th, td { text-align: left; padding: 6px 12px; border: 1px solid #e2e8f0; vertical-align: top; }
+  code, pre { font-family: 'Monaco', 'Menlo', 'Courier New', monospace; font-size: 0.85rem; }
+  pre { background: #f7fafc; border: 1px solid #e2e8f0; border-radius: 6px; padding: 12px; white-space: pre-wrap; word-break: break-all; }
+  .meta { color: #718096; }
+  .completed { color: #2f855a; }
+  .warning { color: #b7791f; }
+  .failed { color: #c53030; }
+  .service { border: 1px solid #e2e8f0; border-radius: 8px; padding: 4px 16px 12px; margin: 16px 0; break-inside: avoid; }
+  @page { margin: 18mm; }
+  @media print { body { margin: 0; max-width: none; } pre { font-size: 0.75rem; } }
+`;
+
+export const reportToHtml = (report) => {
+  const summaryRows = [
+    ['Input', `<code>${escapeHtml(report.input)}</code>`],
+    ...(report.conceptId ? [['Concept ID', `<code>${escapeHtml(report.conceptId)}</code>`]] : []),
+    ['Format', escapeHtml(report.format)],
+    ['Valid', yesNo(report.isValid)],
+    ['Cloud optimized', yesNo(report.isCloudOptimized)],
+    ['Time dimension', yesNo(report.hasTimeDimension)]
+  ];
+
+  const steps = report.steps.map(step => `
+      <tr>
+        <td class="${escapeHtml(step.status)}">${escapeHtml(STATUS_LABELS[step.status] || step.status)}</td>
+        <td><strong>${escapeHtml(step.name)}</strong>${step.message ? `<br>${escapeHtml(step.message)}` : ''}</td>
+      </tr>`).join('');
+
+  const services = report.recommendations.map(service => `
+    <div class="service">
+      <h3>${escapeHtml(service.title)}</h3>
+      <p>${escapeHtml(service.description)}</p>
+      <p><strong>Use case:</strong> ${escapeHtml(service.useCase)}</p>
+      ${service.reason ? `<p><strong>Why:</strong> ${escapeHtml(service.reason)}</p>` : ''}
+      ${service.docsUrl ? `<p><a href="${escapeHtml(service.docsUrl)}">API docs</a></p>` : ''}
+      ${service.endpoints.map(endpoint => `
+      <h4>${escapeHtml(endpoint.title)}</h4>
+      <p>${escapeHtml(endpoint.description)}</p>
+      <pre>${escapeHtml(endpoint.pattern)}</pre>
+      <p>Example:</p>
+      <pre>${escapeHtml(endpoint.exampleUrl)}</pre>`).join('')}
+    </div>`).join('');
+
+  const ruledOut = report.ruledOut.map(service => `
+      <li><strong>${escapeHtml(service.title)}</strong>: ${escapeHtml(service.reason)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>VEDA Data Advisor Report: ${escapeHtml(report.input)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <h1>VEDA Data Advisor Report</h1>
+  <p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>
+  <table>${summaryRows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>
+
+  <h2>Validation Steps</h2>
+  <table>${steps}
+  </table>
+
+  <h2>Recommended Services</h2>
+  ${services || '<p><em>No service matched this dataset.</em></p>'}
+  ${ruledOut ? `<h2>Ruled Out</h2>\n  <ul>${ruledOut}\n  </ul>` : ''}
+
+  <h2>Validation Details</h2>
+  <pre>${escapeHtml(JSON.stringify(report.validationDetails, null, 2))}</pre>
+</body>
+</html>
+`;
+};
+
+// e.g. "veda-advisor-MODIS_LC_2001_BD_v2.cog.tif.md"
+export const getReportFileName = (report, extension) => {
+  const name = report.input.replace(/\/+$/, '').split('/').pop().replace(/[^A-Za-z0-9._-]+/g, '_');
+  return `veda-advisor-${name || 'report'}.${extension}`;
+};
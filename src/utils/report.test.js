@@ -0,0 +1,67 @@
+import { buildReport, reportToJson, reportToMarkdown, reportToHtml, getReportFileName } from './report';
+
+const report = buildReport({
+  fileData: { s3Url: 's3://veda-data-store/landcover/MODIS_LC_2001_BD_v2.cog.tif' },
+  validationResult: {
+    format: 'COG',
+    isValid: true,
+    isCloudOptimized: true,
+    metadata: { hasTimeDimension: false },
+    steps: [
+      { name: 'Accessibility Check', status: 'warning', message: 'Request was blocked by the browser' },
+      { name: 'COG Validation', status: 'completed', message: 'Valid COG structure with proper tiling' }
+    ],
+    validationDetails: { COG: true, GEO: { BoundingBox: [88, 20, 92, 26] } }
+  },
+  recommendedServices: [{
+    name: 'titiler-pgstac',
+    title: 'Titiler-pgstac',
+    reason: 'File is a valid Cloud Optimized GeoTIFF',
+    description: 'Cloud Optimized GeoTIFF visualization and analysis',
+    useCase: 'Best for static raster datasets',
+    docsUrl: 'https://openveda.cloud/api/raster/docs',
+    endpoints: [{
+      title: 'Statistics',
+      description: 'Generate statistical summaries',
+      base: 'https://openveda.cloud/api/raster/',
+      pattern: 'cog/statistics?url={url}',
+      exampleUrl: 'https://openveda.cloud/api/raster/cog/statistics?url=s3%3A%2F%2Fa'
+    }]
+  }],
+  rejectedServices: [{ name: 'tipg', title: 'TiPg', reason: 'Raster data; tipg serves vector features only' }],
+  generatedAt: new Date('2024-05-01T12:00:00Z')
+});
+
+test('buildReport collects input, steps, services and details', () => {
+  expect(report).toMatchObject({
+    generatedAt: '2024-05-01T12:00:00.000Z',
+    format: 'COG',
+    conceptId: null,
+    steps: [{ name: 'Accessibility Check', status: 'warning' }, { name: 'COG Validation', status: 'completed' }],
+    ruledOut: [{ name: 'tipg', reason: 'Raster data; tipg serves vector features only' }]
+  });
+  expect(report.recommendations[0].endpoints[0].pattern).toBe('https://openveda.cloud/api/raster/cog/statistics?url={url}');
+  expect(JSON.parse(reportToJson(report))).toEqual(report);
+});
+
+test('reportToMarkdown renders steps, services and collapsible details', () => {
+  const markdown = reportToMarkdown(report);
+  expect(markdown).toContain('| Format | COG |');
+  expect(markdown).toContain('- ⚠️ Warning **Accessibility Check**: Request was blocked by the browser');
+  expect(markdown).toContain('**Why:** File is a valid Cloud Optimized GeoTIFF');
+  expect(markdown).toContain('- **TiPg**: Raster data; tipg serves vector features only');
+  expect(markdown).toContain('"BoundingBox": [');
+});
+
+test('reportToHtml escapes content and is printable on its own', () => {
+  const html = reportToHtml({ ...report, input: 'https://host/<script>.tif' });
+  expect(html).toMatch(/^<!DOCTYPE html>/);
+  expect(html).toContain('@media print');
+  expect(html).toContain('https://host/&lt;script&gt;.tif');
+  expect(html).not.toContain('<script>');
+});
+
+test('getReportFileName uses the last path segment of the input', () => {
+  expect(getReportFileName(report, 'md')).toBe('veda-advisor-MODIS_LC_2001_BD_v2.cog.tif.md');
+  expect(getReportFileName({ input: 'C2723754864-GES_DISC' }, 'json')).toBe('veda-advisor-C2723754864-GES_DISC.json');
+});
@@ -0,0 +1,102 @@
+// Declarative routing from a validation result to VEDA services.
+// Every rule answers "does this service fit?" with a human-readable reason either way;
+// recommendations.js turns matches into service cards with concrete endpoints.
+
+const GRIDDED_FORMATS = ['NetCDF', 'GRIB', 'HDF5'];
+
+const match = (reason) => ({ matched: true, reason });
+const reject = (reason) => ({ matched: false, reason });
+
+// Parquet whose footer was read but carries no "geo" metadata
+export const isPlainParquet = (result) => {
+  const details = result.validationDetails;
+  return Boolean(details && details.parquet && !details.geo);
+};
+
+const isVector = (result) => result.metadata.spatialType === 'vector';
+
+export const SERVICE_RULES = [
+  {
+    name: 'titiler-cmr',
+    title: 'Titiler-CMR',
+    evaluate: (result) => {
+      if (result.isCMR) {
+        return match(result.metadata.hasTimeDimension
+          ? 'Dataset is registered in CMR on Earthdata Cloud and has a time dimension for time series'
+          : 'Dataset is registered in CMR on Earthdata Cloud');
+      }
+      return reject('Only serves collections registered in NASA CMR; this input is a direct file URL');
+    }
+  },
+  {
+    name: 'titiler-pgstac',
+    title: 'Titiler-pgstac',
+    evaluate: (result) => {
+      if (result.isCMR) return reject('CMR collections are served through titiler-cmr');
+      if (result.format === 'COG') return match('File is a valid Cloud Optimized GeoTIFF');
+      if (result.format === 'GeoTIFF') return reject('GeoTIFF is not cloud optimized; convert it to a COG first');
+      return reject(`Only serves Cloud Optimized GeoTIFFs; this file is ${result.format}`);
+    }
+  },
+  {
+    name: 'titiler-multidim',
+    title: 'Titiler-multidim',
+    evaluate: (result) => {
+      const { format, metadata } = result;
+      if (result.isCMR) return reject('CMR collections are served through titiler-cmr');
+      if (format === 'Zarr') return match('Zarr stores are read natively by titiler-multidim');
+      if (format === 'Virtual Zarr') return match('Kerchunk references are opened as virtual Zarr by titiler-multidim');
+      if (GRIDDED_FORMATS.includes(format)) {
+        return metadata.hasTimeDimension
+          ? match(`${format} grid with a time dimension`)
+          : reject(`${format} has no time dimension; a single 2D grid is better served as a COG`);
+      }
+      if (isVector(result)) return reject('Vector data; titiler-multidim serves gridded rasters only');
+      if (format === 'COG') return reject('Single COGs are served more efficiently by titiler-pgstac');
+      return reject(`Only serves NetCDF, GRIB, HDF5 and Zarr; this file is ${format}`);
+    }
+  },
+  {
+    name: 'tipg',
+    title: 'TiPg (OGC Features API)',
+    evaluate: (result) => {
+      if (result.isCMR) return reject('CMR collections are gridded data served through titiler-cmr');
+      if (isPlainParquet(result)) return reject('Parquet file has no "geo" metadata, so it has no geometry column to serve');
+      if (isVector(result)) return match(`${result.format} is vector data that tipg can serve once loaded into PostGIS`);
+      return reject('Raster data; tipg serves vector features only');
+    }
+  },
+  {
+    name: 'conversion',
+    title: 'Format Conversion',
+    evaluate: (result) => {
+      const { format, metadata } = result;
+      if (result.isCMR) return reject('CMR collections are already on Earthdata Cloud');
+      if (format === 'GeoTIFF') return match('GeoTIFF is not cloud optimized');
+      if (isPlainParquet(result)) return match('Parquet file needs GeoParquet metadata');
+      if (GRIDDED_FORMATS.includes(format) && !metadata.hasTimeDimension) {
+        return match(`${format} without a time dimension is better stored as a COG`);
+      }
+      if (format === 'Unknown') return reject('Format could not be identified, so there is nothing to convert from');
+      return reject('File is already in a format a VEDA service can serve');
+    }
+  }
+];
+
+// Runs every rule. Matches keep the order of SERVICE_RULES, which is their rank.
+export const evaluateRules = (result) => {
+  const recommended = [];
+  const rejected = [];
+
+  SERVICE_RULES.forEach(rule => {
+    const outcome = rule.evaluate(result);
+    const entry = { name: rule.name, title: rule.title, reason: outcome.reason };
+    if (outcome.matched) {
+      recommended.push(entry);
+    } else {
+      rejected.push(entry);
+    }
+  });
+
+  return { recommended, rejected };
+};
@@ -0,0 +1,65 @@
+import { evaluateRules } from './rules';
+
+const result = (overrides) => ({
+  format: 'COG',
+  isValid: true,
+  isCMR: false,
+  metadata: { hasTimeDimension: false, spatialType: 'raster' },
+  validationDetails: null,
+  ...overrides
+});
+
+const names = (entries) => entries.map(entry => entry.name);
+
+test('CMR collections go to titiler-cmr only', () => {
+  const { recommended, rejected } = evaluateRules(result({
+    format: 'NetCDF',
+    isCMR: true,
+    metadata: { hasTimeDimension: true, spatialType: 'raster' }
+  }));
+
+  expect(names(recommended)).toEqual(['titiler-cmr']);
+  expect(recommended[0].reason).toContain('time dimension');
+  expect(rejected.find(entry => entry.name === 'titiler-multidim').reason)
+    .toBe('CMR collections are served through titiler-cmr');
+});
+
+test('COGs go to titiler-pgstac and GeoTIFFs to conversion', () => {
+  expect(names(evaluateRules(result({})).recommended)).toEqual(['titiler-pgstac']);
+
+  const { recommended, rejected } = evaluateRules(result({ format: 'GeoTIFF', isValid: false }));
+  expect(names(recommended)).toEqual(['conversion']);
+  expect(rejected.find(entry => entry.name === 'titiler-pgstac').reason).toContain('not cloud optimized');
+});
+
+test('gridded files need a time dimension for titiler-multidim', () => {
+  const withTime = evaluateRules(result({ format: 'NetCDF', metadata: { hasTimeDimension: true, spatialType: 'raster' } }));
+  expect(names(withTime.recommended)).toEqual(['titiler-multidim']);
+
+  const withoutTime = evaluateRules(result({ format: 'HDF5' }));
+  expect(names(withoutTime.recommended)).toEqual(['conversion']);
+  expect(withoutTime.rejected.find(entry => entry.name === 'titiler-multidim').reason)
+    .toBe('HDF5 has no time dimension; a single 2D grid is better served as a COG');
+});
+
+test('Zarr goes to titiler-multidim with or without time', () => {
+  expect(names(evaluateRules(result({ format: 'Zarr' })).recommended)).toEqual(['titiler-multidim']);
+  expect(names(evaluateRules(result({ format: 'Virtual Zarr' })).recommended)).toEqual(['titiler-multidim']);
+});
+
+test('vector data goes to tipg unless Parquet lacks geo metadata', () => {
+  const vector = { metadata: { hasTimeDimension: false, spatialType: 'vector' } };
+  expect(names(evaluateRules(result({ ...vector, format: 'GeoParquet', validationDetails: { parquet: {}, geo: {} } })).recommended))
+    .toEqual(['tipg']);
+
+  const plain = evaluateRules(result({ ...vector, format: 'GeoParquet', validationDetails: { parquet: {}, geo: null } }));
+  expect(names(plain.recommended)).toEqual(['conversion']);
+  expect(plain.rejected.find(entry => entry.name === 'tipg').reason).toContain('no "geo" metadata');
+});
+
+test('every service is either recommended or rejected with a reason', () => {
+  const { recommended, rejected } = evaluateRules(result({ format: 'Unknown' }));
+  expect(recommended).toEqual([]);
+  expect(rejected).toHaveLength(5);
+  rejected.forEach(entry => expect(entry.reason).toBeTruthy());
+});
@@ -0,0 +1,246 @@
+import { getTimeSeriesStatisticsQuery, getTimeSeriesStatisticsBody } from './cmr';
+import { WORLD_BOUNDS, fillTileTemplate, getCenterTile } from './geo';
+
+// Runnable client code for a recommended endpoint, built from the same URLs and
+// parameters the service cards show
+
+export const SNIPPET_LANGUAGES = [
+  { key: 'curl', label: 'curl' },
+  { key: 'python', label: 'Python' },
+  { key: 'javascript', label: 'JavaScript' },
+  { key: 'r', label: 'R' }
+];
+
+const IMAGE_EXTENSION = /\.(png|gif|jpe?g|webp)$/i;
+const R_NAME = /^[A-Za-z.][A-Za-z0-9._]*$/;
+
+// What an endpoint asks for, independent of the language: a tile layer, a GET returning JSON
+// or an image, or a POST with a GeoJSON body. Null when there is nothing to call yet.
+export const getEndpointRequest = (endpoint) => {
+  if (endpoint.isPostRequest) {
+    if (!endpoint.postParams) return null;
+    const query = getTimeSeriesStatisticsQuery(endpoint.postParams);
+    const base = `${endpoint.base}timeseries/statistics`;
+    return {
+      kind: 'post',
+      base,
+      query,
+      url: `${base}?${new URLSearchParams(query).toString()}`,
+      body: getTimeSeriesStatisticsBody(endpoint.postParams)
+    };
+  }
+
+  const [base, search = ''] = endpoint.exampleUrl.split('?');
+  const query = Object.fromEntries(new URLSearchParams(search));
+  if (endpoint.showTileMap) {
+    return { kind: 'tiles', base, query, url: endpoint.exampleUrl };
+  }
+
+  const image = base.match(IMAGE_EXTENSION);
+  return image
+    ? { kind: 'image', base, query, url: endpoint.exampleUrl, extension: image[1].toLowerCase() }
+    : { kind: 'json', base, query, url: endpoint.exampleUrl };
+};
+
+const quote = (value) => JSON.stringify(String(value));
+const shellQuote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+const rRawString = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Python literal for JSON-like values; nested containers are indented by 4 spaces per level
+const toPython = (value, indent = 0) => {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value !== 'object') return JSON.stringify(value);
+
+  const inner = ' '.repeat(indent + 4);
+  const outer = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return `[${value.map(item => toPython(item)).join(', ')}]`;
+    }
+    return `[\n${value.map(item => `${inner}${toPython(item, indent + 4)},`).join('\n')}\n${outer}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${quote(key)}: ${toPython(item, indent + 4)},`).join('\n')}\n${outer}}`;
+};
+
+const getOutputFileName = (endpoint, request) => `${endpoint.name}.${request.extension}`;
+
+const getMapBounds = (bounds) => {
+  const [west, south, east, north] = bounds || WORLD_BOUNDS;
+  // Web Mercator maps stop at +-85.05 degrees
+  return [west, Math.max(south, WORLD_BOUNDS[1]), east, Math.min(north, WORLD_BOUNDS[3])];
+};
+
+const buildCurl = (endpoint, request, bounds) => {
+  switch (request.kind) {
+    case 'tiles': {
+      const { z, x, y } = getCenterTile(bounds);
+      return [
+        `# Tile ${z}/${x}/${y}, at the center of the dataset`,
+        `curl -s -o tile.png ${shellQuote(fillTileTemplate(request.url, z, x, y))}`
+      ].join('\n');
+    }
+    case 'image':
+      return `curl -s -o ${getOutputFileName(endpoint, request)} ${shellQuote(request.url)}`;
+    case 'post':
+      return [
+        `curl -s -X POST ${shellQuote(request.url)} \\`,
+        `  -H 'Content-Type: application/json' \\`,
+        `  -d ${shellQuote(JSON.stringify(request.body, null, 2))}`
+      ].join('\n');
+    default:
+      return `curl -s ${shellQuote(request.url)}`;
+  }
+};
+
+const buildPython = (endpoint, request, bounds) => {
+  if (request.kind === 'tiles') {
+    const [west, south, east, north] = getMapBounds(bounds);
+    return [
+      'import folium',
+      '',
+      `tiles = ${quote(request.url)}`,
+      '',
+      'm = folium.Map()',
+      `folium.TileLayer(tiles=tiles, attr="VEDA", name=${quote(endpoint.title)}, overlay=True).add_to(m)`,
+      `m.fit_bounds([[${south}, ${west}], [${north}, ${east}]])`,
+      'm',
+      '',
+      '# Or with leafmap:',
+      '# import leafmap',
+      '# m = leafmap.Map()',
+      `# m.add_tile_layer(tiles, name=${quote(endpoint.title)}, attribution="VEDA")`
+    ].join('\n');
+  }
+
+  const hasQuery = Object.keys(request.query).length > 0;
+  const lines = ['import httpx', ''];
+  if (request.kind === 'post') {
+    lines.push(`feature = ${toPython(request.body)}`, '');
+  }
+  lines.push(
+    `response = httpx.${request.kind === 'post' ? 'post' : 'get'}(`,
+    `    ${quote(request.base)},`,
+    ...(hasQuery ? [`    params=${toPython(request.query, 4)},`] : []),
+    ...(request.kind === 'post' ? ['    json=feature,'] : []),
+    `    timeout=${request.kind === 'post' ? 120 : 60},`,
+    ')',
+    'response.raise_for_status()'
+  );
+
+  if (request.kind === 'image') {
+    lines.push('', `with open(${quote(getOutputFileName(endpoint, request))}, "wb") as f:`, '    f.write(response.content)');
+  } else {
+    lines.push('print(response.json())');
+  }
+  return lines.join('\n');
+};
+
+const buildJavaScript = (endpoint, request, bounds) => {
+  if (request.kind === 'tiles') {
+    const [west, south, east, north] = getMapBounds(bounds);
+    return [
+      'import maplibregl from "maplibre-gl";',
+      '',
+      'const map = new maplibregl.Map({',
+      '  container: "map",',
+      '  style: "https://demotiles.maplibre.org/style.json",',
+      `  bounds: [[${west}, ${south}], [${east}, ${north}]]`,
+      '});',
+      '',
+      'map.on("load", () => {',
+      '  map.addSource("veda", {',
+      '    type: "raster",',
+      `    tiles: [${quote(request.url)}],`,
+      '    tileSize: 256',
+      '  });',
+      '  map.addLayer({ id: "veda", type: "raster", source: "veda" });',
+      '});'
+    ].join('\n');
+  }
+
+  const lines = [];
+  if (request.kind === 'post') {
+    lines.push(
+      `const feature = ${JSON.stringify(request.body, null, 2)};`,
+      '',
+      `const response = await fetch(${quote(request.url)}, {`,
+      '  method: "POST",',
+      '  headers: { "Content-Type": "application/json" },',
+      '  body: JSON.stringify(feature)',
+      '});'
+    );
+  } else {
+    lines.push(`const response = await fetch(${quote(request.url)});`);
+  }
+  lines.push(
+    'if (!response.ok) {',
+    '  throw new Error("Request failed with " + response.status);',
+    '}'
+  );
+
+  if (request.kind === 'image') {
+    lines.push(
+      '',
+      'const image = document.createElement("img");',
+      'image.src = URL.createObjectURL(await response.blob());',
+      'document.body.appendChild(image);'
+    );
+  } else {
+    lines.push('const data = await response.json();', 'console.log(data);');
+  }
+  return lines.join('\n');
+};
+
+const buildR = (endpoint, request, bounds) => {
+  if (request.kind === 'tiles') {
+    const [west, south, east, north] = getMapBounds(bounds);
+    return [
+      'library(leaflet)',
+      '',
+      `tiles <- ${quote(request.url)}`,
+      '',
+      'leaflet() |>',
+      '  addTiles() |>',
+      `  addTiles(urlTemplate = tiles, attribution = "VEDA", group = ${quote(endpoint.title)}) |>`,
+      `  fitBounds(${west}, ${south}, ${east}, ${north})`
+    ].join('\n');
+  }
+
+  const queryArgs = Object.entries(request.query)
+    .map(([key, value]) => `    ${R_NAME.test(key) ? key : `\`${key}\``} = ${quote(value)}`);
+  const lines = ['library(httr2)', ''];
+  if (request.kind === 'post') {
+    lines.push(`feature <- ${rRawString(JSON.stringify(request.body, null, 2))}`, '');
+  }
+  lines.push(`response <- request(${quote(request.base)}) |>`);
+  if (queryArgs.length > 0) {
+    lines.push('  req_url_query(', queryArgs.join(',\n'), '  ) |>');
+  }
+  if (request.kind === 'post') {
+    lines.push('  req_body_raw(feature, type = "application/json") |>');
+  }
+
+  if (request.kind === 'image') {
+    lines.push(`  req_perform(path = ${quote(getOutputFileName(endpoint, request))})`);
+  } else {
+    lines.push('  req_perform()', '', 'data <- resp_body_json(response)', 'str(data)');
+  }
+  return lines.join('\n');
+};
+
+const BUILDERS = {
+  curl: buildCurl,
+  python: buildPython,
+  javascript: buildJavaScript,
+  r: buildR
+};
+
+// Code for one endpoint in one language; null when the endpoint can't be called yet
+// (e.g. time series statistics before the parameters are set)
+export const buildSnippet = (language, endpoint, bounds = null) => {
+  const request = getEndpointRequest(endpoint);
+  return request ? BUILDERS[language](endpoint, request, bounds) : null;
+};
@@ -0,0 +1,116 @@
+import { getEndpointRequest, buildSnippet } from './snippets';
+
+const tilesEndpoint = {
+  name: 'visualization',
+  title: 'Visualization',
+  base: 'https://openveda.cloud/api/raster/',
+  exampleUrl: 'https://openveda.cloud/api/raster/cog/tiles/WebMercatorQuad/{z}/{x}/{y}.png?url=s3%3A%2F%2Fbucket%2Fa.tif',
+  showTileMap: true
+};
+
+const statisticsEndpoint = {
+  name: 'statistics',
+  title: 'Statistics',
+  base: 'https://openveda.cloud/api/raster/',
+  exampleUrl: 'https://openveda.cloud/api/raster/cog/statistics?url=s3%3A%2F%2Fbucket%2Fa.tif'
+};
+
+const postParams = {
+  concept_id: 'C2036881735-POCLOUD',
+  datetime: '2020-01-01T00:00:00Z/2020-01-11T00:00:00Z',
+  variable: 'analysed_sst',
+  bbox: [-10, 20, 10, 40],
+  step: 'P1D'
+};
+
+const postEndpoint = {
+  name: 'time-series-statistics',
+  title: 'Time Series Statistics',
+  base: 'https://staging.openveda.cloud/api/titiler-cmr/',
+  exampleUrl: 'POST to: https://staging.openveda.cloud/api/titiler-cmr/timeseries/statistics',
+  isPostRequest: true,
+  postParams
+};
+
+test('getEndpointRequest classifies tiles, JSON, images and POST requests', () => {
+  expect(getEndpointRequest(tilesEndpoint).kind).toBe('tiles');
+  expect(getEndpointRequest(statisticsEndpoint)).toEqual({
+    kind: 'json',
+    base: 'https://openveda.cloud/api/raster/cog/statistics',
+    query: { url: 's3://bucket/a.tif' },
+    url: statisticsEndpoint.exampleUrl
+  });
+  expect(getEndpointRequest({ ...statisticsEndpoint, exampleUrl: 'https://x/timeseries/bbox/1,2,3,4.gif?concept_id=C1-P' }))
+    .toMatchObject({ kind: 'image', extension: 'gif' });
+
+  const post = getEndpointRequest(postEndpoint);
+  expect(post.url).toBe(
+    'https://staging.openveda.cloud/api/titiler-cmr/timeseries/statistics?concept_id=C2036881735-POCLOUD' +
+    '&datetime=2020-01-01T00%3A00%3A00Z%2F2020-01-11T00%3A00%3A00Z&temporal_mode=interval&variable=analysed_sst&backend=xarray&step=P1D'
+  );
+  expect(post.body.bbox).toEqual([-10, 20, 10, 40]);
+  const aoi = { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } };
+  expect(getEndpointRequest({ ...postEndpoint, postParams: { ...postParams, aoi } }).body).toBe(aoi);
+  expect(getEndpointRequest({ ...postEndpoint, postParams: null })).toBeNull();
+});
+
+test('tile snippets fill a real tile for curl and keep the template for maps', () => {
+  expect(buildSnippet('curl', tilesEndpoint, [88, 20, 92, 26])).toBe([
+    '# Tile 5/24/13, at the center of the dataset',
+    "curl -s -o tile.png 'https://openveda.cloud/api/raster/cog/tiles/WebMercatorQuad/5/24/13.png?url=s3%3A%2F%2Fbucket%2Fa.tif'"
+  ].join('\n'));
+
+  const python = buildSnippet('python', tilesEndpoint, [88, 20, 92, 26]);
+  expect(python).toContain(`tiles = "${tilesEndpoint.exampleUrl}"`);
+  expect(python).toContain('m.fit_bounds([[20, 88], [26, 92]])');
+
+  const javascript = buildSnippet('javascript', tilesEndpoint, null);
+  expect(javascript).toContain('bounds: [[-180, -85.0511], [180, 85.0511]]');
+  expect(javascript).toContain(`tiles: ["${tilesEndpoint.exampleUrl}"]`);
+
+  expect(buildSnippet('r', tilesEndpoint, [88, 20, 92, 26])).toContain('fitBounds(88, 20, 92, 26)');
+});
+
+test('GET snippets pass decoded query parameters to the client', () => {
+  expect(buildSnippet('python', statisticsEndpoint)).toBe([
+    'import httpx',
+    '',
+    'response = httpx.get(',
+    '    "https://openveda.cloud/api/raster/cog/statistics",',
+    '    params={',
+    '        "url": "s3://bucket/a.tif",',
+    '    },',
+    '    timeout=60,',
+    ')',
+    'response.raise_for_status()',
+    'print(response.json())'
+  ].join('\n'));
+
+  expect(buildSnippet('r', statisticsEndpoint)).toBe([
+    'library(httr2)',
+    '',
+    'response <- request("https://openveda.cloud/api/raster/cog/statistics") |>',
+    '  req_url_query(',
+    '    url = "s3://bucket/a.tif"',
+    '  ) |>',
+    '  req_perform()',
+    '',
+    'data <- resp_body_json(response)',
+    'str(data)'
+  ].join('\n'));
+});
+
+test('POST snippets include the GeoJSON body', () => {
+  const python = buildSnippet('python', postEndpoint);
+  expect(python).toContain('feature = {\n    "type": "Feature",\n    "bbox": [-10, 20, 10, 40],\n    "properties": {},');
+  expect(python).toContain('    json=feature,');
+  expect(python).toContain('        "temporal_mode": "interval",');
+
+  const curl = buildSnippet('curl', postEndpoint);
+  expect(curl).toMatch(/^curl -s -X POST 'https:\/\/staging\.openveda\.cloud\/api\/titiler-cmr\/timeseries\/statistics\?concept_id=/);
+  expect(curl).toContain("-d '{\n  \"type\": \"Feature\"");
+
+  expect(buildSnippet('javascript', postEndpoint)).toContain('method: "POST"');
+  expect(buildSnippet('r', postEndpoint)).toContain('req_body_raw(feature, type = "application/json")');
+  expect(buildSnippet('python', { ...postEndpoint, postParams: null })).toBeNull();
+});
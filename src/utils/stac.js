@@ -0,0 +1,222 @@
+import { getDatasetBounds } from './geo';
+import { formatDatetime, getCMRTemporalExtent, getCMRVariables } from './cmr';
+import { isAuxiliaryVariable } from './multidim';
+import { getDatasetUrl } from './zarr';
+
+export const STAC_VERSION = '1.0.0';
+
+export const EXTENSION_URLS = {
+  projection: 'https://stac-extensions.github.io/projection/v1.1.0/schema.json',
+  raster: 'https://stac-extensions.github.io/raster/v1.1.0/schema.json',
+  datacube: 'https://stac-extensions.github.io/datacube/v2.2.0/schema.json'
+};
+
+const MEDIA_TYPES = {
+  'COG': 'image/tiff; application=geotiff; profile=cloud-optimized',
+  'GeoTIFF': 'image/tiff; application=geotiff',
+  'NetCDF': 'application/netcdf',
+  'HDF5': 'application/x-hdf5',
+  'GRIB': 'application/wmo-GRIB2',
+  'Zarr': 'application/vnd+zarr',
+  'Virtual Zarr': 'application/json',
+  'GeoParquet': 'application/vnd.apache.parquet',
+  'GeoJSON': 'application/geo+json'
+};
+
+const RASTER_DATA_TYPES = [
+  'int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64',
+  'float16', 'float32', 'float64', 'cint16', 'cint32', 'cfloat32', 'cfloat64'
+];
+
+const X_DIMENSIONS = ['x', 'lon', 'longitude'];
+const Y_DIMENSIONS = ['y', 'lat', 'latitude'];
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// "s3://bucket/MODIS_LC_2001_BD_v2.cog.tif" -> "MODIS_LC_2001_BD_v2"
+export const stripExtension = (name) => name.replace(/\/+$/, '').split('/').pop().split('?')[0].replace(/(\.[a-z0-9]+)+$/i, '');
+
+const bboxToPolygon = ([minx, miny, maxx, maxy]) => ({
+  type: 'Polygon',
+  coordinates: [[[minx, miny], [maxx, miny], [maxx, maxy], [minx, maxy], [minx, miny]]]
+});
+
+// Many VEDA files carry their date in the name, e.g. MODIS_LC_2001_BD_v2.cog.tif or sst_20200115.nc.
+// Returns the matched text, its position and the date parts; month and day are optional.
+export const findDateInName = (name) => {
+  const match = name.match(/(?<![0-9])((?:19|20)\d{2})(?:[-_]?(0[1-9]|1[0-2])(?:[-_]?(0[1-9]|[12]\d|3[01]))?)?(?![0-9])/);
+  if (!match) return null;
+  const [text, year, month = null, day = null] = match;
+  return { text, index: match.index, year, month, day };
+};
+
+export const guessDatetimeFromName = (name) => {
+  const date = findDateInName(name);
+  if (!date) return null;
+  return `${date.year}-${date.month || '01'}-${date.day || '01'}T00:00:00Z`;
+};
+
+const normalizeDataType = (dtype) => (RASTER_DATA_TYPES.includes(dtype) ? dtype : 'other');
+
+// rio-cogeo info returned by /cog/validate
+const getCogProjection = (details) => {
+  const geo = details.GEO || {};
+  const profile = details.Profile || {};
+  const projection = {};
+
+  const epsg = typeof geo.CRS === 'string' && geo.CRS.match(/^EPSG:(\d+)$/);
+  if (epsg) projection['proj:epsg'] = Number(epsg[1]);
+  if (Array.isArray(geo.BoundingBox)) projection['proj:bbox'] = geo.BoundingBox;
+  if (profile.Height && profile.Width) projection['proj:shape'] = [profile.Height, profile.Width];
+  if (Array.isArray(geo.Origin) && Array.isArray(geo.Resolution)) {
+    const [resX, resY] = geo.Resolution;
+    projection['proj:transform'] = [resX, 0, geo.Origin[0], 0, -Math.abs(resY), geo.Origin[1]];
+  }
+  return projection;
+};
+
+const getCogBands = (details) => {
+  const profile = details.Profile || {};
+  return Array.from({ length: profile.Bands || 1 }, (_, index) => {
+    const band = { data_type: normalizeDataType(profile.Dtype) };
+    if (typeof profile.Nodata === 'number') band.nodata = profile.Nodata;
+    if (Array.isArray(profile.Scales) && profile.Scales[index] !== 1) band.scale = profile.Scales[index];
+    if (Array.isArray(profile.Offsets) && profile.Offsets[index] !== 0) band.offset = profile.Offsets[index];
+    return band;
+  });
+};
+
+const getDimensionNames = (dimensions) => {
+  if (!dimensions) return [];
+  return Array.isArray(dimensions) ? dimensions : Object.keys(dimensions);
+};
+
+const getCubeDimensions = (names, bounds, temporalExtent) => {
+  const dimensions = {};
+  names.forEach(name => {
+    const lower = name.toLowerCase();
+    if (X_DIMENSIONS.includes(lower) && bounds) {
+      dimensions[name] = { type: 'spatial', axis: 'x', extent: [bounds[0], bounds[2]], reference_system: 4326 };
+    } else if (Y_DIMENSIONS.includes(lower) && bounds) {
+      dimensions[name] = { type: 'spatial', axis: 'y', extent: [bounds[1], bounds[3]], reference_system: 4326 };
+    } else if (lower === 'time') {
+      dimensions[name] = {
+        type: 'temporal',
+        extent: [temporalExtent ? temporalExtent.start : null, temporalExtent ? temporalExtent.end : null]
+      };
+    } else if (!X_DIMENSIONS.includes(lower) && !Y_DIMENSIONS.includes(lower)) {
+      dimensions[name] = { type: 'other' };
+    }
+  });
+  return dimensions;
+};
+
+const getExampleAsset = (details) => {
+  const assets = details && details.example_assets;
+  if (typeof assets === 'string') return assets;
+  if (Array.isArray(assets)) return assets[0] || null;
+  if (assets && typeof assets === 'object') return Object.keys(assets)[0] || null;
+  return null;
+};
+
+// Builds a draft Collection and sample Item from a validation result.
+// `notes` lists what the draft could not derive and must be filled in by hand.
+export const buildStacDraft = ({ fileData, validationResult, generatedAt = new Date() }) => {
+  const { format, isCMR } = validationResult;
+  const details = validationResult.validationDetails || {};
+  const notes = [];
+
+  const bounds = getDatasetBounds(validationResult);
+  if (!bounds) {
+    notes.push('No geographic bounds were found; the spatial extent is a whole-world placeholder and the Item has no geometry.');
+  }
+
+  const temporalExtent = isCMR ? getCMRTemporalExtent(details) : null;
+  const itemName = isCMR ? stripExtension(getExampleAsset(details) || validationResult.conceptId) : stripExtension(fileData.fileName || fileData.s3Url);
+  const collectionId = slugify(isCMR ? validationResult.conceptId : itemName) || 'collection';
+  const itemId = itemName || collectionId;
+
+  let datetime = temporalExtent ? temporalExtent.start : guessDatetimeFromName(itemName);
+  if (!datetime) {
+    datetime = formatDatetime(generatedAt);
+    notes.push('No date was found for the Item; its datetime is the time the draft was generated.');
+  }
+  if (!temporalExtent) {
+    notes.push('The Collection temporal extent is open-ended; set it to the dataset\'s real time range.');
+  }
+
+  const collectionExtensions = [];
+  const itemExtensions = [];
+  const collectionFields = {};
+  const itemProperties = { datetime };
+  const asset = {
+    href: isCMR ? getExampleAsset(details) || `https://cmr.earthdata.nasa.gov/search/concepts/${validationResult.conceptId}.html` : getDatasetUrl(fileData.s3Url, format),
+    type: MEDIA_TYPES[format] || 'application/octet-stream',
+    title: itemId,
+    roles: ['data']
+  };
+
+  if (format === 'COG' && !isCMR && details.Profile) {
+    Object.assign(itemProperties, getCogProjection(details));
+    asset['raster:bands'] = getCogBands(details);
+    itemExtensions.push(EXTENSION_URLS.projection, EXTENSION_URLS.raster);
+  }
+
+  // Gridded data: describe it as a datacube on the Collection
+  const variables = isCMR ? getCMRVariables(details) : details._allVariables || [];
+  const dimensionNames = getDimensionNames(details.dimensions);
+  if (variables.length > 0 && dimensionNames.length > 0) {
+    const cubeVariables = {};
+    variables.filter(name => !isAuxiliaryVariable(name)).forEach(name => {
+      cubeVariables[name] = { dimensions: dimensionNames, type: 'data' };
+    });
+
+    collectionFields['cube:dimensions'] = getCubeDimensions(dimensionNames, bounds, temporalExtent);
+    collectionFields['cube:variables'] = cubeVariables;
+    collectionExtensions.push(EXTENSION_URLS.datacube);
+    notes.push(`All data variables are assumed to share the dimensions ${dimensionNames.join(', ')}; check each one.`);
+  }
+
+  const collection = {
+    type: 'Collection',
+    stac_version: STAC_VERSION,
+    stac_extensions: collectionExtensions,
+    id: collectionId,
+    title: itemId,
+    description: `Draft collection for ${isCMR ? validationResult.conceptId : fileData.s3Url}, generated by the VEDA Data Advisor.`,
+    license: 'proprietary',
+    extent: {
+      spatial: { bbox: [bounds || [-180, -90, 180, 90]] },
+      temporal: { interval: [[temporalExtent ? temporalExtent.start : null, temporalExtent ? temporalExtent.end : null]] }
+    },
+    links: [
+      { rel: 'self', href: './collection.json', type: 'application/json' },
+      { rel: 'item', href: `./${itemId}.json`, type: 'application/geo+json' }
+    ],
+    ...collectionFields
+  };
+
+  if (isCMR) {
+    // Concept IDs end with the provider, e.g. C2036881735-POCLOUD
+    collection.providers = [{ name: validationResult.conceptId.split('-').pop(), roles: ['host'] }];
+  }
+  notes.push('The license is set to "proprietary"; replace it with the dataset\'s SPDX license id.');
+
+  const item = {
+    type: 'Feature',
+    stac_version: STAC_VERSION,
+    stac_extensions: itemExtensions,
+    id: itemId,
+    collection: collectionId,
+    geometry: bounds ? bboxToPolygon(bounds) : null,
+    ...(bounds ? { bbox: bounds } : {}),
+    properties: itemProperties,
+    links: [
+      { rel: 'collection', href: './collection.json', type: 'application/json' },
+      { rel: 'parent', href: './collection.json', type: 'application/json' }
+    ],
+    assets: { data: asset }
+  };
+
+  return { collection, item, notes };
+};
@@ -0,0 +1,118 @@
+import { buildStacDraft, guessDatetimeFromName, EXTENSION_URLS } from './stac';
+
+const generatedAt = new Date('2024-05-01T12:00:00Z');
+
+const cogResult = {
+  format: 'COG',
+  isCMR: false,
+  metadata: { hasTimeDimension: false },
+  validationDetails: {
+    COG: true,
+    GEO: {
+      CRS: 'EPSG:4326',
+      BoundingBox: [88, 20, 92, 26],
+      Origin: [88, 26],
+      Resolution: [0.005, -0.005]
+    },
+    Profile: { Bands: 1, Width: 800, Height: 1200, Dtype: 'uint8', Nodata: 0 }
+  }
+};
+
+test('guessDatetimeFromName reads years and compact dates', () => {
+  expect(guessDatetimeFromName('MODIS_LC_2001_BD_v2')).toBe('2001-01-01T00:00:00Z');
+  expect(guessDatetimeFromName('sst_20200115')).toBe('2020-01-15T00:00:00Z');
+  expect(guessDatetimeFromName('sst-2020-03')).toBe('2020-03-01T00:00:00Z');
+  expect(guessDatetimeFromName('tile_123456789')).toBeNull();
+});
+
+test('COG drafts carry projection and raster metadata', () => {
+  const { collection, item } = buildStacDraft({
+    fileData: { s3Url: 's3://veda-data-store/landcover/MODIS_LC_2001_BD_v2.cog.tif', fileName: 'MODIS_LC_2001_BD_v2.cog.tif' },
+    validationResult: cogResult,
+    generatedAt
+  });
+
+  expect(item.id).toBe('MODIS_LC_2001_BD_v2');
+  expect(item.collection).toBe('modis-lc-2001-bd-v2');
+  expect(item.bbox).toEqual([88, 20, 92, 26]);
+  expect(item.properties).toEqual({
+    datetime: '2001-01-01T00:00:00Z',
+    'proj:epsg': 4326,
+    'proj:bbox': [88, 20, 92, 26],
+    'proj:shape': [1200, 800],
+    'proj:transform': [0.005, 0, 88, 0, -0.005, 26]
+  });
+  expect(item.assets.data['raster:bands']).toEqual([{ data_type: 'uint8', nodata: 0 }]);
+  expect(item.stac_extensions).toEqual([EXTENSION_URLS.projection, EXTENSION_URLS.raster]);
+  expect(collection.extent.spatial.bbox).toEqual([[88, 20, 92, 26]]);
+});
+
+test('NetCDF drafts describe the datacube on the collection', () => {
+  const { collection, item, notes } = buildStacDraft({
+    fileData: { s3Url: 's3://bucket/precip.nc', fileName: 'precip.nc' },
+    validationResult: {
+      format: 'NetCDF',
+      isCMR: false,
+      metadata: { hasTimeDimension: true },
+      validationDetails: {
+        bounds: [-180, -90, 180, 90],
+        dimensions: { time: 12, lat: 180, lon: 360 },
+        _variableUsed: 'precipitation',
+        _allVariables: ['precipitation', 'time_bnds', 'lat', 'lon']
+      }
+    },
+    generatedAt
+  });
+
+  expect(collection.stac_extensions).toEqual([EXTENSION_URLS.datacube]);
+  expect(collection['cube:dimensions']).toEqual({
+    time: { type: 'temporal', extent: [null, null] },
+    lat: { type: 'spatial', axis: 'y', extent: [-90, 90], reference_system: 4326 },
+    lon: { type: 'spatial', axis: 'x', extent: [-180, 180], reference_system: 4326 }
+  });
+  expect(Object.keys(collection['cube:variables'])).toEqual(['precipitation']);
+  expect(item.properties.datetime).toBe('2024-05-01T12:00:00Z');
+  expect(notes.some(note => note.includes('datetime is the time the draft was generated'))).toBe(true);
+});
+
+test('CMR drafts use the collection temporal extent and provider', () => {
+  const { collection, item } = buildStacDraft({
+    fileData: { s3Url: 'C2036881735-POCLOUD' },
+    validationResult: {
+      format: 'NetCDF',
+      isCMR: true,
+      conceptId: 'C2036881735-POCLOUD',
+      metadata: { hasTimeDimension: true },
+      validationDetails: {
+        coordinates: { lat: { min: -90, max: 90 }, lon: { min: -180, max: 180 } },
+        datetime: [{ RangeDateTimes: [{ BeginningDateTime: '2002-06-01T00:00:00Z' }] }],
+        variables: { analysed_sst: {} },
+        example_assets: 's3://podaac/20020601090000-JPL-L4_GHRSST-SSTfnd-MUR-GLOB-v02.0-fv04.1.nc'
+      }
+    },
+    generatedAt
+  });
+
+  expect(collection.id).toBe('c2036881735-pocloud');
+  expect(collection.providers).toEqual([{ name: 'POCLOUD', roles: ['host'] }]);
+  expect(collection.extent.temporal.interval).toEqual([['2002-06-01T00:00:00Z', null]]);
+  expect(item.properties.datetime).toBe('2002-06-01T00:00:00Z');
+  expect(item.assets.data.href).toBe('s3://podaac/20020601090000-JPL-L4_GHRSST-SSTfnd-MUR-GLOB-v02.0-fv04.1.nc');
+});
+
+test('projected data gets no geometry and a placeholder extent', () => {
+  const { collection, item, notes } = buildStacDraft({
+    fileData: { s3Url: 's3://bucket/utm.tif', fileName: 'utm.tif' },
+    validationResult: {
+      ...cogResult,
+      validationDetails: { ...cogResult.validationDetails, GEO: { CRS: 'EPSG:32633', BoundingBox: [500000, 4000000, 600000, 4100000] } }
+    },
+    generatedAt
+  });
+
+  expect(item.geometry).toBeNull();
+  expect(item.bbox).toBeUndefined();
+  expect(item.properties['proj:bbox']).toEqual([500000, 4000000, 600000, 4100000]);
+  expect(collection.extent.spatial.bbox).toEqual([[-180, -90, 180, 90]]);
+  expect(notes[0]).toMatch(/No geographic bounds/);
+});
@@ -0,0 +1,105 @@
+// Helpers for the titiler-cmr time series statistics response, where
+// `properties.statistics` maps each datetime to { min, max, mean, median, std, count, ... }.
+
+export const SERIES_STATISTICS = [
+  { key: 'mean', label: 'Mean', color: '#3182ce' },
+  { key: 'median', label: 'Median', color: '#805ad5' },
+  { key: 'min', label: 'Min', color: '#e53e3e' },
+  { key: 'max', label: 'Max', color: '#38a169' },
+  { key: 'std', label: 'Std', color: '#dd6b20' }
+];
+
+export const DEFAULT_SERIES_STATISTICS = ['mean'];
+
+// Series with at least this many dates get brush-to-zoom
+export const BRUSH_MIN_POINTS = 12;
+
+const CSV_COLUMNS = ['min', 'max', 'mean', 'median', 'std', 'count', 'valid_percent'];
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// One point per datetime, sorted by time; unparseable datetimes are dropped.
+// Missing statistics are null rather than undefined so they can be skipped when plotting.
+export const parseTimeSeries = (data) => {
+  const statistics = data && data.properties && data.properties.statistics;
+  if (!statistics || typeof statistics !== 'object') return [];
+
+  return Object.entries(statistics)
+    .map(([dateStr, stats]) => ({
+      datetime: new Date(dateStr),
+      dateStr,
+      ...Object.fromEntries(CSV_COLUMNS.map(key => [key, toNumber(stats && stats[key])]))
+    }))
+    .filter(point => !Number.isNaN(point.datetime.getTime()))
+    .sort((a, b) => a.datetime - b.datetime);
+};
+
+// Statistics present for at least one date, in SERIES_STATISTICS order
+export const getAvailableStatistics = (series) => SERIES_STATISTICS
+  .filter(statistic => series.some(point => point[statistic.key] !== null));
+
+// [low, high] across the given statistics, or null when none has a value
+export const getValueExtent = (series, keys) => {
+  const values = series.flatMap(point => keys.map(key => point[key])).filter(value => value !== null);
+  if (values.length === 0) return null;
+  return [Math.min(...values), Math.max(...values)];
+};
+
+// Reference lines at the lowest, highest and average mean of the series; empty without means
+export const getMeanReferenceLines = (series) => {
+  const means = series.map(point => point.mean).filter(value => value !== null);
+  if (means.length === 0) return [];
+  return [
+    { label: 'Min', value: Math.min(...means), color: '#e53e3e' },
+    { label: 'Max', value: Math.max(...means), color: '#38a169' },
+    { label: 'Mean', value: means.reduce((sum, value) => sum + value, 0) / means.length, color: '#718096' }
+  ];
+};
+
+// Points whose datetime falls within [start, end]
+export const filterByDomain = (series, domain) => {
+  if (!domain) return series;
+  const [start, end] = domain;
+  return series.filter(point => point.datetime >= start && point.datetime <= end);
+};
+
+// The point closest in time to `date`; `series` must be sorted
+export const findNearestPoint = (series, date) => {
+  if (series.length === 0) return null;
+  let low = 0;
+  let high = series.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (series[middle].datetime < date) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  const previous = series[low - 1];
+  return previous && date - previous.datetime < series[low].datetime - date ? previous : series[low];
+};
+
+// Four significant digits, without exponent notation for everyday magnitudes
+export const formatSeriesValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (value !== 0 && (Math.abs(value) >= 1e6 || Math.abs(value) < 1e-3)) return value.toExponential(3);
+  return String(Number(value.toPrecision(4)));
+};
+
+export const timeSeriesToCsv = (series) => {
+  const rows = series.map(point => [
+    point.dateStr,
+    ...CSV_COLUMNS.map(key => (point[key] === null ? '' : point[key]))
+  ].join(','));
+  return [['datetime', ...CSV_COLUMNS].join(','), ...rows].join('\n');
+};
+
+// e.g. C2723754864-GES_DISC_precipitation_timeseries.csv
+export const getTimeSeriesFileName = (params, extension) => {
+  const name = [params && params.concept_id, params && params.variable]
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^A-Za-z0-9._-]+/g, '_');
+  return `${name || 'veda-advisor'}_timeseries.${extension}`;
+};
@@ -0,0 +1,83 @@
+import {
+  parseTimeSeries,
+  getAvailableStatistics,
+  getValueExtent,
+  getMeanReferenceLines,
+  filterByDomain,
+  findNearestPoint,
+  formatSeriesValue,
+  timeSeriesToCsv,
+  getTimeSeriesFileName
+} from './timeSeries';
+
+const response = {
+  type: 'Feature',
+  properties: {
+    statistics: {
+      '2020-01-03T00:00:00Z': { min: 1, max: 9, mean: 4.123456, count: 10 },
+      '2020-01-01T00:00:00Z': { min: 0, max: 5, mean: 2, median: 2, count: 10 },
+      'not a date': { mean: 100 },
+      '2020-01-02T00:00:00Z': { min: 0.5, max: 7, mean: 3, count: 10 }
+    }
+  }
+};
+
+test('parseTimeSeries sorts dates and drops unparseable ones', () => {
+  const series = parseTimeSeries(response);
+  expect(series.map(point => point.dateStr)).toEqual(['2020-01-01T00:00:00Z', '2020-01-02T00:00:00Z', '2020-01-03T00:00:00Z']);
+  expect(series[0]).toMatchObject({ min: 0, max: 5, mean: 2, median: 2, std: null });
+  expect(parseTimeSeries({})).toEqual([]);
+  expect(parseTimeSeries(null)).toEqual([]);
+});
+
+test('getAvailableStatistics and getValueExtent only consider statistics with values', () => {
+  const series = parseTimeSeries(response);
+  expect(getAvailableStatistics(series).map(statistic => statistic.key)).toEqual(['mean', 'median', 'min', 'max']);
+  expect(getValueExtent(series, ['mean'])).toEqual([2, 4.123456]);
+  expect(getValueExtent(series, ['min', 'max'])).toEqual([0, 9]);
+  expect(getValueExtent(series, ['std'])).toBeNull();
+});
+
+test('getMeanReferenceLines marks the lowest, highest and average mean', () => {
+  const lines = getMeanReferenceLines(parseTimeSeries(response));
+  expect(lines.map(line => line.label)).toEqual(['Min', 'Max', 'Mean']);
+  expect(lines[0].value).toBe(2);
+  expect(lines[1].value).toBe(4.123456);
+  expect(lines[2].value).toBeCloseTo(3.041152);
+  expect(getMeanReferenceLines(parseTimeSeries({ properties: { statistics: { '2020-01-01T00:00:00Z': { min: 1 } } } }))).toEqual([]);
+});
+
+test('filterByDomain and findNearestPoint work on datetimes', () => {
+  const series = parseTimeSeries(response);
+  const domain = [new Date('2020-01-02T00:00:00Z'), new Date('2020-01-03T00:00:00Z')];
+  expect(filterByDomain(series, domain)).toHaveLength(2);
+  expect(filterByDomain(series, null)).toBe(series);
+
+  expect(findNearestPoint(series, new Date('2020-01-01T20:00:00Z')).dateStr).toBe('2020-01-02T00:00:00Z');
+  expect(findNearestPoint(series, new Date('2020-01-02T05:00:00Z')).dateStr).toBe('2020-01-02T00:00:00Z');
+  expect(findNearestPoint(series, new Date('2021-01-01T00:00:00Z')).dateStr).toBe('2020-01-03T00:00:00Z');
+  expect(findNearestPoint([], new Date())).toBeNull();
+});
+
+test('formatSeriesValue rounds to four significant digits', () => {
+  expect(formatSeriesValue(4.123456)).toBe('4.123');
+  expect(formatSeriesValue(283.15000001)).toBe('283.2');
+  expect(formatSeriesValue(0)).toBe('0');
+  expect(formatSeriesValue(0.0000123)).toBe('1.230e-5');
+  expect(formatSeriesValue(null)).toBe('—');
+});
+
+test('timeSeriesToCsv writes one row per date with empty cells for missing values', () => {
+  expect(timeSeriesToCsv(parseTimeSeries(response)).split('\n')).toEqual([
+    'datetime,min,max,mean,median,std,count,valid_percent',
+    '2020-01-01T00:00:00Z,0,5,2,2,,10,',
+    '2020-01-02T00:00:00Z,0.5,7,3,,,10,',
+    '2020-01-03T00:00:00Z,1,9,4.123456,,,10,'
+  ]);
+});
+
+test('getTimeSeriesFileName uses the concept ID and variable', () => {
+  expect(getTimeSeriesFileName({ concept_id: 'C1-PODAAC', variable: 'sea surface/temp' }, 'csv'))
+    .toBe('C1-PODAAC_sea_surface_temp_timeseries.csv');
+  expect(getTimeSeriesFileName(null, 'png')).toBe('veda-advisor_timeseries.png');
+});
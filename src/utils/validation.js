@@ -0,0 +1,565 @@
+import { checkAccessibility, describeAccessibility } from './access';
+import { getExtensionFormat, readHeaderBytes, detectFormat, describeFormatDetection } from './formatSniffing';
+import { fetchVariables, fetchVariableInfo, pickDefaultVariable, hasTimeDimension as hasVariableTimeDimension } from './multidim';
+import { readParquetFooter, inspectGeoMetadata, describeGeoParquet } from './geoparquet';
+import { getCogIssues, describeCogValidation } from './cog';
+import { fetchWithRetry, isAbortError, throwIfAborted } from './http';
+import {
+  ZARR_FORMATS,
+  isZarrStoreUrl,
+  getDatasetUrl,
+  checkZarrStoreAccessibility,
+  fetchZarrStructure,
+  describeZarrStructure
+} from './zarr';
+
+const noDelay = () => Promise.resolve();
+
+export const validateCOG = async (services, fileUrl, requestOptions = {}) => {
+  try {
+    const apiUrl = `${services.raster.baseUrl}cog/validate?url=${encodeURIComponent(fileUrl)}`;
+
+    const response = await fetchWithRetry(apiUrl, {}, requestOptions);
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // Check for the COG key in the response
+    const isCogValid = data.COG === true;
+
+    return {
+      isValid: isCogValid,
+      hasWarnings: getCogIssues(data).some(issue => issue.severity === 'warning'),
+      message: describeCogValidation(data),
+      details: data
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('COG Validation Error:', error);
+    throw new Error(error.message || 'Failed to validate COG');
+  }
+};
+
+export const validateNetCDF = async (services, fileUrl, requestOptions = {}) => {
+  try {
+    // Step 1: Get variables list (acts as S3 access check)
+    const variables = await fetchVariables(services.multidim.baseUrl, fileUrl, {}, requestOptions);
+
+    if (!Array.isArray(variables) || variables.length === 0) {
+      throw new Error('No variables found in NetCDF file');
+    }
+
+    // Step 2: Get info for the first renderable variable (skips bounds/coordinate variables)
+    const defaultVariable = pickDefaultVariable(variables);
+    const infoData = await fetchVariableInfo(services.multidim.baseUrl, fileUrl, defaultVariable, {}, requestOptions);
+
+    return {
+      isValid: true,
+      message: `Valid NetCDF file with ${variables.length} variable(s). Using variable: ${defaultVariable}`,
+      details: infoData,
+      variableUsed: defaultVariable,
+      allVariables: variables
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('NetCDF Validation Error:', error);
+    throw new Error(error.message || 'Failed to validate NetCDF');
+  }
+};
+
+export const validateZarr = async (services, fileUrl, format, requestOptions = {}) => {
+  const datasetUrl = getDatasetUrl(fileUrl, format);
+  const options = { reference: format === 'Virtual Zarr' };
+
+  try {
+    const variables = await fetchVariables(services.multidim.baseUrl, datasetUrl, options, requestOptions);
+
+    if (!Array.isArray(variables) || variables.length === 0) {
+      throw new Error(`No variables found in ${format} dataset`);
+    }
+
+    const defaultVariable = pickDefaultVariable(variables);
+    let infoData;
+    try {
+      infoData = await fetchVariableInfo(services.multidim.baseUrl, datasetUrl, defaultVariable, options, requestOptions);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // Non-CF time units (e.g. "months since") fail to decode; retry with raw time values
+      options.decode_times = false;
+      infoData = await fetchVariableInfo(services.multidim.baseUrl, datasetUrl, defaultVariable, options, requestOptions);
+    }
+
+    return {
+      isValid: true,
+      message: `Valid ${format} dataset with ${variables.length} variable(s). Using variable: ${defaultVariable}` +
+        (options.decode_times === false ? ' (time decoding disabled)' : ''),
+      details: infoData,
+      variableUsed: defaultVariable,
+      allVariables: variables,
+      datasetOptions: options
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Zarr Validation Error:', error);
+    throw new Error(error.message || `Failed to validate ${format}`);
+  }
+};
+
+export const validateGeoParquet = async (fileUrl, requestOptions = {}) => {
+  try {
+    const footer = await readParquetFooter(fileUrl, requestOptions);
+    const inspection = inspectGeoMetadata(footer);
+
+    return {
+      isValid: inspection.errors.length === 0,
+      hasWarnings: inspection.warnings.length > 0,
+      message: describeGeoParquet(footer, inspection),
+      details: {
+        parquet: {
+          numRows: footer.numRows,
+          rowGroups: footer.rowGroups.length,
+          columns: footer.columns,
+          createdBy: footer.createdBy
+        },
+        geo: inspection.geo
+      }
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('GeoParquet Validation Error:', error);
+    throw new Error(error.message || 'Failed to read the Parquet footer');
+  }
+};
+
+export const parseCMRConceptId = (input) => {
+  // Check if input is already a concept ID (e.g., C2036881735-POCLOUD)
+  const conceptIdPattern = /^C\d+-[A-Z_]+$/;
+  if (conceptIdPattern.test(input.trim())) {
+    return input.trim();
+  }
+
+  // Otherwise, extract concept ID from CMR URL
+  // Example: https://cmr.earthdata.nasa.gov/search/concepts/C1996881146-POCLOUD.html
+  const match = input.match(/concepts\/([^/.]+)/);
+  return match ? match[1] : null;
+};
+
+export const validateCMRCompatibility = async (services, conceptId, requestOptions = {}) => {
+  try {
+    const apiUrl = `${services.compatibility.baseUrl}compatibility?concept_id=${encodeURIComponent(conceptId)}`;
+
+    const response = await fetchWithRetry(apiUrl, {}, requestOptions);
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // Check example_assets to determine format
+    let detectedFormat = 'Unknown';
+    if (data.example_assets) {
+      let assetPath = null;
+
+      // example_assets can be a string, an object where keys are filenames, or an array
+      if (typeof data.example_assets === 'string') {
+        // Case 1: Direct string
+        assetPath = data.example_assets;
+      } else if (Array.isArray(data.example_assets) && data.example_assets.length > 0) {
+        // Case 2: Array - get first item
+        assetPath = data.example_assets[0];
+      } else if (typeof data.example_assets === 'object' && !Array.isArray(data.example_assets)) {
+        // Case 3: Object where keys are filenames - get the first key
+        const keys = Object.keys(data.example_assets);
+        if (keys.length > 0) {
+          assetPath = keys[0]; // The key itself is the filename
+        }
+      }
+
+      if (assetPath) {
+        // Remove query parameters and get just the filename
+        const filename = assetPath.split('?')[0];
+
+        // Get extension after the last period
+        const parts = filename.split('.');
+        const extension = parts[parts.length - 1].toLowerCase();
+
+        if (extension === 'tif' || extension === 'tiff') {
+          detectedFormat = 'COG';
+        } else if (extension === 'nc' || extension === 'nc4') {
+          detectedFormat = 'NetCDF';
+        } else {
+          detectedFormat = extension.toUpperCase();
+        }
+      }
+    }
+
+    // Check if dataset has time dimension
+    // Look for time dimension in the dimensions object
+    let hasTimeDimension = false;
+    if (data.dimensions && data.dimensions.time !== undefined) {
+      hasTimeDimension = true;
+    }
+
+    return {
+      isValid: true,
+      format: detectedFormat,
+      hasTimeDimension: hasTimeDimension,
+      message: `Compatible CMR dataset with ${detectedFormat} format`,
+      details: data
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('CMR Validation Error:', error);
+    throw new Error(error.message || 'Failed to validate CMR compatibility');
+  }
+};
+
+const getFormatValidationMessage = (format) => {
+  const messages = {
+    'COG': 'Valid COG structure with proper tiling',
+    'NetCDF': 'Valid NetCDF-4 format, cloud optimized',
+    'GeoParquet': 'Valid GeoParquet with spatial metadata',
+    'GRIB': 'Valid GRIB2 format detected',
+    'HDF5': 'Valid HDF5 structure',
+    'GeoJSON': 'Valid GeoJSON document',
+    'Zarr': 'Valid Zarr store',
+    'Virtual Zarr': 'Valid virtual Zarr reference'
+  };
+  return messages[format] || 'Format validated';
+};
+
+const checkCloudOptimized = (format) => {
+  return ['COG', 'NetCDF', 'GeoParquet', ...ZARR_FORMATS].includes(format);
+};
+
+const getMetadata = (format, hasTimeDimension = false) => {
+  // Placeholder metadata based on format; NetCDF and Zarr datasets report what titiler-multidim found
+  return {
+    format,
+    hasTimeDimension: ['NetCDF', ...ZARR_FORMATS].includes(format) ? hasTimeDimension : format === 'GRIB',
+    spatialType: ['GeoParquet', 'GeoJSON'].includes(format) ? 'vector' : 'raster',
+    hasMultipleBands: ['COG', 'NetCDF', 'HDF5', ...ZARR_FORMATS].includes(format)
+  };
+};
+
+
+const getValidationStatus = (result) => {
+  if (!result.isValid) return 'failed';
+  return result.hasWarnings ? 'warning' : 'completed';
+};
+
+// A failed validation is reported on its step; only cancellation ends the run
+const toFailedStep = (prefix) => (error) => {
+  if (isAbortError(error)) throw error;
+  return { status: 'failed', message: `${prefix}: ${error.message}`, changes: { isValid: false } };
+};
+
+const validateFormat = async (state, { fileData, services, requestOptions, pause }) => {
+  const format = state.detectedFormat;
+  const isS3 = fileData.type === 's3';
+  const fail = toFailedStep('Validation error');
+
+  // Actual COG validation using API; any TIFF may still turn out to be a valid COG
+  if ((format === 'COG' || format === 'GeoTIFF') && isS3) {
+    try {
+      const validationResult = await validateCOG(services, fileData.s3Url, requestOptions);
+      return {
+        status: getValidationStatus(validationResult),
+        message: validationResult.message,
+        changes: {
+          isValid: validationResult.isValid,
+          validationDetails: validationResult.details,
+          detectedFormat: validationResult.isValid ? 'COG' : 'GeoTIFF'
+        }
+      };
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  if (format === 'NetCDF' && isS3) {
+    // NetCDF validation using titiler-multidim
+    try {
+      const validationResult = await validateNetCDF(services, fileData.s3Url, requestOptions);
+      const validationDetails = {
+        ...validationResult.details,
+        _variableUsed: validationResult.variableUsed,
+        _allVariables: validationResult.allVariables
+      };
+      return {
+        status: validationResult.isValid ? 'completed' : 'failed',
+        message: validationResult.message,
+        changes: {
+          isValid: validationResult.isValid,
+          validationDetails,
+          hasTimeDimension: hasVariableTimeDimension(validationDetails)
+        }
+      };
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  if (format === 'GeoParquet' && isS3) {
+    // Read the footer and check the "geo" metadata
+    try {
+      const validationResult = await validateGeoParquet(fileData.s3Url, requestOptions);
+      return {
+        status: getValidationStatus(validationResult),
+        message: validationResult.message,
+        changes: { isValid: validationResult.isValid, validationDetails: validationResult.details }
+      };
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  if (ZARR_FORMATS.includes(format) && isS3) {
+    // Zarr stores and kerchunk references are opened by titiler-multidim as well
+    try {
+      const validationResult = await validateZarr(services, fileData.s3Url, format, requestOptions);
+      const validationDetails = {
+        ...validationResult.details,
+        _variableUsed: validationResult.variableUsed,
+        _allVariables: validationResult.allVariables,
+        _datasetOptions: validationResult.datasetOptions
+      };
+      return {
+        status: 'completed',
+        message: validationResult.message,
+        changes: {
+          isValid: validationResult.isValid,
+          validationDetails,
+          hasTimeDimension: hasVariableTimeDimension(validationDetails)
+        }
+      };
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  // For other formats, use simulated validation
+  await pause(2000);
+  return { status: 'completed', message: getFormatValidationMessage(format) };
+};
+
+// Each step reads the state left by the steps before it and resolves with
+// { status, message, changes, stop }: `changes` are merged into the state and `stop` ends the run.
+// `pauseBefore` / `pauseRunning` pace the interactive wizard; `retryable` steps call remote
+// services and can be re-run on their own.
+const CMR_STEPS = [
+  {
+    name: () => 'Parse CMR Concept ID',
+    pauseRunning: 500,
+    run: async (state, { fileData }) => {
+      const conceptId = parseCMRConceptId(fileData.s3Url);
+      if (!conceptId) {
+        return { status: 'failed', message: 'Failed to parse concept ID from URL', changes: { isValid: false }, stop: true };
+      }
+      return { status: 'completed', message: `Concept ID: ${conceptId}`, changes: { conceptId } };
+    }
+  },
+  {
+    name: () => 'Check CMR Compatibility',
+    pauseBefore: 500,
+    retryable: true,
+    run: async (state, { services, requestOptions }) => {
+      try {
+        const compatibilityResult = await validateCMRCompatibility(services, state.conceptId, requestOptions);
+        return {
+          status: 'completed',
+          message: compatibilityResult.message,
+          changes: {
+            isValid: compatibilityResult.isValid,
+            validationDetails: compatibilityResult.details,
+            detectedFormat: compatibilityResult.format,
+            hasTimeDimension: compatibilityResult.hasTimeDimension
+          }
+        };
+      } catch (error) {
+        return toFailedStep('Compatibility check error')(error);
+      }
+    }
+  }
+];
+
+const FILE_STEPS = [
+  {
+    name: () => 'Accessibility Check',
+    pauseRunning: 500,
+    retryable: true,
+    run: async (state, { fileData, requestOptions }) => {
+      const accessibility = isZarrStoreUrl(fileData.s3Url)
+        ? await checkZarrStoreAccessibility(fileData.s3Url, requestOptions)
+        : await checkAccessibility(fileData.s3Url, requestOptions);
+      const outcome = {
+        status: {
+          accessible: 'completed',
+          unverified: 'warning',
+          inaccessible: 'failed'
+        }[accessibility.status],
+        message: describeAccessibility(accessibility),
+        changes: { accessibility }
+      };
+
+      // Nothing else can be checked on an object nobody can read
+      if (accessibility.status === 'inaccessible') {
+        outcome.changes.isValid = false;
+        outcome.changes.detectedFormat = getExtensionFormat(fileData.fileName);
+        outcome.stop = true;
+      }
+      return outcome;
+    }
+  },
+  {
+    name: () => 'File Format Detection',
+    pauseBefore: 1000,
+    pauseRunning: 500,
+    retryable: true,
+    run: async (state, { fileData, requestOptions }) => {
+      const headerBytes = await readHeaderBytes(state.accessibility.metadataUrl || fileData.s3Url, requestOptions);
+      const formatDetection = detectFormat(fileData.fileName, headerBytes);
+      return {
+        status: formatDetection.mismatch ? 'warning' : 'completed',
+        message: describeFormatDetection(formatDetection),
+        changes: { formatDetection, detectedFormat: formatDetection.format }
+      };
+    }
+  },
+  {
+    name: (state) => `${state.detectedFormat} Validation`,
+    pauseBefore: 500,
+    retryable: true,
+    run: validateFormat
+  },
+  {
+    // Chunking and metadata layout
+    name: () => 'Chunking & Metadata',
+    pauseBefore: 500,
+    retryable: true,
+    applies: (state, fileData) => ZARR_FORMATS.includes(state.detectedFormat) && fileData.type === 's3',
+    run: async (state, { fileData, requestOptions }) => {
+      const structure = await fetchZarrStructure(fileData.s3Url, state.detectedFormat, state.accessibility, requestOptions);
+      const structureReport = describeZarrStructure(structure, state.detectedFormat);
+      return {
+        status: structureReport.status,
+        message: structureReport.message,
+        changes: state.validationDetails ? { validationDetails: { ...state.validationDetails, _zarr: structure } } : {}
+      };
+    }
+  }
+];
+
+const INITIAL_STATE = {
+  isValid: true,
+  validationDetails: null,
+  detectedFormat: 'Unknown',
+  hasTimeDimension: false,
+  conceptId: null
+};
+
+const buildCMRResult = (state, steps) => ({
+  format: state.detectedFormat,
+  isValid: state.isValid,
+  isCloudOptimized: true, // CMR datasets are on Earthdata Cloud
+  isCMR: true,
+  conceptId: state.conceptId,
+  metadata: {
+    format: state.detectedFormat,
+    hasTimeDimension: state.hasTimeDimension,
+    spatialType: 'raster',
+    hasMultipleBands: true,
+    source: 'Earthdata Cloud'
+  },
+  validationDetails: state.validationDetails,
+  steps
+});
+
+const buildFileResult = (state, steps) => ({
+  format: state.detectedFormat,
+  isValid: state.isValid,
+  isCloudOptimized: state.isValid && checkCloudOptimized(state.detectedFormat),
+  isCMR: false,
+  metadata: getMetadata(state.detectedFormat, state.hasTimeDimension),
+  validationDetails: state.validationDetails,
+  accessibility: state.accessibility,
+  ...(state.formatDetection ? { formatDetection: state.formatDetection } : {}),
+  steps
+});
+
+// The validation steps for one input. `run()` executes all of them; `retryStep(index)` re-runs
+// a step, and the steps after it that depend on it, from the state the earlier steps left.
+// Both resolve with the validation result, which includes the final list of steps for reports.
+// `onStepsChange` receives a fresh copy of the step list whenever a step starts or finishes;
+// `delay` paces the steps for the interactive wizard and is a no-op for batch runs.
+// Aborting `signal` cancels pending requests and rejects with an AbortError; `timeout` and
+// `retries` override the request defaults in src/config/requests.js.
+export const createValidationPipeline = (fileData, {
+  services,
+  onStepsChange = () => {},
+  delay = noDelay,
+  signal = null,
+  timeout,
+  retries
+}) => {
+  const definitions = fileData.type === 'cmr' ? CMR_STEPS : FILE_STEPS;
+  const buildResult = fileData.type === 'cmr' ? buildCMRResult : buildFileResult;
+  const pause = async (ms) => {
+    if (ms) await delay(ms);
+    throwIfAborted(signal);
+  };
+  const context = { fileData, services, requestOptions: { signal, timeout, retries }, pause };
+
+  let steps = [];
+  // For each step: its definition and the state it started from
+  let history = [];
+
+  const publish = () => {
+    if (signal && signal.aborted) return;
+    onStepsChange(steps.map(step => ({ ...step })));
+  };
+
+  const execute = async (fromIndex, initialState, isRetry) => {
+    let state = initialState;
+    for (let index = fromIndex; index < definitions.length; index++) {
+      const definition = definitions[index];
+      if (definition.applies && !definition.applies(state, fileData)) continue;
+
+      // A retried step restarts right away
+      if (!isRetry || index !== fromIndex) await pause(definition.pauseBefore);
+      history.push({ definitionIndex: index, state });
+      steps.push({ name: definition.name(state), status: 'running' });
+      publish();
+      await pause(definition.pauseRunning);
+
+      const outcome = await definition.run(state, context);
+      throwIfAborted(signal);
+      state = { ...state, ...outcome.changes };
+      steps[steps.length - 1] = { ...steps[steps.length - 1], status: outcome.status, message: outcome.message };
+      publish();
+      if (outcome.stop) break;
+    }
+    return buildResult(state, steps.map(step => ({ ...step })));
+  };
+
+  return {
+    run: () => {
+      steps = [];
+      history = [];
+      return execute(0, INITIAL_STATE, false);
+    },
+    canRetry: (stepIndex) => Boolean(history[stepIndex] && definitions[history[stepIndex].definitionIndex].retryable),
+    retryStep: (stepIndex) => {
+      const { definitionIndex, state } = history[stepIndex];
+      steps = steps.slice(0, stepIndex);
+      history = history.slice(0, stepIndex);
+      return execute(definitionIndex, state, true);
+    }
+  };
+};
+
+export const runValidation = (fileData, options) => createValidationPipeline(fileData, options).run();
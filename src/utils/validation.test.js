@@ -0,0 +1,55 @@
+import { createValidationPipeline, runValidation } from './validation';
+import { isAbortError } from './http';
+
+const services = { compatibility: { baseUrl: 'https://compat/' } };
+const cmrInput = { type: 'cmr', s3Url: 'C2036881735-POCLOUD', fileName: 'C2036881735-POCLOUD' };
+const jsonResponse = (status, body = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  statusText: status >= 500 ? 'Server Error' : 'OK',
+  json: async () => body
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('retryStep re-runs a failed step from the state before it', async () => {
+  global.fetch = jest.fn(async () => jsonResponse(500));
+  const onStepsChange = jest.fn();
+  const pipeline = createValidationPipeline(cmrInput, { services, onStepsChange, retries: 0 });
+
+  const failed = await pipeline.run();
+  expect(failed.isValid).toBe(false);
+  expect(failed.steps.map(step => step.status)).toEqual(['completed', 'failed']);
+  expect(failed.steps[1].message).toBe('Compatibility check error: API returned 500: Server Error');
+  expect(pipeline.canRetry(0)).toBe(false);
+  expect(pipeline.canRetry(1)).toBe(true);
+
+  global.fetch = jest.fn(async () => jsonResponse(200, { example_assets: 'granule.nc', dimensions: { time: 12 } }));
+  const retried = await pipeline.retryStep(1);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(retried).toMatchObject({ isValid: true, format: 'NetCDF', conceptId: 'C2036881735-POCLOUD' });
+  expect(retried.metadata.hasTimeDimension).toBe(true);
+  expect(retried.steps.map(step => step.status)).toEqual(['completed', 'completed']);
+  expect(onStepsChange).toHaveBeenLastCalledWith(retried.steps);
+});
+
+test('runValidation rejects with an AbortError once cancelled', async () => {
+  global.fetch = jest.fn(async () => jsonResponse(200, {}));
+  const controller = new AbortController();
+  const onStepsChange = jest.fn();
+  const validation = runValidation(cmrInput, {
+    services,
+    onStepsChange,
+    signal: controller.signal,
+    delay: () => {
+      controller.abort();
+      return Promise.resolve();
+    }
+  });
+
+  expect(isAbortError(await validation.catch(error => error))).toBe(true);
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(onStepsChange).toHaveBeenCalledTimes(1);
+});
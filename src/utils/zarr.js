@@ -0,0 +1,230 @@
+import { checkAccessibility, formatBytes, toHttpsUrl } from './access';
+import { isAuxiliaryVariable } from './multidim';
+import { fetchWithRetry, isAbortError } from './http';
+
+export const ZARR_FORMATS = ['Zarr', 'Virtual Zarr'];
+
+// Metadata documents that mark the root of a Zarr store, newest spec first
+const ZARR_METADATA_KEYS = ['zarr.json', '.zmetadata', '.zgroup'];
+
+// Reference files are downloaded whole to inspect them; skip structure checks above this size
+export const MAX_REFERENCE_BYTES = 25 * 1024 * 1024;
+
+// Chunk sizes outside this range make tile requests slow (too many small reads or too much data per read)
+const MIN_CHUNK_BYTES = 1024 * 1024;
+const MAX_CHUNK_BYTES = 100 * 1024 * 1024;
+
+const stripQuery = (url) => url.split('?')[0];
+
+export const isZarrStoreUrl = (url) => {
+  const path = stripQuery(url).replace(/\/+$/, '');
+  return /\.zarr$/i.test(path) || ZARR_METADATA_KEYS.some(key => path.endsWith(`/${key}`));
+};
+
+// Root of the store, whether the input points at the store itself or one of its metadata documents
+export const getZarrStoreUrl = (url) => {
+  let storeUrl = stripQuery(url).replace(/\/+$/, '');
+  ZARR_METADATA_KEYS.forEach(key => {
+    if (storeUrl.endsWith(`/${key}`)) {
+      storeUrl = storeUrl.slice(0, -key.length - 1);
+    }
+  });
+  return storeUrl;
+};
+
+// URL to hand to titiler-multidim for a validated dataset
+export const getDatasetUrl = (fileUrl, format) => {
+  return format === 'Zarr' ? getZarrStoreUrl(fileUrl) : fileUrl;
+};
+
+// A Zarr store has no object at its own URL, so probe its metadata documents instead
+export const checkZarrStoreAccessibility = async (url, requestOptions = {}) => {
+  const storeUrl = getZarrStoreUrl(url);
+  let access = null;
+
+  for (const key of ZARR_METADATA_KEYS) {
+    access = await checkAccessibility(`${storeUrl}/${key}`, requestOptions);
+    if (access.status !== 'inaccessible') {
+      return { ...access, metadataUrl: `${storeUrl}/${key}` };
+    }
+  }
+
+  return {
+    ...access,
+    message: `No Zarr metadata (${ZARR_METADATA_KEYS.join(', ')}) found in the store: ${access.message}`
+  };
+};
+
+const fetchJson = async (url, requestOptions) => {
+  try {
+    const response = await fetchWithRetry(toHttpsUrl(url), {}, requestOptions);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return null;
+  }
+};
+
+// Kerchunk stores metadata documents as JSON strings; consolidated metadata stores them as objects
+const parseEntry = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseV2Arrays = (entries) => {
+  return Object.keys(entries)
+    .filter(key => key === '.zarray' || key.endsWith('/.zarray'))
+    .map(key => {
+      const name = key.replace(/\/?\.zarray$/, '') || '/';
+      const zarray = parseEntry(entries[key]) || {};
+      const zattrs = parseEntry(entries[name === '/' ? '.zattrs' : `${name}/.zattrs`]) || {};
+      return {
+        name,
+        shape: zarray.shape || [],
+        chunks: zarray.chunks || [],
+        dtype: zarray.dtype,
+        dimensions: zattrs._ARRAY_DIMENSIONS || null
+      };
+    });
+};
+
+const parseV3Array = (name, node) => {
+  const chunkGrid = node.chunk_grid && node.chunk_grid.configuration;
+  return {
+    name,
+    shape: node.shape || [],
+    chunks: (chunkGrid && chunkGrid.chunk_shape) || [],
+    dtype: node.data_type,
+    dimensions: node.dimension_names || null
+  };
+};
+
+export const parseZarrV3Metadata = (root) => {
+  if (root.node_type === 'array') {
+    return { zarrFormat: 3, consolidated: true, arrays: [parseV3Array('/', root)] };
+  }
+
+  const consolidated = root.consolidated_metadata && root.consolidated_metadata.metadata;
+  return {
+    zarrFormat: 3,
+    consolidated: Boolean(consolidated),
+    arrays: Object.entries(consolidated || {})
+      .filter(([, node]) => node.node_type === 'array')
+      .map(([name, node]) => parseV3Array(name, node))
+  };
+};
+
+export const parseZarrV2Metadata = (zmetadata) => {
+  return { zarrFormat: 2, consolidated: true, arrays: parseV2Arrays(zmetadata.metadata) };
+};
+
+// Kerchunk references: version 1 keeps the store under `refs`, version 0 is the store itself
+export const parseReferenceMetadata = (reference) => {
+  const refs = reference.refs || reference;
+  return {
+    zarrFormat: 2,
+    consolidated: true, // every metadata document is inlined in the reference file
+    referenceVersion: reference.version || 0,
+    referenceCount: Object.keys(refs).length,
+    arrays: parseV2Arrays(refs)
+  };
+};
+
+const fetchStoreMetadata = async (storeUrl, requestOptions) => {
+  const v3 = await fetchJson(`${storeUrl}/zarr.json`, requestOptions);
+  if (v3 && v3.zarr_format === 3) {
+    return parseZarrV3Metadata(v3);
+  }
+
+  const zmetadata = await fetchJson(`${storeUrl}/.zmetadata`, requestOptions);
+  if (zmetadata && zmetadata.metadata) {
+    return parseZarrV2Metadata(zmetadata);
+  }
+
+  const zgroup = await fetchJson(`${storeUrl}/.zgroup`, requestOptions);
+  if (zgroup) {
+    return { zarrFormat: 2, consolidated: false, arrays: [] };
+  }
+  return null;
+};
+
+// Reads store or reference metadata from the browser. Resolves with null when it can't be read.
+export const fetchZarrStructure = async (fileUrl, format, accessibility = {}, requestOptions = {}) => {
+  if (format === 'Zarr') {
+    return fetchStoreMetadata(getZarrStoreUrl(fileUrl), requestOptions);
+  }
+
+  if (accessibility.contentLength && accessibility.contentLength > MAX_REFERENCE_BYTES) {
+    return null;
+  }
+  const reference = await fetchJson(fileUrl, requestOptions);
+  return reference ? parseReferenceMetadata(reference) : null;
+};
+
+// Bytes per element for v2 ("<f4", "|u1") and v3 ("float32", "uint8") data types
+export const getDtypeSize = (dtype) => {
+  if (!dtype || typeof dtype !== 'string') return null;
+  if (dtype === 'bool') return 1;
+
+  const match = dtype.match(/(\d+)$/);
+  if (!match) return null;
+  return /^[<>|=]/.test(dtype) ? Number(match[1]) : Number(match[1]) / 8;
+};
+
+export const getChunkBytes = (array) => {
+  const size = getDtypeSize(array.dtype);
+  if (!size || array.chunks.length === 0) return null;
+  return array.chunks.reduce((total, length) => total * length, size);
+};
+
+// Summarises chunking and metadata layout into { status: 'completed' | 'warning', message }
+export const describeZarrStructure = (structure, format) => {
+  if (!structure) {
+    return {
+      status: 'warning',
+      message: `${format} metadata could not be read from the browser; chunking was not checked`
+    };
+  }
+
+  const notes = [];
+  const warnings = [];
+
+  if (structure.referenceVersion !== undefined) {
+    notes.push(`Kerchunk reference v${structure.referenceVersion} with ${structure.referenceCount} keys`);
+  } else {
+    notes.push(`Zarr v${structure.zarrFormat}`);
+    if (structure.consolidated) {
+      notes.push('consolidated metadata');
+    } else {
+      warnings.push('no consolidated metadata, so every array needs its own metadata request');
+    }
+  }
+
+  const dataArrays = structure.arrays.filter(array => !isAuxiliaryVariable(array.name.split('/').pop()));
+  const chunkSizes = dataArrays.map(getChunkBytes).filter(Boolean);
+
+  if (chunkSizes.length > 0) {
+    const smallest = Math.min(...chunkSizes);
+    const largest = Math.max(...chunkSizes);
+    notes.push(smallest === largest
+      ? `${dataArrays.length} data array(s), ${formatBytes(smallest)} chunks`
+      : `${dataArrays.length} data array(s), chunks ${formatBytes(smallest)}–${formatBytes(largest)}`);
+
+    if (smallest < MIN_CHUNK_BYTES) {
+      warnings.push(`chunks as small as ${formatBytes(smallest)} mean many requests per tile`);
+    }
+    if (largest > MAX_CHUNK_BYTES) {
+      warnings.push(`chunks as large as ${formatBytes(largest)} are slow to read for a single tile`);
+    }
+  }
+
+  return {
+    status: warnings.length > 0 ? 'warning' : 'completed',
+    message: [...notes, ...warnings].join(' · ')
+  };
+};
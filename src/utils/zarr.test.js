@@ -0,0 +1,95 @@
+import {
+  isZarrStoreUrl,
+  getZarrStoreUrl,
+  parseZarrV2Metadata,
+  parseZarrV3Metadata,
+  parseReferenceMetadata,
+  getDtypeSize,
+  describeZarrStructure
+} from './zarr';
+
+test('isZarrStoreUrl and getZarrStoreUrl accept stores and their metadata documents', () => {
+  expect(isZarrStoreUrl('s3://bucket/data/store.zarr/')).toBe(true);
+  expect(isZarrStoreUrl('https://host/store/zarr.json')).toBe(true);
+  expect(isZarrStoreUrl('s3://bucket/file.nc')).toBe(false);
+
+  expect(getZarrStoreUrl('s3://bucket/store.zarr/')).toBe('s3://bucket/store.zarr');
+  expect(getZarrStoreUrl('https://host/store.zarr/.zmetadata')).toBe('https://host/store.zarr');
+});
+
+test('parseZarrV2Metadata reads arrays, chunks and dimensions from .zmetadata', () => {
+  const structure = parseZarrV2Metadata({
+    metadata: {
+      '.zgroup': { zarr_format: 2 },
+      'tas/.zarray': { shape: [365, 600, 1440], chunks: [1, 600, 1440], dtype: '<f4' },
+      'tas/.zattrs': { _ARRAY_DIMENSIONS: ['time', 'lat', 'lon'] },
+      'lat/.zarray': { shape: [600], chunks: [600], dtype: '<f8' }
+    }
+  });
+
+  expect(structure).toMatchObject({ zarrFormat: 2, consolidated: true });
+  expect(structure.arrays).toContainEqual({
+    name: 'tas', shape: [365, 600, 1440], chunks: [1, 600, 1440], dtype: '<f4', dimensions: ['time', 'lat', 'lon']
+  });
+});
+
+test('parseZarrV3Metadata reports whether metadata is consolidated', () => {
+  const consolidated = parseZarrV3Metadata({
+    zarr_format: 3,
+    node_type: 'group',
+    consolidated_metadata: {
+      metadata: {
+        precip: {
+          node_type: 'array',
+          shape: [10, 100, 100],
+          data_type: 'float32',
+          chunk_grid: { name: 'regular', configuration: { chunk_shape: [1, 100, 100] } },
+          dimension_names: ['time', 'y', 'x']
+        }
+      }
+    }
+  });
+  expect(consolidated.consolidated).toBe(true);
+  expect(consolidated.arrays[0]).toMatchObject({ name: 'precip', chunks: [1, 100, 100], dtype: 'float32' });
+
+  expect(parseZarrV3Metadata({ zarr_format: 3, node_type: 'group' })).toEqual({ zarrFormat: 3, consolidated: false, arrays: [] });
+});
+
+test('parseReferenceMetadata reads kerchunk v0 and v1 references', () => {
+  const refs = {
+    '.zgroup': '{"zarr_format": 2}',
+    'sst/.zarray': '{"shape": [12, 720, 1440], "chunks": [1, 720, 1440], "dtype": "<i2"}',
+    'sst/0.0.0': ['s3://bucket/file.nc', 1024, 2048]
+  };
+
+  expect(parseReferenceMetadata({ version: 1, refs })).toMatchObject({ referenceVersion: 1, referenceCount: 3 });
+  expect(parseReferenceMetadata(refs).arrays[0]).toMatchObject({ name: 'sst', chunks: [1, 720, 1440], dtype: '<i2' });
+});
+
+test('getDtypeSize understands v2 and v3 data types', () => {
+  expect(getDtypeSize('<f4')).toBe(4);
+  expect(getDtypeSize('|u1')).toBe(1);
+  expect(getDtypeSize('float64')).toBe(8);
+  expect(getDtypeSize('bool')).toBe(1);
+  expect(getDtypeSize(undefined)).toBeNull();
+});
+
+test('describeZarrStructure warns about unconsolidated metadata and tiny chunks', () => {
+  const report = describeZarrStructure({
+    zarrFormat: 2,
+    consolidated: false,
+    arrays: [{ name: 'tas', shape: [100, 100], chunks: [10, 10], dtype: '<f4' }]
+  }, 'Zarr');
+
+  expect(report.status).toBe('warning');
+  expect(report.message).toContain('no consolidated metadata');
+  expect(report.message).toContain('chunks as small as 400 B');
+
+  expect(describeZarrStructure({
+    zarrFormat: 3,
+    consolidated: true,
+    arrays: [{ name: 'tas', shape: [365, 600, 1440], chunks: [1, 600, 1440], dtype: 'float32' }]
+  }, 'Zarr')).toEqual({ status: 'completed', message: 'Zarr v3 · consolidated metadata · 1 data array(s), 3.3 MB chunks' });
+
+  expect(describeZarrStructure(null, 'Virtual Zarr').status).toBe('warning');
+});